@@ -0,0 +1,114 @@
+/**
+ * Ad selection engine.
+ * Pure functions only (no DB, no Telegram) so the rules can be unit-tested:
+ * - frequency cap: skip ads the user already completed `daily_cap_per_user` times today
+ * - VIP-only ads (`is_vip`) are shown to VIP users only
+ * - per-ad start/end dates and hour-of-day schedule (`schedule_hours`, 0-23 in the given time zone)
+ * - budget: campaigns that cannot pay for one more view are skipped
+ * - weighted pick: higher bid (price per view) and more remaining budget => more likely
+ */
+
+const DEFAULT_OPTIONS = {
+  timeZone: "Europe/Istanbul",
+  dailyCapPerUser: 1, // used when the ad has no daily_cap_per_user of its own
+  unlimitedViews: 1000, // remaining views assumed for ads without a budget (admin ads)
+  defaultBid: 0.1, // bid for ads without price_tl
+};
+
+function num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/** Hour of day (0-23) of `date` in `timeZone`. */
+function hourInTimeZone(date, timeZone) {
+  const h = new Intl.DateTimeFormat("en-GB", { hour: "2-digit", hourCycle: "h23", timeZone }).format(date);
+  return parseInt(h, 10) % 24;
+}
+
+function remainingViews(ad, opts) {
+  const bid = num(ad.price_tl, 0);
+  if (ad.budget_tl === null || ad.budget_tl === undefined) return opts.unlimitedViews;
+  const left = num(ad.budget_tl) - num(ad.spent_tl);
+  if (bid <= 0) return left > 0 ? opts.unlimitedViews : 0;
+  return Math.floor((left + 1e-9) / bid);
+}
+
+/**
+ * Why an ad cannot be shown right now, or null if it is eligible.
+ * ctx: { isVip, now: Date, completedToday: number }
+ */
+function ineligibleReason(ad, ctx, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const now = ctx.now || new Date();
+
+  if (ad.active === false) return "inactive";
+  if (ad.is_vip && !ctx.isVip) return "vip_only";
+  if (ad.starts_at && new Date(ad.starts_at) > now) return "not_started";
+  if (ad.ends_at && new Date(ad.ends_at) <= now) return "ended";
+
+  const hours = Array.isArray(ad.schedule_hours) ? ad.schedule_hours.map(Number) : null;
+  if (hours && hours.length && !hours.includes(hourInTimeZone(now, opts.timeZone))) return "off_schedule";
+
+  if (ad.max_clicks !== null && ad.max_clicks !== undefined && num(ad.clicks) >= num(ad.max_clicks)) return "max_clicks";
+  if (remainingViews(ad, opts) < 1) return "no_budget";
+
+  const cap = ad.daily_cap_per_user === null || ad.daily_cap_per_user === undefined
+    ? opts.dailyCapPerUser
+    : num(ad.daily_cap_per_user);
+  if (cap > 0 && num(ctx.completedToday) >= cap) return "frequency_cap";
+
+  return null;
+}
+
+/** Selection weight: bid × log(1 + remaining views). Always > 0 for eligible ads. */
+function adWeight(ad, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const bid = num(ad.price_tl, 0) > 0 ? num(ad.price_tl) : opts.defaultBid;
+  return bid * Math.log1p(Math.max(1, remainingViews(ad, opts)));
+}
+
+/** Picks one item with probability proportional to weight(item). rng() returns [0,1). */
+function pickWeighted(items, weight, rng = Math.random) {
+  const weights = items.map((it) => Math.max(0, weight(it)));
+  const total = weights.reduce((a, b) => a + b, 0);
+  if (!items.length || total <= 0) return null;
+  let r = rng() * total;
+  for (let i = 0; i < items.length; i++) {
+    r -= weights[i];
+    if (r < 0) return items[i];
+  }
+  return items[items.length - 1];
+}
+
+const strategies = {
+  weighted: (ads, opts, rng) => pickWeighted(ads, (ad) => adWeight(ad, opts), rng),
+  random: (ads, opts, rng) => (ads.length ? ads[Math.floor(rng() * ads.length)] : null),
+};
+
+/**
+ * Chooses the ad to show.
+ * candidates: ad rows, each optionally carrying `completed_today` (this user's completed sessions today)
+ * ctx: { isVip, now }
+ * options: DEFAULT_OPTIONS overrides plus { strategy: "weighted" | "random", rng }
+ */
+function selectAd(candidates, ctx = {}, options = {}) {
+  const { strategy = "weighted", rng = Math.random, ...rest } = options;
+  const opts = { ...DEFAULT_OPTIONS, ...rest };
+  const eligible = (candidates || []).filter(
+    (ad) => !ineligibleReason(ad, { ...ctx, completedToday: ad.completed_today }, opts)
+  );
+  const pick = strategies[strategy] || strategies.weighted;
+  return pick(eligible, opts, rng);
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  hourInTimeZone,
+  remainingViews,
+  ineligibleReason,
+  adWeight,
+  pickWeighted,
+  strategies,
+  selectAd,
+};
@@ -0,0 +1,64 @@
+/**
+ * createApp({ pool, bot, config, fetch? }) wires services, bot handlers and HTTP routes
+ * into an Express app. It does not listen, migrate or set the webhook (index.js
+ * does), so tests can run it against their own pool and a fake Telegram client.
+ */
+const path = require("path");
+const express = require("express");
+const { createServices } = require("./services");
+const { createKeyboards } = require("./keyboards");
+const { registerBot } = require("./bot");
+const { createMiddleware } = require("./routes/middleware");
+const { createSessionRoutes } = require("./routes/session");
+const { createSettingsRoutes } = require("./routes/settings");
+const { createI18nRoutes } = require("./routes/i18n");
+const { createWalletRoutes } = require("./routes/wallet");
+const { createReferralRoutes } = require("./routes/referral");
+const { createAdRoutes } = require("./routes/ads");
+const { createWithdrawalRoutes } = require("./routes/withdrawals");
+const { createForumRoutes } = require("./routes/forum");
+const { createAdminRoutes } = require("./routes/admin");
+
+function createApp({ pool, bot, config, fetch }) {
+  const services = createServices({ pool, config, telegram: bot.telegram, fetch });
+  const keyboards = createKeyboards({ config, services, telegram: bot.telegram });
+  registerBot(bot, { services, config, keyboards });
+
+  const middleware = createMiddleware(services);
+  const deps = { services, middleware, keyboards, config };
+
+  const app = express();
+  app.use(express.json({ limit: "1mb" }));
+  app.use(express.urlencoded({ extended: true }));
+
+  app.get("/", (req, res) => {
+    // If someone opens base URL, show watch page
+    res.redirect("/webapp/watch.html");
+  });
+
+  app.use("/webapp", express.static(path.join(__dirname, "webapp"), { maxAge: "1h" }));
+
+  app.use(createSessionRoutes(deps));
+  app.use(createSettingsRoutes(deps));
+  app.use(createI18nRoutes(deps));
+  app.use(createWalletRoutes(deps));
+  app.use(createReferralRoutes(deps));
+  app.use(createAdRoutes(deps));
+  app.use(createWithdrawalRoutes(deps));
+  app.use(createForumRoutes(deps));
+  app.use(createAdminRoutes(deps));
+
+  // Handler errors are answered by bot.catch (bot.js); anything else still gets a 200 so
+  // Telegram does not deliver the same update again and again.
+  app.post("/telegram", (req, res) => {
+    bot.handleUpdate(req.body, res).catch((e) => {
+      console.error("telegram update error", e);
+      if (!res.headersSent) res.sendStatus(200);
+    });
+  });
+
+  app.locals.services = services;
+  return app;
+}
+
+module.exports = { createApp };
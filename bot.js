@@ -0,0 +1,412 @@
+/**
+ * Telegram bot handlers: the keyboard that opens the WebApp pages, plus commands for
+ * the core actions (balance, watching an ad, referral link, withdrawal, history) so
+ * they also work where the WebApp does not. Commands call the same services as the
+ * HTTP routes. Replies are in the user's language (ctx.state.lang, see i18n.js).
+ */
+const { Markup, Scenes, session } = require("telegraf");
+const { bannedMessage } = require("./services/auth");
+const { normalizeIban, isValidTrIban, normalizeFullName, isValidFullName } = require("./services/withdrawals");
+const { VIP_REWARD_MULTIPLIER, VIP_PLANS, ADMIN_ROLES } = require("./constants");
+const { SUPPORTED_LANGS, DEFAULT_LANG, LANG_NAMES, resolveLang, t } = require("./i18n");
+
+// "%5" / "5%", "%2.5"
+const pct = (lang, rate) => t(lang, "bot.percent", { value: Number((rate * 100).toFixed(2)) });
+
+// /start text; every number comes from settings so it matches what is actually paid.
+function welcomeText(s, lang = DEFAULT_LANG) {
+  const [level1 = 0, ...deeper] = s.referral_tier_rates;
+  const levels = deeper.map((r, i) => t(lang, "bot.welcome_level", { level: i + 2, rate: pct(lang, r) }));
+  return t(lang, "bot.welcome", {
+    reward_tl: s.watch_reward_tl.toFixed(2),
+    reward_diamonds: s.watch_reward_diamonds.toFixed(2),
+    level1: pct(lang, level1),
+    deeper: levels.length ? ` (${levels.join(", ")})` : "",
+    bonus_after_ads: s.referral_bonus_after_ads,
+    bonus_rate: pct(lang, s.referral_signup_bonus_rate),
+    min_withdraw: s.min_withdraw_tl,
+  });
+}
+
+// Commands shown in Telegram's menu and in /help, in this order.
+const USER_COMMANDS = ["balance", "watch", "referral", "withdraw", "history", "vip", "top", "language", "help"];
+
+function commandList(lang) {
+  return USER_COMMANDS.map((command) => ({ command, description: t(lang, `bot.cmd.${command}`) }));
+}
+
+// Registers the command menu for every supported language (Turkish is the default).
+async function setBotCommands(telegram) {
+  for (const lang of SUPPORTED_LANGS) {
+    const extra = lang === DEFAULT_LANG ? {} : { language_code: lang };
+    await telegram.setMyCommands(commandList(lang), extra);
+  }
+}
+
+const money = (v) => Number(v || 0).toFixed(2);
+
+// "+₺0.50 · +1.00 💎" for a ledger entry; zero amounts are left out.
+function ledgerAmount(e) {
+  const sign = (v) => (v < 0 ? "−" : "+");
+  const parts = [];
+  if (e.amount_tl) parts.push(`${sign(e.amount_tl)}₺${money(Math.abs(e.amount_tl))}`);
+  if (e.amount_diamonds) parts.push(`${sign(e.amount_diamonds)}${money(Math.abs(e.amount_diamonds))} 💎`);
+  return parts.join(" · ") || "0";
+}
+
+/**
+ * /withdraw as a conversation: amount -> IBAN -> name -> confirm. Each answer is
+ * checked with the rules requestWithdrawal() applies when the request is created.
+ * Any other command (or /cancel) ends it.
+ */
+function createWithdrawScene({ wallet, withdrawals }) {
+  const step = (fn) => async (ctx, next) => {
+    const text = ctx.message?.text;
+    if (text?.startsWith("/")) {
+      await ctx.scene.leave();
+      if (text.split(/[\s@]/)[0] === "/cancel") return ctx.reply(ctx.state.t("bot.withdraw.cancelled"));
+      return next();
+    }
+    const answer = ctx.callbackQuery?.data?.startsWith("wd:") ? ctx.callbackQuery.data : null;
+    // Updates that are not an answer (e.g. a claim button) are handled as usual.
+    if (text === undefined && !answer) return next();
+    return fn(ctx, answer || text.trim());
+  };
+
+  return new Scenes.WizardScene(
+    "withdraw",
+    { ttl: 600 },
+    async (ctx) => {
+      const tr = ctx.state.t;
+      const tg_id = ctx.from.id;
+      const [{ balance_tl }, own] = await Promise.all([wallet.getWallet(tg_id), withdrawals.listOwnRequests(tg_id)]);
+      const open = own.requests.find((r) => ["pending", "approved"].includes(r.status));
+      if (open) {
+        await ctx.reply(tr("bot.withdraw.open_exists", { id: open.id }));
+        return ctx.scene.leave();
+      }
+      if (balance_tl + 1e-9 < own.min_amount_tl) {
+        await ctx.reply(tr("bot.withdraw.low_balance", { balance: money(balance_tl), min: money(own.min_amount_tl) }));
+        return ctx.scene.leave();
+      }
+      Object.assign(ctx.wizard.state, { balance: balance_tl, min: own.min_amount_tl });
+      await ctx.reply(tr("bot.withdraw.amount", { balance: money(balance_tl), min: money(own.min_amount_tl) }));
+      return ctx.wizard.next();
+    },
+    step(async (ctx, text) => {
+      const { balance, min } = ctx.wizard.state;
+      const amount = Math.floor(Number(text.replace(",", ".")) * 100) / 100;
+      if (!Number.isFinite(amount) || amount + 1e-9 < min || amount > balance + 1e-9) {
+        return ctx.reply(ctx.state.t("bot.withdraw.bad_amount", { min: money(min), balance: money(balance) }));
+      }
+      ctx.wizard.state.amount = amount;
+      await ctx.reply(ctx.state.t("bot.withdraw.iban"));
+      return ctx.wizard.next();
+    }),
+    step(async (ctx, text) => {
+      const iban = normalizeIban(text);
+      if (!isValidTrIban(iban)) return ctx.reply(ctx.state.t("bot.withdraw.bad_iban"));
+      ctx.wizard.state.iban = iban;
+      await ctx.reply(ctx.state.t("bot.withdraw.name"));
+      return ctx.wizard.next();
+    }),
+    step(async (ctx, text) => {
+      const tr = ctx.state.t;
+      const name = normalizeFullName(text);
+      if (!isValidFullName(name)) return ctx.reply(tr("bot.withdraw.bad_name"));
+      const { amount, iban } = Object.assign(ctx.wizard.state, { name });
+      await ctx.reply(
+        tr("bot.withdraw.confirm", { amount: money(amount), iban, name }),
+        Markup.inlineKeyboard([Markup.button.callback(tr("bot.withdraw.yes"), "wd:yes"), Markup.button.callback(tr("bot.withdraw.no"), "wd:no")])
+      );
+      return ctx.wizard.next();
+    }),
+    step(async (ctx, answer) => {
+      const tr = ctx.state.t;
+      if (!ctx.callbackQuery) return ctx.reply(tr("bot.withdraw.use_buttons"));
+      const { amount, iban, name } = ctx.wizard.state;
+      await ctx.answerCbQuery().catch(() => {});
+      await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+      await ctx.scene.leave();
+      if (answer !== "wd:yes") return ctx.reply(tr("bot.withdraw.cancelled"));
+      // Success is confirmed by the "withdraw.pending" notification the service sends.
+      const r = await withdrawals.requestWithdrawal(ctx.from.id, { amount_tl: amount, iban, full_name: name });
+      if (r.ok) return;
+      if (r.error === "open_request_exists") return ctx.reply(tr("bot.withdraw.open_exists", { id: r.request_id }));
+      if (r.error === "insufficient_balance") return ctx.reply(tr("bot.withdraw.insufficient"));
+      return ctx.reply(tr("bot.withdraw.failed", { error: r.error }));
+    })
+  );
+}
+
+function registerBot(bot, { services, config, keyboards }) {
+  const { wallet, auth, referral, admin, settings, locale, broadcasts, ads, withdrawals, botSessions } = services;
+  const { buildMainKeyboard, sendStaffKeyboard, linkQuery } = keyboards;
+  const { PUBLIC_URL, WATCH_DAY_TZ } = config;
+
+  // Picks the reply language for the update; banned users get one explanation and nothing else.
+  bot.use(async (ctx, next) => {
+    const access = ctx.from?.id ? await auth.getUserAccess(ctx.from.id) : {};
+    const lang = resolveLang({ language: access.language, language_code: ctx.from?.language_code || access.language_code });
+    ctx.state.lang = lang;
+    ctx.state.t = (key, params) => t(lang, key, params);
+    if (!ctx.from?.id) return next();
+    // Notifications sent later (no update to read it from) use the stored language_code.
+    if (ctx.from.language_code && ctx.from.language_code !== access.language_code) await wallet.updateUserProfile(ctx.from);
+    // Writing to the bot again means they unblocked it; broadcasts reach them again.
+    if (access.bot_blocked_at && !ctx.myChatMember) await broadcasts.setBotBlocked(ctx.from.id, false);
+    if (!access.is_banned) return next();
+    if (ctx.callbackQuery) return ctx.answerCbQuery(bannedMessage(access, lang), { show_alert: true }).catch(() => {});
+    if (ctx.chat?.type === "private") return ctx.reply(bannedMessage(access, lang)).catch(() => {});
+  });
+
+  // Conversations (scenes) live in private chats only, one per user.
+  bot.use(session({ store: botSessions, getSessionKey: (ctx) => (ctx.chat?.type === "private" && ctx.from ? String(ctx.from.id) : undefined) }));
+  bot.use(new Scenes.Stage([createWithdrawScene({ wallet, withdrawals })]).middleware());
+
+  // Telegram reports when a user blocks ("kicked") or unblocks ("member") the bot.
+  bot.on("my_chat_member", async (ctx) => {
+    if (ctx.chat?.type !== "private") return;
+    const status = ctx.myChatMember.new_chat_member?.status;
+    if (status === "kicked" || status === "member") await broadcasts.setBotBlocked(ctx.from.id, status === "kicked");
+  });
+
+  bot.start(async (ctx) => {
+    const tg_id = ctx.from.id;
+    // referral: /start <ref>
+    const payload = (ctx.startPayload || "").trim();
+    let referred_by = null;
+    if (payload && /^\d{3,20}$/.test(payload) && payload !== String(tg_id)) {
+      referred_by = Number(payload);
+    }
+    await wallet.ensureUser(tg_id, referred_by);
+    await wallet.updateUserProfile(ctx.from);
+    // No extra "panel" message in chat; only show bottom keyboard.
+    const { lang } = ctx.state;
+    await ctx.reply(welcomeText(await settings.getSettings(), lang), await buildMainKeyboard(tg_id, lang));
+  });
+
+  bot.command("menu", async (ctx) => {
+    await ctx.reply("✅", await buildMainKeyboard(ctx.from.id, ctx.state.lang));
+  });
+
+  bot.command("help", async (ctx) => {
+    const lines = commandList(ctx.state.lang).map((c) => `/${c.command} — ${c.description}`);
+    await ctx.reply(ctx.state.t("bot.help", { commands: lines.join("\n") }));
+  });
+
+  bot.command("balance", async (ctx) => {
+    const tg_id = ctx.from.id;
+    const w = await wallet.getWallet(tg_id);
+    const quota = await ads.getWatchQuota(tg_id);
+    await ctx.reply(
+      ctx.state.t(quota.is_vip ? "bot.balance_vip" : "bot.balance", {
+        tl: money(w.balance_tl),
+        diamonds: money(w.diamonds),
+        seen: quota.seen,
+        limit: quota.limit,
+      })
+    );
+  });
+
+  // /watch: the ad as a message with a link to it and a "claim" button. Claiming
+  // completes the session like the watch page does, so the elapsed time is checked
+  // on the server and the usual limits, fraud checks and notifications apply.
+  bot.command("watch", async (ctx) => {
+    const { lang, t: tr } = ctx.state;
+    const r = await ads.startWatch(ctx.from.id, { linkOnly: true });
+    if (!r.ok) {
+      if (r.error === "cooldown") {
+        return ctx.reply(tr("bot.watch.cooldown", { seconds: Math.max(1, Math.ceil((Date.parse(r.next_available_at) - Date.now()) / 1000)) }));
+      }
+      if (r.error === "daily_limit") {
+        const at = new Date(r.next_available_at).toLocaleString(lang, { timeZone: WATCH_DAY_TZ, dateStyle: "short", timeStyle: "short" });
+        return ctx.reply(tr("bot.watch.daily_limit", { limit: r.limit, at }));
+      }
+      return ctx.reply(tr(r.error === "too_many_open_sessions" ? "bot.watch.too_many_open_sessions" : "bot.watch.no_ad"));
+    }
+    const link = r.ad.media_url || r.ad.youtube_url || r.ad.page_url || r.ad.game_url;
+    const session = `${r.session_id}:${r.nonce}`;
+    let text = tr("bot.watch.ad", { title: r.ad.title, seconds: r.seconds, tl: money(r.reward.tl), diamonds: money(r.reward.diamonds) });
+    const rows = [[Markup.button.url(tr("bot.watch.open"), link)]];
+    // click ads: the visit goes through /api/ad/click so the server sees it
+    if (r.ad.click_url) rows.push([Markup.button.url(tr("bot.watch.visit"), r.ad.click_url)]);
+    // quiz ads: the answer buttons take the place of "claim"
+    if (r.ad.quiz) {
+      text += `\n\n${tr("bot.watch.quiz", { question: r.ad.quiz.question })}`;
+      r.ad.quiz.options.forEach((option, i) => rows.push([Markup.button.callback(option, `quiz:${session}:${i}`)]));
+    } else {
+      rows.push([Markup.button.callback(tr("bot.watch.claim"), `claim:${session}`)]);
+    }
+    await ctx.reply(text, Markup.inlineKeyboard(rows));
+  });
+
+  async function claim(ctx, answer) {
+    const tr = ctx.state.t;
+    const r = await ads.completeWatch(ctx.from.id, { session_id: Number(ctx.match[1]), nonce: ctx.match[2], answer });
+    if (!r.ok && r.error === "too_early") {
+      const seconds = Math.max(1, Math.ceil(r.required - r.elapsed));
+      return ctx.answerCbQuery(tr("bot.watch.too_early", { seconds }), { show_alert: true }).catch(() => {});
+    }
+    if (!r.ok && r.error === "click_required") {
+      return ctx.answerCbQuery(tr("bot.watch.click_required"), { show_alert: true }).catch(() => {});
+    }
+    if (!r.ok && r.error === "daily_limit") {
+      const at = new Date(r.next_available_at).toLocaleString(ctx.state.lang, { timeZone: WATCH_DAY_TZ, dateStyle: "short", timeStyle: "short" });
+      return ctx.answerCbQuery(tr("bot.watch.daily_limit", { limit: r.limit, at }), { show_alert: true }).catch(() => {});
+    }
+    // The reward (or hold) notification comes from completeWatch itself.
+    const key = !r.ok
+      ? "bot.watch.expired"
+      : r.already
+        ? "bot.watch.already"
+        : r.answer_correct === false
+          ? "bot.watch.quiz_wrong"
+          : "bot.watch.claimed";
+    await ctx.answerCbQuery(tr(key)).catch(() => {});
+    await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+  }
+
+  bot.action(/^claim:(\d+):(\w+)$/, (ctx) => claim(ctx));
+  bot.action(/^quiz:(\d+):(\w+):(\d+)$/, (ctx) => claim(ctx, Number(ctx.match[3])));
+
+  bot.command("referral", async (ctx) => {
+    const tr = ctx.state.t;
+    const r = await referral.getReferralInfo(ctx.from.id);
+    const share = `https://t.me/share/url?url=${encodeURIComponent(r.link)}&text=${encodeURIComponent(tr("bot.referral.share_text"))}`;
+    await ctx.reply(
+      tr("bot.referral.info", {
+        link: r.link,
+        count: r.referred_count,
+        level2: r.downline_level2_count,
+        tl: money(r.earned_tl),
+        diamonds: money(r.earned_diamonds),
+        rate: pct(ctx.state.lang, r.program.tier_rates[0] || 0),
+      }),
+      Markup.inlineKeyboard([Markup.button.url(tr("bot.referral.share"), share)])
+    );
+  });
+
+  bot.command("withdraw", (ctx) => ctx.scene.enter("withdraw"));
+
+  bot.command("history", async (ctx) => {
+    const { lang, t: tr } = ctx.state;
+    const { entries } = await wallet.getHistory(ctx.from.id, { limit: 10 });
+    if (!entries.length) return ctx.reply(tr("bot.history.empty"));
+    const lines = entries.map((e) =>
+      tr("bot.history.line", {
+        date: new Date(e.created_at).toLocaleString(lang, { timeZone: WATCH_DAY_TZ, dateStyle: "short", timeStyle: "short" }),
+        label: tr(`web.ledger.${e.type}`),
+        amount: ledgerAmount(e),
+      })
+    );
+    await ctx.reply(tr("bot.history.title", { lines: lines.join("\n") }));
+  });
+
+  // /language: pick tr/en/az, or go back to following the Telegram client language.
+  bot.command("language", async (ctx) => {
+    await wallet.ensureUser(ctx.from.id);
+    const buttons = SUPPORTED_LANGS.map((l) => Markup.button.callback(LANG_NAMES[l], `lang:${l}`));
+    buttons.push(Markup.button.callback(ctx.state.t("bot.language.auto"), "lang:auto"));
+    await ctx.reply(ctx.state.t("bot.language.choose"), Markup.inlineKeyboard(buttons, { columns: 2 }));
+  });
+
+  bot.action(/^lang:(\w+)$/, async (ctx) => {
+    const r = await locale.setUserLanguage(ctx.from.id, ctx.match[1]);
+    await ctx.answerCbQuery().catch(() => {});
+    if (!r.ok) return;
+    await ctx.editMessageText(t(r.lang, "bot.language.saved", { language: LANG_NAMES[r.lang] })).catch(() => {});
+    // Keyboard labels are plain text, so a new keyboard is needed to show them in the new language.
+    await ctx.reply("✅", await buildMainKeyboard(ctx.from.id, r.lang));
+  });
+
+  // Staff management (super_admin only): /grant <tg_id> <role>, /revoke <tg_id> <role>, /staff
+  async function parseRoleCommand(ctx) {
+    const roles = await admin.getStaffRoles(ctx.from.id);
+    if (!roles.includes("super_admin")) {
+      await ctx.reply(ctx.state.t("bot.super_admin_only"));
+      return null;
+    }
+    const [, idStr, role] = String(ctx.message?.text || "").trim().split(/\s+/);
+    const tg_id = Number(idStr);
+    if (!Number.isFinite(tg_id) || tg_id <= 0 || !ADMIN_ROLES.includes(role)) {
+      await ctx.reply(ctx.state.t("bot.role_usage", { roles: ADMIN_ROLES.join(", ") }));
+      return null;
+    }
+    return { tg_id, role };
+  }
+
+  bot.command("grant", async (ctx) => {
+    const cmd = await parseRoleCommand(ctx);
+    if (!cmd) return;
+    const granted = await admin.grantRole(cmd.tg_id, cmd.role, ctx.from.id);
+    if (!granted) return ctx.reply(ctx.state.t("bot.role_already", cmd));
+    await sendStaffKeyboard(cmd.tg_id, "staff.granted", { role: cmd.role });
+    await ctx.reply(ctx.state.t("bot.role_granted", cmd));
+  });
+
+  bot.command("revoke", async (ctx) => {
+    const cmd = await parseRoleCommand(ctx);
+    if (!cmd) return;
+    const err = await admin.revokeRole(cmd.tg_id, cmd.role, ctx.from.id);
+    if (err === "not_found") return ctx.reply(ctx.state.t("bot.role_missing", cmd));
+    if (err === "last_super_admin") return ctx.reply(ctx.state.t("bot.last_super_admin"));
+    await sendStaffKeyboard(cmd.tg_id, "staff.revoked", { role: cmd.role });
+    await ctx.reply(ctx.state.t("bot.role_revoked", cmd));
+  });
+
+  bot.command("staff", async (ctx) => {
+    const roles = await admin.getStaffRoles(ctx.from.id);
+    if (!roles.includes("super_admin")) return ctx.reply(ctx.state.t("bot.super_admin_only"));
+    const { staff } = await admin.listStaff();
+    const lines = staff.map((r) => `• ${r.tg_id}: ${r.roles.join(", ")}`).join("\n") || "—";
+    await ctx.reply(ctx.state.t("bot.staff", { lines }));
+  });
+
+  bot.command("vip", async (ctx) => {
+    const tg_id = ctx.from.id;
+    const { lang, t: tr } = ctx.state;
+    await wallet.ensureUser(tg_id);
+    const vip = await wallet.getVipStatus(tg_id);
+    const plans = VIP_PLANS.map((p) => tr("bot.vip.plan", { days: p.days, price: p.price_diamonds })).join("\n");
+    let status;
+    if (!vip.is_vip) status = tr("bot.vip.not_vip");
+    else if (vip.permanent) status = tr("bot.vip.permanent");
+    else {
+      const until = new Date(vip.vip_until).toLocaleDateString(lang, { timeZone: WATCH_DAY_TZ });
+      status = tr("bot.vip.active", { days: vip.days_left, until });
+    }
+    await ctx.reply(
+      tr("bot.vip.info", { status, multiplier: VIP_REWARD_MULTIPLIER, plans }),
+      Markup.inlineKeyboard([Markup.button.webApp(tr("bot.vip.buy"), `${PUBLIC_URL}/webapp/vip.html?${linkQuery(tg_id)}`)])
+    );
+  });
+
+  bot.command("top", async (ctx) => {
+    const { t: tr } = ctx.state;
+    const top = await referral.getReferralLeaderboard(10);
+    if (!top.length) return ctx.reply(tr("bot.top.empty"));
+    const medals = ["🥇", "🥈", "🥉"];
+    const lines = top.map((r) =>
+      tr("bot.top.line", {
+        rank: medals[r.rank - 1] || `${r.rank}.`,
+        name: r.name,
+        earned: r.earned_tl.toFixed(2),
+        count: r.new_referrals,
+      })
+    );
+    await ctx.reply(tr("bot.top.title", { lines: lines.join("\n") }));
+  });
+
+  // A failing handler (e.g. the database is unreachable) must not end up as an unhandled
+  // rejection: log it and tell the user to try again. ctx.state.t is missing when the
+  // language middleware itself failed.
+  bot.catch(async (err, ctx) => {
+    console.error("bot update error", ctx.updateType, err);
+    const text = ctx.state?.t ? ctx.state.t("bot.error") : t(resolveLang({ language_code: ctx.from?.language_code }), "bot.error");
+    if (ctx.callbackQuery) return ctx.answerCbQuery(text, { show_alert: true }).catch(() => {});
+    if (ctx.chat?.type === "private") await ctx.reply(text).catch(() => {});
+  });
+}
+
+module.exports = { welcomeText, commandList, setBotCommands, registerBot };
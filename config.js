@@ -0,0 +1,82 @@
+/**
+ * Deployment settings from the environment. loadConfig() never throws: tests and
+ * `node index.js migrate` build a config without every variable set, and index.js
+ * checks what the running server needs.
+ *
+ * Limits and referral values below are only the starting values of runtime settings
+ * (services/settings.js); an admin override in the database wins over them.
+ */
+// "a.com, *.b.com" -> ["a.com", "b.com"]
+const hostList = (v) =>
+  String(v || "")
+    .split(",")
+    .map((h) => h.trim().toLowerCase().replace(/^\*?\./, ""))
+    .filter(Boolean);
+
+function loadConfig(env = process.env) {
+  const BOT_TOKEN = env.BOT_TOKEN || env.TELEGRAM_BOT_TOKEN || null;
+
+  return {
+    BOT_TOKEN,
+
+    // WebApp bağlantı token'larını (klavye linkleri) imzalamak için secret.
+    // Prod'da Render Environment'e güçlü bir WEBAPP_SECRET eklemen önerilir.
+    // Tanımlı değilse, BOT_TOKEN'u fallback olarak kullanır (crash olmasın diye).
+    WEBAPP_SECRET: env.WEBAPP_SECRET || BOT_TOKEN || "dev-webapp-secret",
+
+    DATABASE_URL: env.DATABASE_URL || null,
+    PUBLIC_URL: (env.PUBLIC_URL || env.RENDER_EXTERNAL_URL || "").replace(/\/+$/, ""),
+    PORT: parseInt(env.PORT || "10000", 10),
+
+    // WebApp sessions: pages exchange Telegram initData (or the signed link token in
+    // keyboard URLs) for an opaque session token via POST /api/session.
+    //   SESSION_TTL_SECONDS: lifetime of a session token (rotated via /api/session/refresh)
+    //   LINK_TOKEN_TTL_SECONDS: lifetime of keyboard link tokens (/menu sends fresh ones)
+    //   INITDATA_MAX_AGE_SECONDS: max age of initData (auth_date)
+    SESSION_TTL_SECONDS: parseInt(env.SESSION_TTL_SECONDS || "3600", 10),
+    LINK_TOKEN_TTL_SECONDS: parseInt(env.LINK_TOKEN_TTL_SECONDS || String(7 * 24 * 3600), 10),
+    INITDATA_MAX_AGE_SECONDS: parseInt(env.INITDATA_MAX_AGE_SECONDS || "86400", 10),
+
+    // Bootstrap operator: seeded as super_admin on startup; everyone else gets roles via /grant.
+    ADMIN_TG_ID: env.ADMIN_TG_ID ? String(env.ADMIN_TG_ID) : null,
+
+    // Ad selection (see adSelection.js): "weighted" (default) or "random" among eligible ads.
+    // AD_FREQ_CAP_PER_DAY: how many times a user may complete the same ad per day
+    // unless the ad sets its own daily_cap_per_user (0 = unlimited).
+    AD_PICK_STRATEGY: (env.AD_PICK_STRATEGY || "weighted").toLowerCase(),
+    AD_FREQ_CAP_PER_DAY: parseInt(env.AD_FREQ_CAP_PER_DAY || "1", 10),
+
+    // Withdrawals: minimum amount (setting min_withdraw_tl)
+    MIN_WITHDRAW_TL: Number(env.MIN_WITHDRAW_TL || 195),
+
+    // Daily watch limits (completed ads per calendar day) and the minimum gap
+    // between two ad sessions (settings daily_ad_limit, daily_ad_limit_vip,
+    // ad_cooldown_seconds). The day rolls over at midnight in WATCH_DAY_TZ.
+    DAILY_AD_LIMIT: parseInt(env.DAILY_AD_LIMIT || "50", 10),
+    DAILY_AD_LIMIT_VIP: parseInt(env.DAILY_AD_LIMIT_VIP || "100", 10),
+    AD_COOLDOWN_SECONDS: parseInt(env.AD_COOLDOWN_SECONDS || "20", 10),
+    WATCH_DAY_TZ: env.WATCH_DAY_TZ || "Europe/Istanbul",
+
+    // Referral tiers (settings referral_tier_rates, referral_bonus_after_ads),
+    // see the referral programme notes in constants.js.
+    REFERRAL_TIER_RATES: (env.REFERRAL_TIER_RATES || "0.05,0.02")
+      .split(",")
+      .map((r) => Number(r.trim()))
+      .filter((r) => Number.isFinite(r) && r >= 0),
+    REFERRAL_BONUS_AFTER_ADS: parseInt(env.REFERRAL_BONUS_AFTER_ADS || "5", 10),
+
+    // Broadcasts: messages per second the queue sends. Telegram allows a bot about 30.
+    BROADCAST_RATE_PER_SEC: Number(env.BROADCAST_RATE_PER_SEC || 25),
+
+    // Ad creatives (services/creatives.js). Domain lists are comma-separated and match
+    // subdomains too; an empty allow list allows every domain the deny list does not block.
+    //   AD_SNIPPET_SCRIPT_HOSTS: the only hosts an HTML snippet may load scripts from
+    //   AD_MEDIA_MAX_MB: largest image/video a campaign may link to
+    AD_URL_ALLOWLIST: hostList(env.AD_URL_ALLOWLIST),
+    AD_URL_DENYLIST: hostList(env.AD_URL_DENYLIST),
+    AD_SNIPPET_SCRIPT_HOSTS: hostList(env.AD_SNIPPET_SCRIPT_HOSTS ?? "pagead2.googlesyndication.com"),
+    AD_MEDIA_MAX_MB: Number(env.AD_MEDIA_MAX_MB || 20),
+  };
+}
+
+module.exports = { loadConfig };
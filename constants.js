@@ -0,0 +1,135 @@
+/**
+ * Product rules shared by the services: campaign bounds, VIP plans, ledger entry
+ * types and staff roles. Anything that differs per deployment is read from the
+ * environment in config.js; rewards, prices and limits admins may change at runtime
+ * live in services/settings.js.
+ */
+
+// Advertiser campaigns: the whole budget (target_views × price per view) is taken
+// from the advertiser's TL balance when the campaign is sent for review and held on
+// the ad row (budget_tl); each completed view moves price_tl of it into spent_tl.
+//   draft -> in_review (budget charged) -> active (approved) <-> paused
+//   active -> exhausted (budget used up)
+//   in_review -> rejected (with a reason), any open state -> cancelled (remainder refunded)
+const CAMPAIGN_MIN_VIEWS = 10;
+const CAMPAIGN_MAX_VIEWS = 1000000;
+
+// Ad creatives (see services/creatives.js): what a campaign's media_url may point to,
+// and how long links and HTML snippets may be.
+const AD_MEDIA_TYPES = {
+  "image/jpeg": "image",
+  "image/png": "image",
+  "image/gif": "image",
+  "image/webp": "image",
+  "video/mp4": "video",
+  "video/webm": "video",
+};
+const AD_URL_MAX_LENGTH = 500;
+const AD_SNIPPET_MAX_LENGTH = 5000;
+// Quiz ads: the watcher picks one of the options (also shown as bot buttons, hence few).
+const AD_QUIZ_QUESTION_MAX_LENGTH = 200;
+const AD_QUIZ_OPTION_MAX_LENGTH = 80;
+const AD_QUIZ_MAX_OPTIONS = 4;
+
+// VIP membership: bought with diamonds, multiplies watch rewards and unlocks VIP-only ads.
+// users.is_vip with vip_until = null is a permanent (admin-granted) VIP.
+const VIP_REWARD_MULTIPLIER = 2;
+const VIP_PLANS = [
+  { id: "vip_7", days: 7, price_diamonds: 25 },
+  { id: "vip_30", days: 30, price_diamonds: 90 },
+  { id: "vip_90", days: 90, price_diamonds: 240 },
+];
+
+// SQL expression: is the users row aliased `u` currently VIP?
+const VIP_ACTIVE_SQL = "(coalesce(u.is_vip,false) and (u.vip_until is null or u.vip_until > now()))";
+
+// Anti-fraud (see fraudScoring.js): watch.html pings /api/ad/heartbeat every
+// AD_HEARTBEAT_SECONDS; a user may have at most MAX_OPEN_AD_SESSIONS unfinished
+// sessions from the last 10 minutes.
+const AD_HEARTBEAT_SECONDS = 5;
+const MAX_OPEN_AD_SESSIONS = 2;
+
+// Referral programme (rates and thresholds are settings, see services/settings.js)
+// - Ongoing: for EVERY completed ad in your downline, the level-N referrer earns
+//   referral_tier_rates[N-1] of that ad's base reward (level 1 = people you invited,
+//   level 2 = people they invited, ...). The number of rates is the tier depth.
+// - Signup bonus: once a directly referred user completes referral_bonus_after_ads ads,
+//   the direct referrer earns referral_signup_bonus_rate of that ad reward one time
+//   (stops fake-account farming).
+
+// Ledger entry types. Every balance movement goes through creditUser() and
+// leaves exactly one row in public.ledger with one of these types.
+const LEDGER_TYPES = {
+  OPENING_BALANCE: "opening_balance", // balances that existed before the ledger
+  WATCH_REWARD: "watch_reward",
+  REFERRAL_ONGOING: "referral_ongoing",
+  REFERRAL_FIRST_AD: "referral_first_ad", // legacy: bonus on the first completed ad
+  REFERRAL_SIGNUP_BONUS: "referral_signup_bonus",
+  CONVERT: "convert",
+  WITHDRAW_HOLD: "withdraw_hold",
+  WITHDRAW_RELEASE: "withdraw_release",
+  AD_SPEND: "ad_spend", // campaign budget moved into escrow
+  AD_REFUND: "ad_refund", // unspent campaign budget returned
+  ADMIN_ADJUST: "admin_adjust",
+  VIP_PURCHASE: "vip_purchase",
+};
+const LEDGER_TYPE_VALUES = new Set(Object.values(LEDGER_TYPES));
+
+// Staff roles (admin_roles table). super_admin passes every role check.
+//   finance   - withdrawals, conversion rates, releasing held rewards
+//   moderator - ad / campaign review
+//   analyst   - read-only access to admin lists and reports
+const ADMIN_ROLES = ["super_admin", "finance", "moderator", "analyst"];
+const STAFF_ROLES_CACHE_MS = 30 * 1000;
+
+// How long a server instance keeps settings before re-reading public.app_settings;
+// the instance that saves a change sees it immediately.
+const SETTINGS_CACHE_MS = 30 * 1000;
+
+// Broadcasts (services/broadcasts.js). Telegram caps message text at 4096 characters
+// and photo captions at 1024. A 429 is retried after its retry_after this many times;
+// a delivery claimed longer than BROADCAST_CLAIM_TIMEOUT_SECONDS ago (server stopped
+// mid-send) is sent again.
+const BROADCAST_TEXT_MAX = 4096;
+const BROADCAST_CAPTION_MAX = 1024;
+const BROADCAST_MAX_RETRIES = 5;
+const BROADCAST_CLAIM_TIMEOUT_SECONDS = 300;
+
+// Forum (services/forum.js): post length, and how often one user may post
+// (at least FORUM_POST_COOLDOWN_SECONDS apart, at most FORUM_POSTS_PER_HOUR an hour).
+// Moderators are exempt from the rate limit and the link filter.
+const FORUM_TITLE_MAX = 120;
+const FORUM_POST_MIN = 2;
+const FORUM_POST_MAX = 1000;
+const FORUM_POST_COOLDOWN_SECONDS = 30;
+const FORUM_POSTS_PER_HOUR = 20;
+
+module.exports = {
+  CAMPAIGN_MIN_VIEWS,
+  CAMPAIGN_MAX_VIEWS,
+  AD_MEDIA_TYPES,
+  AD_URL_MAX_LENGTH,
+  AD_SNIPPET_MAX_LENGTH,
+  AD_QUIZ_QUESTION_MAX_LENGTH,
+  AD_QUIZ_OPTION_MAX_LENGTH,
+  AD_QUIZ_MAX_OPTIONS,
+  VIP_REWARD_MULTIPLIER,
+  VIP_PLANS,
+  VIP_ACTIVE_SQL,
+  AD_HEARTBEAT_SECONDS,
+  MAX_OPEN_AD_SESSIONS,
+  LEDGER_TYPES,
+  LEDGER_TYPE_VALUES,
+  ADMIN_ROLES,
+  STAFF_ROLES_CACHE_MS,
+  SETTINGS_CACHE_MS,
+  BROADCAST_TEXT_MAX,
+  BROADCAST_CAPTION_MAX,
+  BROADCAST_MAX_RETRIES,
+  BROADCAST_CLAIM_TIMEOUT_SECONDS,
+  FORUM_TITLE_MAX,
+  FORUM_POST_MIN,
+  FORUM_POST_MAX,
+  FORUM_POST_COOLDOWN_SECONDS,
+  FORUM_POSTS_PER_HOUR,
+};
@@ -0,0 +1,16 @@
+const { Pool } = require("pg");
+
+function createPool(config) {
+  return new Pool({
+    connectionString: config.DATABASE_URL,
+    ssl: config.DATABASE_URL.includes("localhost") ? false : { rejectUnauthorized: false },
+  });
+}
+
+function qIdent(name) {
+  // Safe identifier from whitelist only
+  if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name)) throw new Error("Unsafe identifier");
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+module.exports = { createPool, qIdent };
@@ -0,0 +1,70 @@
+/**
+ * Anti-fraud scoring for completed ad sessions.
+ * Pure functions only: services/ads.js (getSessionFraudFacts) gathers the facts from
+ * the DB, this module turns them into fired signals and a risk score. Sessions scoring HOLD_SCORE or more
+ * get their reward held for admin review instead of being credited.
+ */
+
+const HOLD_SCORE = 50;
+
+// Signal weights; a session can fire several of them.
+const WEIGHTS = {
+  missing_heartbeats: 40, // watch page did not ping while the ad was running
+  hidden_while_watching: 30, // most pings reported the page as hidden
+  robotic_timing: 30, // the user starts ads at near-constant intervals
+  referrer_burst: 25, // the user's referrer signed up many accounts in a short time
+  abandoned_sessions: 15, // many started-but-never-completed sessions recently
+};
+
+const DEFAULTS = {
+  heartbeatSeconds: 5, // how often watch.html pings
+  minHeartbeatShare: 0.5, // share of expected pings that must arrive
+  maxHiddenShare: 0.5,
+  timingSampleSize: 5, // start-to-start gaps needed before timing is judged
+  timingStddevSeconds: 1,
+  referrerBurstSignups: 20, // signups of one referrer within 24h
+  abandonedSessions: 10, // unfinished sessions within the last hour
+};
+
+function stddev(values) {
+  if (!values.length) return 0;
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((a, b) => a + (b - mean) ** 2, 0) / values.length;
+  return Math.sqrt(variance);
+}
+
+/**
+ * facts: {
+ *   seconds,               // required watch time of the session
+ *   heartbeats,            // pings received for the session
+ *   hiddenHeartbeats,      // pings that reported document.hidden
+ *   recentStartGaps,       // seconds between the user's latest session starts, newest first
+ *   referrerSignups24h,    // accounts the user's referrer brought in during the last 24h (0 if none)
+ *   abandonedLastHour,     // user's unfinished sessions started in the last hour
+ * }
+ * Returns { score, signals: string[], hold: boolean }.
+ */
+function scoreSession(facts, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const signals = [];
+
+  const expected = Math.floor(Number(facts.seconds || 0) / opts.heartbeatSeconds);
+  const beats = Number(facts.heartbeats || 0);
+  if (expected >= 2 && beats < expected * opts.minHeartbeatShare) signals.push("missing_heartbeats");
+  if (beats > 0 && Number(facts.hiddenHeartbeats || 0) / beats > opts.maxHiddenShare) signals.push("hidden_while_watching");
+
+  // The watch page completes automatically, so watch durations are always alike;
+  // the gaps between starts are where a human varies and a script does not.
+  const gaps = (facts.recentStartGaps || []).map(Number).filter(Number.isFinite);
+  if (gaps.length >= opts.timingSampleSize && stddev(gaps.slice(0, opts.timingSampleSize)) < opts.timingStddevSeconds) {
+    signals.push("robotic_timing");
+  }
+
+  if (Number(facts.referrerSignups24h || 0) >= opts.referrerBurstSignups) signals.push("referrer_burst");
+  if (Number(facts.abandonedLastHour || 0) >= opts.abandonedSessions) signals.push("abandoned_sessions");
+
+  const score = signals.reduce((sum, s) => sum + (WEIGHTS[s] || 0), 0);
+  return { score, signals, hold: score >= (opts.holdScore ?? HOLD_SCORE) };
+}
+
+module.exports = { HOLD_SCORE, WEIGHTS, DEFAULTS, stddev, scoreSession };
@@ -0,0 +1,41 @@
+/**
+ * Message catalogue for bot replies, notifications and the WebApp pages.
+ * locales/<lang>.json maps flat keys to strings with {name} placeholders. A key
+ * missing from a language falls back to Turkish, then to the key itself.
+ * Keys under "web." are what GET /api/i18n serves to the pages (without the prefix).
+ */
+const SUPPORTED_LANGS = ["tr", "en", "az"];
+const DEFAULT_LANG = "tr";
+const LANG_NAMES = { tr: "🇹🇷 Türkçe", en: "🇬🇧 English", az: "🇦🇿 Azərbaycan" };
+
+const CATALOGUES = Object.fromEntries(SUPPORTED_LANGS.map((l) => [l, require(`./locales/${l}.json`)]));
+
+/** "en-US" -> "en"; null for anything we have no catalogue for. */
+function normalizeLang(code) {
+  const base = String(code || "").trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGS.includes(base) ? base : null;
+}
+
+// The user's /language choice wins over the language Telegram reports for their client.
+function resolveLang({ language, language_code } = {}) {
+  return normalizeLang(language) || normalizeLang(language_code) || DEFAULT_LANG;
+}
+
+function t(lang, key, params = {}) {
+  const text = CATALOGUES[lang]?.[key] ?? CATALOGUES[DEFAULT_LANG][key];
+  if (text === undefined) return key;
+  return text.replace(/\{(\w+)\}/g, (m, name) => (params[name] === undefined || params[name] === null ? m : String(params[name])));
+}
+
+/** Every string under `prefix` for `lang` (Turkish filling the gaps), keyed without the prefix. */
+function catalogue(lang, prefix) {
+  const out = {};
+  for (const source of [CATALOGUES[DEFAULT_LANG], CATALOGUES[lang] || {}]) {
+    for (const [key, text] of Object.entries(source)) {
+      if (key.startsWith(prefix)) out[key.slice(prefix.length)] = text;
+    }
+  }
+  return out;
+}
+
+module.exports = { SUPPORTED_LANGS, DEFAULT_LANG, LANG_NAMES, CATALOGUES, normalizeLang, resolveLang, t, catalogue };
@@ -0,0 +1,44 @@
+/**
+ * Bot keyboards. Every WebApp button carries a signed link token so pages opened
+ * outside Telegram's initData (e.g. desktop) can still start a session.
+ */
+const { Markup } = require("telegraf");
+const { t } = require("./i18n");
+
+function createKeyboards({ config, services, telegram }) {
+  const { PUBLIC_URL } = config;
+  const { auth, admin, locale } = services;
+
+  function linkQuery(tgId) {
+    return `tg_id=${encodeURIComponent(tgId)}&token=${auth.signLinkToken(tgId)}`;
+  }
+
+  // The admin button is only added for staff; role checks on /api/admin/* still apply.
+  // Labels are in `lang` (the user's stored language when omitted).
+  async function buildMainKeyboard(tgId, lang) {
+    lang = lang || (await locale.getUserLang(tgId));
+    const qp = linkQuery(tgId);
+    const staff = (await admin.getStaffRoles(tgId)).length > 0;
+    const button = (key, page) => Markup.button.webApp(t(lang, key), `${PUBLIC_URL}/webapp/${page}.html?${qp}`);
+    return Markup.keyboard([
+      [button("kb.convert", "convert"), button("kb.vip", "vip")],
+      [button("kb.create_ad", "create_ad"), button("kb.wallet", "wallet")],
+      [button("kb.withdraw", "withdraw"), button("kb.referral", "referral")],
+      [button("kb.advertiser", "advertiser"), ...(staff ? [button("kb.admin", "admin")] : [])],
+    ]).resize();
+  }
+
+  // Sends a fresh keyboard so the admin button appears/disappears after a role change.
+  async function sendStaffKeyboard(tgId, key, params) {
+    try {
+      const lang = await locale.getUserLang(tgId);
+      await telegram.sendMessage(tgId, t(lang, key, params), await buildMainKeyboard(tgId, lang));
+    } catch (e) {
+      console.warn("staff keyboard send failed", e?.message || e);
+    }
+  }
+
+  return { linkQuery, buildMainKeyboard, sendStaffKeyboard };
+}
+
+module.exports = { createKeyboards };
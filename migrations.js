@@ -0,0 +1,680 @@
+/**
+ * Versioned schema migrations.
+ * Every migration runs once, in id order, inside a transaction, and is recorded in
+ * public.schema_migrations. Never edit a migration that has been deployed; add a new one.
+ *
+ * Migrations 1-7 converge the two historical layouts onto the canonical schema
+ * (documented in schema.sql):
+ * - the old schema.sql layout (users keyed by tg_id with `balance`, ads with
+ *   `type`/`url`/`reward_gem`, ad_sessions keyed by `session_id` UUID with a `status`
+ *   column, `daily_views` and `withdrawals` tables)
+ * - the layout the old ensureSchema() in index.js created (users.balance_tl, ad_sessions
+ *   with `id bigserial` and `completed boolean`), including the column name variants
+ *   it used to guess at runtime.
+ *
+ * Usage: runMigrations(pool, { dryRun, log }) or `node index.js migrate [--dry-run]`.
+ */
+
+// pg_advisory_lock key so that two instances starting at once do not migrate concurrently.
+const LOCK_KEY = 7305220;
+
+async function columnsOf(db, table) {
+  const { rows } = await db.query(
+    `select column_name from information_schema.columns where table_schema='public' and table_name=$1`,
+    [table]
+  );
+  return new Set(rows.map((r) => r.column_name));
+}
+
+async function tableExists(db, table) {
+  return (await columnsOf(db, table)).size > 0;
+}
+
+/** Renames the first existing legacy column to `canonical` unless `canonical` already exists. */
+async function renameLegacyColumn(db, table, canonical, legacyNames) {
+  const cols = await columnsOf(db, table);
+  if (cols.has(canonical)) return;
+  const legacy = legacyNames.find((c) => cols.has(c));
+  if (legacy) await db.query(`alter table public.${table} rename column "${legacy}" to "${canonical}"`);
+}
+
+async function hasUniqueIndexOn(db, table, column) {
+  const { rows } = await db.query(
+    `select 1
+       from pg_index i
+       join pg_class t on t.oid = i.indrelid
+       join pg_namespace n on n.oid = t.relnamespace
+       join pg_attribute a on a.attrelid = t.oid and a.attnum = i.indkey[0]
+      where n.nspname='public' and t.relname=$1 and a.attname=$2 and i.indisunique and i.indnatts=1`,
+    [table, column]
+  );
+  return rows.length > 0;
+}
+
+const MIGRATIONS = [
+  {
+    id: 1,
+    name: "users_canonical",
+    async up(db) {
+      await db.query(`
+        create table if not exists public.users (
+          id bigserial primary key,
+          tg_id bigint unique not null,
+          balance_tl numeric not null default 0,
+          diamonds numeric not null default 0,
+          daily_ads_watched int not null default 0,
+          referred_by bigint,
+          panel_message_id bigint,
+          created_at timestamptz not null default now()
+        )
+      `);
+      // Column names the app used to guess at runtime (USERS_COL_CANDIDATES).
+      await renameLegacyColumn(db, "users", "tg_id", ["telegram_id", "user_id"]);
+      await renameLegacyColumn(db, "users", "balance_tl", ["tl_balance", "wallet_tl", "balance"]);
+      await renameLegacyColumn(db, "users", "diamonds", ["elmas", "diamond_balance", "diamond"]);
+      await renameLegacyColumn(db, "users", "daily_ads_watched", ["ads_watched_today", "daily_views", "daily_views_count"]);
+      await renameLegacyColumn(db, "users", "referred_by", ["referrer_tg_id", "ref_by"]);
+      await renameLegacyColumn(db, "users", "panel_message_id", ["menu_message_id"]);
+
+      await db.query(`
+        alter table public.users
+          add column if not exists id bigserial,
+          add column if not exists balance_tl numeric not null default 0,
+          add column if not exists diamonds numeric not null default 0,
+          add column if not exists daily_ads_watched int not null default 0,
+          add column if not exists daily_ads_day date,
+          add column if not exists referred_by bigint,
+          add column if not exists panel_message_id bigint,
+          add column if not exists created_at timestamptz not null default now(),
+          add column if not exists is_vip boolean not null default false,
+          add column if not exists vip_until timestamptz,
+          add column if not exists username text,
+          add column if not exists first_name text,
+          add column if not exists sessions_revoked_at timestamptz,
+          add column if not exists is_banned boolean not null default false,
+          add column if not exists ban_reason text,
+          add column if not exists banned_at timestamptz,
+          add column if not exists banned_by bigint
+      `);
+      // schema.sql used numeric(12,2); the ledger and rates work with unbounded numeric.
+      await db.query(`alter table public.users alter column balance_tl type numeric, alter column diamonds type numeric`);
+      // ensureUser() upserts on tg_id
+      if (!(await hasUniqueIndexOn(db, "users", "tg_id"))) {
+        await db.query(`create unique index users_tg_id_key on public.users (tg_id)`);
+      }
+    },
+  },
+  {
+    id: 2,
+    name: "ads_canonical",
+    async up(db) {
+      await db.query(`
+        create table if not exists public.ads (
+          id bigserial primary key,
+          title text,
+          seconds int not null default 10,
+          page_url text,
+          youtube_url text,
+          game_url text,
+          media_url text,
+          adsense_code text,
+          created_by bigint,
+          price_tl numeric not null default 0,
+          active boolean not null default true,
+          created_at timestamptz not null default now()
+        )
+      `);
+      await renameLegacyColumn(db, "ads", "reward_diamonds", ["reward_gem", "reward_gems"]);
+      await db.query(`
+        alter table public.ads
+          add column if not exists title text,
+          add column if not exists page_url text,
+          add column if not exists youtube_url text,
+          add column if not exists game_url text,
+          add column if not exists media_url text,
+          add column if not exists adsense_code text,
+          add column if not exists created_by bigint,
+          add column if not exists price_tl numeric not null default 0,
+          add column if not exists type text,
+          add column if not exists url text,
+          add column if not exists reward_tl numeric,
+          add column if not exists reward_diamonds numeric,
+          add column if not exists clicks int not null default 0,
+          add column if not exists max_clicks int,
+          add column if not exists status text not null default 'active',
+          add column if not exists target_views int,
+          add column if not exists budget_tl numeric,
+          add column if not exists spent_tl numeric not null default 0,
+          add column if not exists reviewed_at timestamptz,
+          add column if not exists reviewed_by bigint,
+          add column if not exists review_reason text,
+          add column if not exists is_vip boolean not null default false,
+          add column if not exists starts_at timestamptz,
+          add column if not exists ends_at timestamptz,
+          add column if not exists schedule_hours int[],
+          add column if not exists daily_cap_per_user int
+      `);
+      // schema.sql made type/url mandatory and limited type to video/image/html; self-service
+      // campaigns use the *_url columns instead and the admin panel also sends url/youtube.
+      await db.query(`alter table public.ads drop constraint if exists ads_type_check`);
+      await db.query(`
+        alter table public.ads
+          alter column type drop not null,
+          alter column url drop not null,
+          alter column reward_tl drop not null,
+          alter column reward_tl drop default,
+          alter column reward_diamonds drop not null,
+          alter column reward_diamonds drop default,
+          alter column reward_tl type numeric,
+          alter column reward_diamonds type numeric
+      `);
+    },
+  },
+  {
+    id: 3,
+    name: "ad_sessions_canonical",
+    async up(db) {
+      await db.query(`
+        create table if not exists public.ad_sessions (
+          id bigserial primary key,
+          tg_id bigint not null,
+          ad_id bigint not null references public.ads(id) on delete cascade,
+          seconds int not null,
+          started_at timestamptz not null default now(),
+          completed boolean not null default false,
+          completed_at timestamptz
+        )
+      `);
+
+      // schema.sql layout: session_id UUID primary key + status text
+      const cols = await columnsOf(db, "ad_sessions");
+      if (cols.has("session_id") && !cols.has("id")) {
+        await db.query(`alter table public.ad_sessions drop constraint if exists ad_sessions_pkey`);
+        await db.query(`alter table public.ad_sessions add column id bigserial`);
+        await db.query(`alter table public.ad_sessions add primary key (id)`);
+        await db.query(`alter table public.ad_sessions drop column session_id`);
+      }
+      await db.query(`
+        alter table public.ad_sessions
+          add column if not exists seconds int,
+          add column if not exists completed boolean not null default false
+      `);
+      if (cols.has("status")) {
+        await db.query(`update public.ad_sessions set completed = true where status = 'completed' or completed_at is not null`);
+        await db.query(`alter table public.ad_sessions drop column status`);
+      }
+      await db.query(`
+        update public.ad_sessions s set seconds = coalesce(a.seconds, 10)
+          from public.ads a
+         where a.id = s.ad_id and s.seconds is null
+      `);
+      await db.query(`update public.ad_sessions set seconds = 10 where seconds is null`);
+      await db.query(`alter table public.ad_sessions alter column seconds set not null`);
+
+      // reward_status: credited | held (waiting for fraud review) | released | rejected
+      await db.query(`
+        alter table public.ad_sessions
+          add column if not exists reward_tl numeric,
+          add column if not exists reward_diamonds numeric,
+          add column if not exists nonce text,
+          add column if not exists heartbeats int not null default 0,
+          add column if not exists hidden_heartbeats int not null default 0,
+          add column if not exists last_heartbeat_at timestamptz,
+          add column if not exists risk_score int,
+          add column if not exists risk_signals text[],
+          add column if not exists reward_status text,
+          add column if not exists payout_tl numeric,
+          add column if not exists payout_diamonds numeric,
+          add column if not exists reviewed_at timestamptz,
+          add column if not exists reviewed_by bigint
+      `);
+      await db.query(
+        `create index if not exists ad_sessions_held_idx on public.ad_sessions (tg_id) where reward_status = 'held'`
+      );
+      await db.query(`create index if not exists ad_sessions_tg_started_idx on public.ad_sessions (tg_id, started_at desc)`);
+    },
+  },
+  {
+    id: 4,
+    name: "money_and_admin_tables",
+    async up(db) {
+      await db.query(`
+        create table if not exists public.referral_earnings (
+          id bigserial primary key,
+          referrer_tg_id bigint not null,
+          referred_tg_id bigint not null,
+          amount_tl numeric not null default 0,
+          amount_diamonds numeric not null default 0,
+          created_at timestamptz not null default now()
+        )
+      `);
+      await db.query(`
+        alter table public.referral_earnings
+          add column if not exists level int not null default 1,
+          add column if not exists kind text not null default 'ongoing',
+          add column if not exists ad_session_id bigint
+      `);
+      await db.query(
+        `create index if not exists referral_earnings_referrer_idx on public.referral_earnings (referrer_tg_id, created_at)`
+      );
+      await db.query(`create index if not exists referral_earnings_referred_idx on public.referral_earnings (referred_tg_id)`);
+
+      // Append-only balance ledger. Rows are never updated or deleted; user
+      // balances must always equal the sum of their entries.
+      await db.query(`
+        create table if not exists public.ledger (
+          id bigserial primary key,
+          tg_id bigint not null,
+          type text not null,
+          amount_tl numeric not null default 0,
+          amount_diamonds numeric not null default 0,
+          balance_tl_after numeric,
+          diamonds_after numeric,
+          ref_type text,
+          ref_id text,
+          note text,
+          created_at timestamptz not null default now()
+        )
+      `);
+      await db.query(`create index if not exists ledger_tg_id_id_idx on public.ledger (tg_id, id desc)`);
+
+      // rate: target units per 1 source unit; fee_rate: share kept as fee;
+      // min/max: per conversion, daily_cap: per user per day (all in source units).
+      await db.query(`
+        create table if not exists public.conversion_rates (
+          direction text primary key,
+          rate numeric not null,
+          fee_rate numeric not null default 0,
+          min_amount numeric not null default 0,
+          max_amount numeric,
+          daily_cap numeric,
+          updated_at timestamptz not null default now(),
+          updated_by bigint
+        )
+      `);
+      await db.query(`
+        insert into public.conversion_rates (direction, rate, fee_rate, min_amount, max_amount, daily_cap)
+        values ('d2tl', 1, 0, 1, 10000, 1000), ('tl2d', 1, 0, 1, 10000, 1000)
+        on conflict (direction) do nothing
+      `);
+
+      await db.query(`
+        create table if not exists public.withdraw_requests (
+          id bigserial primary key,
+          tg_id bigint not null,
+          amount_tl numeric not null,
+          iban text not null,
+          status text not null default 'pending',
+          created_at timestamptz not null default now()
+        )
+      `);
+      await db.query(`
+        alter table public.withdraw_requests
+          add column if not exists full_name text,
+          add column if not exists reason text,
+          add column if not exists decided_at timestamptz,
+          add column if not exists decided_by bigint,
+          add column if not exists paid_at timestamptz,
+          add column if not exists refunded_at timestamptz
+      `);
+
+      // Only the sha256 of a session token is stored.
+      await db.query(`
+        create table if not exists public.webapp_sessions (
+          id bigserial primary key,
+          tg_id bigint not null,
+          token_hash text unique not null,
+          source text not null,
+          created_at timestamptz not null default now(),
+          expires_at timestamptz not null,
+          last_used_at timestamptz,
+          revoked_at timestamptz,
+          replaced_by bigint
+        )
+      `);
+      await db.query(`create index if not exists webapp_sessions_tg_idx on public.webapp_sessions (tg_id, created_at desc)`);
+
+      await db.query(`
+        create table if not exists public.admin_roles (
+          tg_id bigint not null,
+          role text not null,
+          granted_by bigint,
+          granted_at timestamptz not null default now(),
+          primary key (tg_id, role)
+        )
+      `);
+      await db.query(`
+        create table if not exists public.admin_audit (
+          id bigserial primary key,
+          actor_tg_id bigint,
+          action text not null,
+          target_type text not null,
+          target_id text,
+          before jsonb,
+          after jsonb,
+          note text,
+          created_at timestamptz not null default now()
+        )
+      `);
+      await db.query(`create index if not exists admin_audit_created_idx on public.admin_audit (created_at desc)`);
+      await db.query(`create index if not exists admin_audit_actor_idx on public.admin_audit (actor_tg_id, created_at desc)`);
+      await db.query(`create index if not exists admin_audit_target_idx on public.admin_audit (target_type, target_id)`);
+    },
+  },
+  {
+    id: 5,
+    name: "archive_legacy_tables",
+    async up(db) {
+      // schema.sql daily_views -> users.daily_ads_watched / daily_ads_day (latest day per user)
+      if (await tableExists(db, "daily_views")) {
+        await db.query(`
+          update public.users u
+             set daily_ads_watched = dv.seen, daily_ads_day = dv.day
+            from (select distinct on (tg_id) tg_id, day, seen from public.daily_views order by tg_id, day desc) dv
+           where dv.tg_id = u.tg_id and u.daily_ads_day is null
+        `);
+        await db.query(`alter table public.daily_views rename to daily_views_legacy`);
+      }
+      // schema.sql withdrawals -> withdraw_requests (the balance was already taken when they were created)
+      if (await tableExists(db, "withdrawals")) {
+        await db.query(`
+          insert into public.withdraw_requests (tg_id, amount_tl, iban, full_name, status, created_at, decided_at, decided_by, reason)
+          select tg_id, amount_tl, iban, full_name, status, created_at, decided_at, decided_by, 'legacy withdrawals #' || id
+            from public.withdrawals
+        `);
+        await db.query(`alter table public.withdrawals rename to withdrawals_legacy`);
+      }
+      // schema.sql advertiser_orders were handled by hand; campaigns now live on public.ads.
+      if (await tableExists(db, "advertiser_orders")) {
+        await db.query(`alter table public.advertiser_orders rename to advertiser_orders_legacy`);
+      }
+    },
+  },
+  {
+    id: 6,
+    name: "withdraw_requests_one_open",
+    async up(db, { log }) {
+      const { rows: dup } = await db.query(`
+        select tg_id from public.withdraw_requests
+         where status in ('pending','approved') group by tg_id having count(*) > 1 limit 5
+      `);
+      if (dup.length) {
+        log(`WARN: users with several open withdraw requests (${dup.map((r) => r.tg_id).join(", ")}); one-open-request index not created`);
+        return;
+      }
+      // one open (pending/approved) request per user
+      await db.query(
+        `create unique index if not exists withdraw_requests_one_open_idx
+           on public.withdraw_requests (tg_id) where status in ('pending','approved')`
+      );
+    },
+  },
+  {
+    id: 7,
+    name: "ledger_opening_balances",
+    async up(db) {
+      // Users that had a balance before the ledger existed get a single
+      // opening_balance entry so that sum(ledger) == balance holds for everyone.
+      await db.query(`
+        insert into public.ledger (tg_id, type, amount_tl, amount_diamonds, balance_tl_after, diamonds_after, note)
+        select u.tg_id, 'opening_balance', coalesce(u.balance_tl,0), coalesce(u.diamonds,0),
+               coalesce(u.balance_tl,0), coalesce(u.diamonds,0), 'ledger backfill'
+          from public.users u
+         where (coalesce(u.balance_tl,0) <> 0 or coalesce(u.diamonds,0) <> 0)
+           and not exists (select 1 from public.ledger l where l.tg_id = u.tg_id)
+      `);
+    },
+  },
+  {
+    id: 8,
+    name: "app_settings",
+    async up(db) {
+      // Admin overrides of runtime settings (services/settings.js); missing keys use defaults.
+      await db.query(`
+        create table if not exists public.app_settings (
+          key text primary key,
+          value jsonb not null,
+          updated_at timestamptz not null default now(),
+          updated_by bigint
+        )
+      `);
+    },
+  },
+  {
+    id: 9,
+    name: "users_language",
+    async up(db) {
+      // language: the user's /language choice; language_code: what Telegram last reported (i18n.js).
+      await db.query(`
+        alter table public.users
+          add column if not exists language text,
+          add column if not exists language_code text
+      `);
+    },
+  },
+  {
+    id: 10,
+    name: "broadcasts",
+    async up(db) {
+      // bot_blocked_at: Telegram answered 403 (the user blocked the bot); broadcasts skip them.
+      await db.query(`alter table public.users add column if not exists bot_blocked_at timestamptz`);
+      await db.query(`
+        create table if not exists public.broadcasts (
+          id bigserial primary key,
+          text text,
+          photo_url text,
+          button_text text,
+          button_url text,
+          segment jsonb not null default '{}'::jsonb,
+          status text not null default 'queued',
+          total int not null default 0,
+          created_by bigint,
+          created_at timestamptz not null default now(),
+          started_at timestamptz,
+          finished_at timestamptz
+        )
+      `);
+      await db.query(`
+        create table if not exists public.broadcast_deliveries (
+          broadcast_id bigint not null references public.broadcasts(id) on delete cascade,
+          tg_id bigint not null,
+          status text not null default 'pending',
+          error text,
+          attempts int not null default 0,
+          claimed_at timestamptz,
+          sent_at timestamptz,
+          primary key (broadcast_id, tg_id)
+        )
+      `);
+      await db.query(
+        `create index if not exists broadcast_deliveries_open_idx on public.broadcast_deliveries (broadcast_id) where status in ('pending','sending')`
+      );
+    },
+  },
+  {
+    id: 11,
+    name: "forum",
+    async up(db) {
+      // The old schema.sql already had forum_topics / forum_posts (migration 5 left them
+      // alone); keep their rows and add what the forum API needs.
+      await db.query(`
+        create table if not exists public.forum_topics (
+          id serial primary key,
+          title text not null,
+          is_open boolean not null default true,
+          created_by bigint not null,
+          created_at timestamptz not null default now()
+        )
+      `);
+      await db.query(`
+        alter table public.forum_topics
+          add column if not exists body text,
+          add column if not exists closed_at timestamptz,
+          add column if not exists closed_by bigint,
+          add column if not exists broadcast_id bigint
+      `);
+      await db.query(`
+        create table if not exists public.forum_posts (
+          id serial primary key,
+          topic_id int not null references public.forum_topics(id) on delete cascade,
+          tg_id bigint not null,
+          message text not null,
+          created_at timestamptz not null default now()
+        )
+      `);
+      await db.query(`
+        alter table public.forum_posts
+          add column if not exists deleted_at timestamptz,
+          add column if not exists deleted_by bigint
+      `);
+      await db.query(`create index if not exists forum_posts_topic_idx on public.forum_posts (topic_id, id)`);
+      await db.query(`create index if not exists forum_posts_author_idx on public.forum_posts (tg_id, created_at desc)`);
+    },
+  },
+  {
+    id: 12,
+    name: "bot_sessions",
+    async up(db) {
+      // Bot conversations in progress (e.g. /withdraw), so they survive restarts and
+      // work whichever instance receives the webhook.
+      await db.query(`
+        create table if not exists public.bot_sessions (
+          key text primary key,
+          data jsonb not null,
+          updated_at timestamptz not null default now()
+        )
+      `);
+    },
+  },
+  {
+    id: 13,
+    name: "ad_moderation",
+    async up(db) {
+      // Campaigns start as drafts and are charged when sent for review; pending_review
+      // is called in_review from now on. media_type: what the creative check found
+      // behind media_url ("image" | "video").
+      await db.query(`
+        alter table public.ads
+          add column if not exists media_type text,
+          add column if not exists submitted_at timestamptz
+      `);
+      await db.query(`update public.ads set status='in_review' where status='pending_review'`);
+    },
+  },
+  {
+    id: 14,
+    name: "ad_interactions",
+    async up(db) {
+      // interaction: null (time only) | 'quiz' (quiz = { question, options, answer }) |
+      // 'click' (the watcher must open click_url through /api/ad/click before completing).
+      await db.query(`
+        alter table public.ads
+          add column if not exists interaction text,
+          add column if not exists quiz jsonb,
+          add column if not exists click_url text
+      `);
+      await db.query(`
+        alter table public.ad_sessions
+          add column if not exists answer int,
+          add column if not exists answer_correct boolean,
+          add column if not exists clicked_at timestamptz
+      `);
+    },
+  },
+  {
+    id: 15,
+    name: "idempotency_keys",
+    async up(db) {
+      // Idempotency-Key of money-moving requests (services/idempotency.js). status and
+      // response stay null while the first request is still running.
+      await db.query(`
+        create table if not exists public.idempotency_keys (
+          tg_id bigint not null,
+          key text not null,
+          scope text not null,
+          request_hash text not null,
+          status int,
+          response jsonb,
+          created_at timestamptz not null default now(),
+          primary key (tg_id, key)
+        )
+      `);
+    },
+  },
+  {
+    id: 16,
+    name: "ad_sessions_charged",
+    async up(db) {
+      // charged_tl: what the view took from the campaign budget (0 once the campaign was
+      // cancelled or used up). Older views get their campaign's spent_tl handed out in
+      // completion order, price_tl each.
+      await db.query(`alter table public.ad_sessions add column if not exists charged_tl numeric not null default 0`);
+      await db.query(`
+        update public.ad_sessions s
+           set charged_tl = greatest(0, least(a.price_tl, a.spent_tl - a.price_tl * (o.n - 1)))
+          from (select id, row_number() over (partition by ad_id order by completed_at, id) as n
+                  from public.ad_sessions where completed) o,
+               public.ads a
+         where o.id = s.id and a.id = s.ad_id and a.budget_tl is not null
+      `);
+    },
+  },
+];
+
+function loggingClient(client, log) {
+  return {
+    query(text, params) {
+      log(`  ${String(text).replace(/\s+/g, " ").trim()}${params?.length ? `  -- ${JSON.stringify(params)}` : ""}`);
+      return client.query(text, params);
+    },
+  };
+}
+
+/**
+ * Applies pending migrations. With dryRun everything runs in one transaction that
+ * is rolled back at the end, printing each statement.
+ * Returns { pending: [{id, name}], applied: number[] }.
+ */
+async function runMigrations(pool, { dryRun = false, log = console.log } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query("select pg_advisory_lock($1)", [LOCK_KEY]);
+    if (dryRun) await client.query("begin");
+    await client.query(`
+      create table if not exists public.schema_migrations (
+        id int primary key,
+        name text not null,
+        applied_at timestamptz not null default now()
+      )
+    `);
+    const { rows } = await client.query(`select id from public.schema_migrations`);
+    const done = new Set(rows.map((r) => Number(r.id)));
+    const pending = MIGRATIONS.filter((m) => !done.has(m.id));
+    const applied = [];
+
+    for (const m of pending) {
+      log(`${dryRun ? "[dry-run] " : ""}migration ${m.id} ${m.name}`);
+      const db = dryRun ? loggingClient(client, log) : client;
+      if (!dryRun) await client.query("begin");
+      try {
+        await m.up(db, { log });
+        await client.query(`insert into public.schema_migrations (id, name) values ($1,$2)`, [m.id, m.name]);
+        if (!dryRun) await client.query("commit");
+      } catch (e) {
+        await client.query("rollback").catch(() => {});
+        e.message = `migration ${m.id} ${m.name} failed: ${e.message}`;
+        throw e;
+      }
+      if (!dryRun) applied.push(m.id);
+    }
+
+    if (dryRun) await client.query("rollback");
+    if (!pending.length) log("schema up to date");
+    return { pending: pending.map((m) => ({ id: m.id, name: m.name })), applied };
+  } finally {
+    await client.query("select pg_advisory_unlock($1)", [LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+module.exports = { MIGRATIONS, runMigrations };
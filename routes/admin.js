@@ -0,0 +1,186 @@
+const express = require("express");
+const { handle, fail, send } = require("../services/result");
+
+// Audit CSV export cell: JSON for objects, ISO for dates, quoted when needed.
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  const str = typeof v === "object" && !(v instanceof Date) ? JSON.stringify(v) : v instanceof Date ? v.toISOString() : String(v);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function createAdminRoutes({ services, middleware, keyboards, config }) {
+  const { admin, audit, settings, wallet, ads, withdrawals, broadcasts, forum, stats } = services;
+  const { requireWebAppAuth, requireRole } = middleware;
+  const router = express.Router();
+  const actor = (req) => Number(req.tgUser.id);
+
+  router.get("/api/admin/me", requireWebAppAuth, requireRole(), async (req, res) => {
+    res.json({ ok: true, tg_id: Number(req.tgUser.id), username: req.tgUser.username || null, roles: req.staffRoles, base_url: config.PUBLIC_URL });
+  });
+
+  router.get("/api/admin/staff", requireWebAppAuth, requireRole("super_admin"), handle("admin staff error", () => admin.listStaff()));
+
+  // body: { tg_id, role, action: "grant" | "revoke" }
+  router.post("/api/admin/staff", requireWebAppAuth, requireRole("super_admin"), handle("admin staff update error", async (req) => {
+    const r = await admin.changeStaffRole(req.body, req.tgUser.id);
+    if (r.ok && r.changed) {
+      await keyboards.sendStaffKeyboard(r.tg_id, req.body?.action === "revoke" ? "staff.revoked" : "staff.granted", { role: r.role });
+    }
+    return r;
+  }));
+
+  // Audit trail. query: actor, action, target_type, target_id, from, to (ISO dates, to exclusive),
+  // limit/offset; format=csv downloads up to 10000 rows.
+  router.get("/api/admin/audit", requireWebAppAuth, requireRole("finance", "analyst"), async (req, res) => {
+    const csv = String(req.query.format || "").toLowerCase() === "csv";
+    if (!csv) return handle("admin audit error", () => audit.listAudit(req.query))(req, res);
+    try {
+      const r = await audit.listAudit(req.query, { csv: true });
+      if (!r.ok) return send(res, r);
+      const cols = ["id", "created_at", "actor_tg_id", "action", "target_type", "target_id", "before", "after", "note"];
+      const lines = [cols.join(","), ...r.entries.map((e) => cols.map((c) => csvCell(e[c])).join(","))];
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="admin_audit.csv"`);
+      res.send(lines.join("\r\n"));
+    } catch (e) {
+      console.error("admin audit error", e);
+      res.status(500).json({ ok: false, error: "server_error" });
+    }
+  });
+
+  router.get("/api/admin/ledger/reconcile", requireWebAppAuth, requireRole("finance", "analyst"), handle("admin ledger reconcile error", async (req) => {
+    const tg_id = Number(req.query.tg_id || 0);
+    if (!tg_id) return fail(400, "bad_tg_id");
+    return { ok: true, ...(await wallet.reconcileUser(tg_id)) };
+  }));
+
+  // Dashboard numbers. query: from, to (YYYY-MM-DD, both included; default the last 30 days)
+  router.get("/api/admin/stats", requireWebAppAuth, requireRole("finance", "analyst"), handle("admin stats error", (req) =>
+    stats.getStats(req.query)
+  ));
+
+  // Ads
+  router.get("/api/admin/ads", requireWebAppAuth, requireRole("moderator", "analyst"), handle("admin ads list error", () => ads.listAds()));
+  router.post("/api/admin/ads", requireWebAppAuth, requireRole("moderator"), handle("admin ads create error", (req) =>
+    ads.createAd(req.body, actor(req))
+  ));
+  router.patch("/api/admin/ads/:id", requireWebAppAuth, requireRole("moderator"), handle("admin ads update error", (req) =>
+    ads.updateAd(Number(req.params.id), req.body, actor(req))
+  ));
+
+  // Conversion rates
+  router.get("/api/admin/conversion_rates", requireWebAppAuth, requireRole("finance", "analyst"), handle("admin conversion rates error", async () => ({
+    ok: true,
+    rates: await wallet.getConversionRates(),
+  })));
+  router.patch("/api/admin/conversion_rates/:direction", requireWebAppAuth, requireRole("finance"), handle("admin conversion rates update error", (req) =>
+    wallet.updateConversionRate(String(req.params.direction || "").toLowerCase(), req.body, actor(req))
+  ));
+
+  // Runtime settings (rewards, prices, limits). body: { <key>: value | null (= default), ... }
+  router.get("/api/admin/settings", requireWebAppAuth, requireRole("finance", "analyst"), handle("admin settings error", () =>
+    settings.listSettings()
+  ));
+  router.patch("/api/admin/settings", requireWebAppAuth, requireRole("finance"), handle("admin settings update error", (req) =>
+    settings.updateSettings(req.body, actor(req))
+  ));
+
+  // Users
+  router.get("/api/admin/users", requireWebAppAuth, requireRole("finance", "moderator", "analyst"), handle("admin users search error", (req) =>
+    admin.searchUsers(req.query)
+  ));
+  router.get("/api/admin/users/:tg_id", requireWebAppAuth, requireRole("finance", "moderator", "analyst"), handle("admin user detail error", (req) =>
+    admin.getUserDetail(Number(req.params.tg_id))
+  ));
+  router.post("/api/admin/users/:tg_id/adjust", requireWebAppAuth, requireRole("finance"), handle("admin user adjust error", (req) =>
+    admin.adjustBalance(Number(req.params.tg_id), req.body, actor(req))
+  ));
+  router.post("/api/admin/users/:tg_id/ban", requireWebAppAuth, requireRole("moderator"), handle("admin user ban error", (req) =>
+    admin.setUserBan(Number(req.params.tg_id), req.body, true, actor(req))
+  ));
+  router.post("/api/admin/users/:tg_id/unban", requireWebAppAuth, requireRole("moderator"), handle("admin user ban error", (req) =>
+    admin.setUserBan(Number(req.params.tg_id), req.body, false, actor(req))
+  ));
+
+  // WebApp sessions
+  router.get("/api/admin/users/:tg_id/sessions", requireWebAppAuth, requireRole("super_admin"), handle("admin sessions error", (req) =>
+    admin.listUserSessions(Number(req.params.tg_id))
+  ));
+  router.post("/api/admin/users/:tg_id/sessions/revoke", requireWebAppAuth, requireRole("super_admin"), handle("admin sessions revoke error", (req) =>
+    admin.revokeSessions(Number(req.params.tg_id), actor(req))
+  ));
+
+  // Fraud review
+  router.get("/api/admin/fraud/flagged", requireWebAppAuth, requireRole("finance", "moderator", "analyst"), handle("admin fraud flagged error", (req) =>
+    ads.listFlaggedUsers(Math.max(1, Math.min(90, parseInt(req.query.days, 10) || 7)))
+  ));
+  router.get("/api/admin/fraud/sessions", requireWebAppAuth, requireRole("finance", "moderator", "analyst"), handle("admin fraud sessions error", (req) =>
+    ads.listHeldSessions(req.query.tg_id ? Number(req.query.tg_id) : null)
+  ));
+  router.post("/api/admin/fraud/sessions/:id/resolve", requireWebAppAuth, requireRole("finance"), handle("admin fraud resolve error", (req) => {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id)) return fail(400, "bad_id");
+    return ads.resolveHeldSessions({ id }, req.body, actor(req));
+  }));
+  router.post("/api/admin/fraud/users/:tg_id/resolve", requireWebAppAuth, requireRole("finance"), handle("admin fraud resolve error", (req) => {
+    const tg_id = Number(req.params.tg_id);
+    if (!Number.isFinite(tg_id)) return fail(400, "bad_tg_id");
+    return ads.resolveHeldSessions({ tg_id }, req.body, actor(req));
+  }));
+
+  // Campaign review queue (advertiser-funded ads waiting for approval).
+  // review body: { decision: "approve" | "reject", reason } (reason required to reject)
+  router.get("/api/admin/campaigns", requireWebAppAuth, requireRole("moderator", "analyst"), handle("admin campaigns list error", (req) =>
+    ads.listCampaigns(String(req.query.status || "in_review"))
+  ));
+  router.post("/api/admin/campaigns/:id/review", requireWebAppAuth, requireRole("moderator"), handle("admin campaign review error", (req) =>
+    ads.reviewCampaign(Number(req.params.id), req.body, actor(req))
+  ));
+
+  // Withdrawals
+  router.get("/api/admin/withdraw_requests", requireWebAppAuth, requireRole("finance", "analyst"), handle("admin withdraw list error", (req) =>
+    withdrawals.listRequests(req.query.status ? String(req.query.status).toLowerCase() : null)
+  ));
+  const setWithdrawStatus = handle("admin withdraw update error", (req) =>
+    withdrawals.setStatus(Number(req.params.id), req.body, actor(req))
+  );
+  router.post("/api/admin/withdraw_requests/:id/set_status", requireWebAppAuth, requireRole("finance"), setWithdrawStatus);
+  // admin.html sends PATCH /api/admin/withdraw_requests/:id
+  router.patch("/api/admin/withdraw_requests/:id", requireWebAppAuth, requireRole("finance"), setWithdrawStatus);
+
+  // Broadcasts. segment: { vip, active_days, min_balance_tl, referrers }
+  router.get("/api/admin/broadcasts", requireWebAppAuth, requireRole("moderator", "analyst"), handle("admin broadcasts list error", (req) =>
+    broadcasts.listBroadcasts(req.query.limit)
+  ));
+  router.post("/api/admin/broadcasts/preview", requireWebAppAuth, requireRole("moderator"), handle("admin broadcast preview error", (req) =>
+    broadcasts.countRecipients(req.body?.segment)
+  ));
+  // body: { text, photo_url?, button_text?, button_url?, segment }
+  router.post("/api/admin/broadcasts", requireWebAppAuth, requireRole("moderator"), handle("admin broadcast create error", (req) =>
+    broadcasts.createBroadcast(req.body, actor(req))
+  ));
+  router.get("/api/admin/broadcasts/:id", requireWebAppAuth, requireRole("moderator", "analyst"), handle("admin broadcast report error", (req) =>
+    broadcasts.getReport(Number(req.params.id))
+  ));
+  router.post("/api/admin/broadcasts/:id/cancel", requireWebAppAuth, requireRole("moderator"), handle("admin broadcast cancel error", (req) =>
+    broadcasts.cancelBroadcast(Number(req.params.id), actor(req))
+  ));
+
+  // Forum moderation (reading and posting: routes/forum.js). body: { title, body?, announce? }
+  router.post("/api/admin/forum/topics", requireWebAppAuth, requireRole("moderator"), handle("admin forum topic error", (req) =>
+    forum.createTopic(req.body, actor(req))
+  ));
+  router.post("/api/admin/forum/topics/:id/close", requireWebAppAuth, requireRole("moderator"), handle("admin forum topic error", (req) =>
+    forum.setTopicOpen(Number(req.params.id), false, actor(req))
+  ));
+  router.post("/api/admin/forum/topics/:id/reopen", requireWebAppAuth, requireRole("moderator"), handle("admin forum topic error", (req) =>
+    forum.setTopicOpen(Number(req.params.id), true, actor(req))
+  ));
+  router.post("/api/admin/forum/posts/:id/delete", requireWebAppAuth, requireRole("moderator"), handle("admin forum post delete error", (req) =>
+    forum.deletePost(Number(req.params.id), actor(req))
+  ));
+
+  return router;
+}
+
+module.exports = { csvCell, createAdminRoutes };
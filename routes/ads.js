@@ -0,0 +1,58 @@
+const express = require("express");
+const { handle, send } = require("../services/result");
+
+// Watch flow, self-service campaigns and the advertiser dashboard.
+function createAdRoutes({ services, middleware }) {
+  const { ads } = services;
+  const { requireWebAppAuth, idempotent } = middleware;
+  const router = express.Router();
+  const me = (req) => Number(req.tgUser.id);
+
+  router.post("/api/ad/heartbeat", requireWebAppAuth, handle("ad/heartbeat error", (req) => ads.heartbeat(me(req), req.body)));
+  router.post("/api/ad/start", requireWebAppAuth, handle("ad/start error", (req) => ads.startWatch(me(req))));
+  router.post("/api/ad/complete", requireWebAppAuth, idempotent("ad_complete"), handle("ad/complete error", (req) =>
+    ads.completeWatch(me(req), req.body, { idempotency: req.idempotency })
+  ));
+  // Click ads: the watcher's browser opens this link (no WebApp auth there); the nonce
+  // ties it to the session, then it redirects to the advertiser.
+  router.get("/api/ad/click/:id", async (req, res) => {
+    try {
+      const r = await ads.recordClick(Number(req.params.id), String(req.query.nonce || ""));
+      if (!r.ok) return send(res, r);
+      res.redirect(302, r.url);
+    } catch (e) {
+      console.error("ad/click error", e);
+      res.status(500).json({ ok: false, error: "server_error" });
+    }
+  });
+
+  // body: { title, seconds, target_views, page_url, youtube_url, game_url, media_url, adsense_code,
+  //         quiz? | click_url?, draft? }
+  router.post("/api/ad/create", requireWebAppAuth, idempotent("ad_create"), handle("ad/create error", (req) =>
+    ads.createCampaign(me(req), req.body, { idempotency: req.idempotency })
+  ));
+  router.post("/api/ad/:id/submit", requireWebAppAuth, idempotent("ad_submit"), handle("ad submit error", (req) =>
+    ads.submitCampaign(me(req), Number(req.params.id), { idempotency: req.idempotency })
+  ));
+  router.post("/api/ad/:id/cancel", requireWebAppAuth, handle("ad cancel error", (req) =>
+    ads.cancelCampaign(me(req), Number(req.params.id))
+  ));
+
+  router.post("/api/advertiser/ads", requireWebAppAuth, handle("advertiser ads error", async (req) => ({
+    ok: true,
+    ads: await ads.getAdvertiserAdStats(me(req)),
+  })));
+  router.post("/api/advertiser/ads/:id", requireWebAppAuth, handle("advertiser ad detail error", (req) =>
+    ads.getAdvertiserAdDetail(me(req), Number(req.params.id), req.body)
+  ));
+  router.post("/api/advertiser/ads/:id/pause", requireWebAppAuth, handle("advertiser pause/resume error", (req) =>
+    ads.setOwnAdPaused(me(req), Number(req.params.id), true)
+  ));
+  router.post("/api/advertiser/ads/:id/resume", requireWebAppAuth, handle("advertiser pause/resume error", (req) =>
+    ads.setOwnAdPaused(me(req), Number(req.params.id), false)
+  ));
+
+  return router;
+}
+
+module.exports = { createAdRoutes };
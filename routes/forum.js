@@ -0,0 +1,30 @@
+const express = require("express");
+const { handle } = require("../services/result");
+const { hasRole } = require("../services/admin");
+
+function createForumRoutes({ services, middleware }) {
+  const { forum, admin } = services;
+  const { requireWebAppAuth } = middleware;
+  const router = express.Router();
+
+  const isModerator = async (req) => hasRole(await admin.getStaffRoles(req.tgUser.id), ["moderator"]);
+
+  // query: limit, offset. can_moderate tells the page whether to show the moderator tools.
+  router.get("/api/forum/topics", requireWebAppAuth, handle("/api/forum/topics error", async (req) => ({
+    ...(await forum.listTopics(req.query)),
+    can_moderate: await isModerator(req),
+  })));
+
+  router.get("/api/forum/topics/:id/posts", requireWebAppAuth, handle("/api/forum/posts error", (req) =>
+    forum.listPosts(Number(req.params.id), req.query)
+  ));
+
+  // body: { message }
+  router.post("/api/forum/topics/:id/posts", requireWebAppAuth, handle("/api/forum/post error", async (req) =>
+    forum.createPost(Number(req.params.id), Number(req.tgUser.id), req.body, { moderator: await isModerator(req) })
+  ));
+
+  return router;
+}
+
+module.exports = { createForumRoutes };
@@ -0,0 +1,21 @@
+const express = require("express");
+const { handle } = require("../services/result");
+const { SUPPORTED_LANGS, resolveLang, catalogue } = require("../i18n");
+
+function createI18nRoutes({ services, middleware }) {
+  const { locale } = services;
+  const { optionalWebAppAuth } = middleware;
+  const router = express.Router();
+
+  // Public: the WebApp strings (webapp/i18n.js). ?lang= is the Telegram client language;
+  // a signed-in user's /language choice wins over it.
+  router.get("/api/i18n", optionalWebAppAuth, handle("i18n error", async (req) => {
+    const stored = req.tgUser ? await locale.getUserLocale(req.tgUser.id) : {};
+    const lang = resolveLang({ language: stored.language, language_code: req.query.lang || stored.language_code });
+    return { ok: true, lang, languages: SUPPORTED_LANGS, strings: catalogue(lang, "web.") };
+  }));
+
+  return router;
+}
+
+module.exports = { createI18nRoutes };
@@ -0,0 +1,136 @@
+const { fail, send } = require("../services/result");
+const { revokedSince, bannedResult } = require("../services/auth");
+const { hasRole } = require("../services/admin");
+
+function sessionTokenFrom(req) {
+  const auth = String(req.headers.authorization || "");
+  if (auth.toLowerCase().startsWith("bearer ")) return auth.slice(7).trim();
+  return req.headers["x-session-token"] || null;
+}
+
+// Telegram WebApp initData may be sent with different header names depending on the client.
+// Node.js lowercases all incoming header keys.
+function initDataFrom(req) {
+  return (
+    req.headers["x-telegram-initdata"] ||
+    req.headers["x-telegram-init-data"] ||
+    req.headers["x-tg-initdata"] ||
+    req.headers["x-tg-init-data"] ||
+    req.body?.initData ||
+    req.query?.initData
+  );
+}
+
+function createMiddleware({ auth, admin, idempotency }) {
+  // Identifies the caller by initData or session token: { ok: true, tgUser, session, initData } or a fail() result.
+  async function authenticate(req) {
+    const initData = initDataFrom(req);
+    const v = auth.verifyInitData(initData);
+    let session = null;
+    if (!v.ok) {
+      const token = sessionTokenFrom(req);
+      if (!token) return fail(401, initData ? v.reason : "unauthorized");
+      session = await auth.findWebAppSession(token);
+      if (!session) return fail(401, "session_expired");
+    }
+
+    const tgUser = v.ok ? v.user : { id: Number(session.tg_id) };
+    const access = await auth.getUserAccess(tgUser.id);
+    if (access.is_banned) return bannedResult(access);
+    if (v.ok && revokedSince(access, v.auth_date)) return fail(401, "session_revoked");
+    return { ok: true, tgUser, session, initData: v.ok ? initData : null };
+  }
+
+  function setCaller(req, r) {
+    req.tgUser = r.tgUser;
+    req.session = r.session;
+    req.initData = r.initData;
+  }
+
+  async function requireWebAppAuth(req, res, next) {
+    try {
+      const r = await authenticate(req);
+      if (!r.ok) return send(res, r);
+      setCaller(req, r);
+      return next();
+    } catch (e) {
+      console.error("webapp auth error", e);
+      return res.status(500).json({ ok: false, error: "server_error" });
+    }
+  }
+
+  // For public endpoints that answer differently for a signed-in user: sets req.tgUser
+  // when the credentials are valid and otherwise carries on anonymously.
+  async function optionalWebAppAuth(req, res, next) {
+    if (!initDataFrom(req) && !sessionTokenFrom(req)) return next();
+    try {
+      const r = await authenticate(req);
+      if (r.ok) setCaller(req, r);
+    } catch (e) {
+      console.error("webapp auth error", e);
+    }
+    return next();
+  }
+
+  /**
+   * Express middleware: the caller must hold one of `allowed` roles
+   * (no arguments = any staff role). Sets req.staffRoles.
+   */
+  function requireRole(...allowed) {
+    return async (req, res, next) => {
+      if (!req.tgUser?.id) return res.status(401).json({ ok: false, error: "unauthorized" });
+      try {
+        const roles = await admin.getStaffRoles(req.tgUser.id);
+        if (!hasRole(roles, allowed)) return res.status(403).json({ ok: false, error: "forbidden" });
+        req.staffRoles = roles;
+        return next();
+      } catch (e) {
+        console.error("role check error", e);
+        return res.status(500).json({ ok: false, error: "server_error" });
+      }
+    };
+  }
+
+  /**
+   * Express middleware for money-moving endpoints (after requireWebAppAuth): honours an
+   * Idempotency-Key header by replaying the stored response of the first request with
+   * that key (services/idempotency.js). Requests without the header run as usual.
+   * Sets req.idempotency, which the route hands to the service: its store(client, result)
+   * saves the response inside the transaction that moves the money.
+   */
+  function idempotent(scope) {
+    return async (req, res, next) => {
+      const key = req.headers["idempotency-key"];
+      if (key === undefined) return next();
+      const tgId = Number(req.tgUser.id);
+      // the path's ids are part of the request, e.g. which campaign /api/ad/:id/submit sends
+      const target = [scope, ...Object.values(req.params)].join(":");
+      try {
+        const r = await idempotency.begin(tgId, String(key), target, req.body);
+        if (!r.ok) return send(res, r);
+        if (r.replay) {
+          res.set("Idempotent-Replayed", "true");
+          return res.status(r.status).json(r.response);
+        }
+      } catch (e) {
+        console.error("idempotency error", e);
+        return res.status(500).json({ ok: false, error: "server_error" });
+      }
+      req.idempotency = { store: (client, result) => idempotency.store(client, tgId, String(key), result) };
+      // the key is settled before the response is sent, so a retry never finds it still open
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        idempotency
+          .finish(tgId, String(key), res.statusCode, body)
+          .catch((e) => console.error("idempotency store error", e))
+          .finally(() => json(body));
+        return res;
+      };
+      return next();
+    };
+  }
+
+  return { requireWebAppAuth, optionalWebAppAuth, requireRole, idempotent };
+}
+
+module.exports = { sessionTokenFrom, createMiddleware };
@@ -0,0 +1,26 @@
+const express = require("express");
+const { handle } = require("../services/result");
+
+function createReferralRoutes({ services, middleware }) {
+  const { referral } = services;
+  const { requireWebAppAuth } = middleware;
+  const router = express.Router();
+
+  router.get("/api/referral", requireWebAppAuth, handle("/api/referral error", (req) =>
+    referral.getReferralInfo(Number(req.tgUser.id))
+  ));
+
+  router.get("/api/referral/list", requireWebAppAuth, handle("/api/referral/list error", (req) =>
+    referral.listReferrals(Number(req.tgUser.id), req.query)
+  ));
+
+  router.get("/api/referral/leaderboard", requireWebAppAuth, handle("/api/referral/leaderboard error", async (req) => {
+    const top = await referral.getReferralLeaderboard(10);
+    const me = Number(req.tgUser.id);
+    return { ok: true, leaderboard: top.map(({ tg_id, ...r }) => ({ ...r, is_me: tg_id === me })) };
+  }));
+
+  return router;
+}
+
+module.exports = { createReferralRoutes };
@@ -0,0 +1,24 @@
+const express = require("express");
+const { handle } = require("../services/result");
+
+function createSessionRoutes({ services, middleware }) {
+  const { auth } = services;
+  const { requireWebAppAuth } = middleware;
+  const router = express.Router();
+
+  // Session exchange: initData or keyboard link token (tg_id + token) -> session token.
+  router.post("/api/session", handle("session error", (req) =>
+    auth.openSession({
+      initData: req.headers["x-telegram-initdata"] || req.headers["x-telegram-init-data"] || req.body?.initData,
+      tg_id: req.body?.tg_id,
+      token: req.body?.token,
+    })
+  ));
+
+  router.post("/api/session/refresh", requireWebAppAuth, handle("session refresh error", (req) => auth.refreshSession(req.session)));
+  router.post("/api/session/logout", requireWebAppAuth, handle("session logout error", (req) => auth.closeSession(req.session)));
+
+  return router;
+}
+
+module.exports = { createSessionRoutes };
@@ -0,0 +1,14 @@
+const express = require("express");
+const { handle } = require("../services/result");
+
+function createSettingsRoutes({ services }) {
+  const { settings } = services;
+  const router = express.Router();
+
+  // Public: rewards, prices and limits the WebApp pages display (no auth, nothing secret).
+  router.get("/api/settings", handle("settings error", async () => ({ ok: true, settings: await settings.getSettings() })));
+
+  return router;
+}
+
+module.exports = { createSettingsRoutes };
@@ -0,0 +1,29 @@
+const express = require("express");
+const { handle } = require("../services/result");
+
+// Balances, ledger history, VIP and diamond <-> TL conversion.
+function createWalletRoutes({ services, middleware }) {
+  const { wallet } = services;
+  const { requireWebAppAuth, idempotent } = middleware;
+  const router = express.Router();
+  const me = (req) => Number(req.tgUser.id);
+
+  router.post("/api/wallet", requireWebAppAuth, handle("wallet error", (req) => wallet.getWallet(me(req))));
+  router.post("/api/wallet/history", requireWebAppAuth, handle("wallet history error", (req) =>
+    wallet.getHistory(me(req), { ...req.query, ...req.body })
+  ));
+
+  router.post("/api/vip", requireWebAppAuth, handle("vip status error", (req) => wallet.getVipOverview(me(req))));
+  router.post("/api/vip/buy", requireWebAppAuth, idempotent("vip_buy"), handle("vip buy error", (req) =>
+    wallet.buyVip(me(req), req.body, { idempotency: req.idempotency })
+  ));
+
+  router.post("/api/convert/quote", requireWebAppAuth, handle("convert quote error", (req) => wallet.quote(me(req), req.body)));
+  router.post("/api/convert", requireWebAppAuth, idempotent("convert"), handle("convert error", (req) =>
+    wallet.convert(me(req), req.body, { idempotency: req.idempotency })
+  ));
+
+  return router;
+}
+
+module.exports = { createWalletRoutes };
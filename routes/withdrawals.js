@@ -0,0 +1,19 @@
+const express = require("express");
+const { handle } = require("../services/result");
+
+function createWithdrawalRoutes({ services, middleware }) {
+  const { withdrawals } = services;
+  const { requireWebAppAuth, idempotent } = middleware;
+  const router = express.Router();
+
+  router.post("/api/withdraw", requireWebAppAuth, idempotent("withdraw"), handle("withdraw error", (req) =>
+    withdrawals.requestWithdrawal(Number(req.tgUser.id), req.body, { idempotency: req.idempotency })
+  ));
+  router.post("/api/withdraw/requests", requireWebAppAuth, handle("withdraw requests error", (req) =>
+    withdrawals.listOwnRequests(Number(req.tgUser.id))
+  ));
+
+  return router;
+}
+
+module.exports = { createWithdrawalRoutes };
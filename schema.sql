@@ -1,86 +1,274 @@
 -- schema.sql (reference)
--- The app also auto-creates tables on startup (see index.js migrate()).
+-- Canonical schema after all migrations in migrations.js. The app applies pending
+-- migrations on startup; `node index.js migrate [--dry-run]` runs them by hand.
+-- Do not run this file against an existing database; add a migration instead.
 
-CREATE TABLE IF NOT EXISTS users (
-  tg_id BIGINT PRIMARY KEY,
+CREATE TABLE schema_migrations (
+  id INT PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE users (
+  id BIGSERIAL PRIMARY KEY,
+  tg_id BIGINT UNIQUE NOT NULL,
   username TEXT,
   first_name TEXT,
-  balance NUMERIC(12,2) NOT NULL DEFAULT 0,
-  diamonds NUMERIC(12,2) NOT NULL DEFAULT 0,
-  is_vip BOOLEAN NOT NULL DEFAULT FALSE,
+  balance_tl NUMERIC NOT NULL DEFAULT 0,
+  diamonds NUMERIC NOT NULL DEFAULT 0,
+  daily_ads_watched INT NOT NULL DEFAULT 0,
+  daily_ads_day DATE, -- WATCH_DAY_TZ day the counter belongs to
   referred_by BIGINT,
+  panel_message_id BIGINT,
+  is_vip BOOLEAN NOT NULL DEFAULT FALSE,
+  vip_until TIMESTAMPTZ, -- null with is_vip = permanent VIP
+  sessions_revoked_at TIMESTAMPTZ,
+  is_banned BOOLEAN NOT NULL DEFAULT FALSE,
+  ban_reason TEXT,
+  banned_at TIMESTAMPTZ,
+  banned_by BIGINT,
+  language TEXT, -- /language choice (tr, en, az); null = follow language_code
+  language_code TEXT, -- as last reported by Telegram
+  bot_blocked_at TIMESTAMPTZ, -- Telegram answered 403 (bot blocked); cleared on the user's next update
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
-CREATE TABLE IF NOT EXISTS daily_views (
-  tg_id BIGINT NOT NULL REFERENCES users(tg_id) ON DELETE CASCADE,
-  day DATE NOT NULL,
-  seen INT NOT NULL DEFAULT 0,
-  PRIMARY KEY (tg_id, day)
-);
-
-CREATE TABLE IF NOT EXISTS ads (
-  id SERIAL PRIMARY KEY,
-  type TEXT NOT NULL CHECK (type IN ('video','image','html')),
-  url TEXT NOT NULL,
-  seconds INT NOT NULL DEFAULT 15,
-  reward_tl NUMERIC(12,2) NOT NULL DEFAULT 0.25,
-  reward_gem NUMERIC(12,2) NOT NULL DEFAULT 0.25,
-  is_vip BOOLEAN NOT NULL DEFAULT FALSE,
+CREATE TABLE ads (
+  id BIGSERIAL PRIMARY KEY,
+  title TEXT,
+  type TEXT, -- legacy admin ads: type + url
+  url TEXT,
+  seconds INT NOT NULL DEFAULT 10,
+  page_url TEXT,
+  youtube_url TEXT,
+  game_url TEXT,
+  media_url TEXT,
+  media_type TEXT, -- image | video (checked when the campaign is saved)
+  adsense_code TEXT,
+  interaction TEXT, -- null (time only) | quiz | click
+  quiz JSONB, -- { question, options: [...], answer: index }
+  click_url TEXT, -- where interaction = 'click' sends the watcher
+  reward_tl NUMERIC, -- null = WATCH_REWARD_TL
+  reward_diamonds NUMERIC, -- null = WATCH_REWARD_DIAMONDS
+  created_by BIGINT,
+  price_tl NUMERIC NOT NULL DEFAULT 0, -- campaign price per view
   active BOOLEAN NOT NULL DEFAULT TRUE,
-  max_clicks INT,
+  status TEXT NOT NULL DEFAULT 'active', -- draft | in_review | active | paused | exhausted | rejected | cancelled
   clicks INT NOT NULL DEFAULT 0,
+  max_clicks INT,
+  target_views INT,
+  budget_tl NUMERIC,
+  spent_tl NUMERIC NOT NULL DEFAULT 0,
+  submitted_at TIMESTAMPTZ,
+  reviewed_at TIMESTAMPTZ,
+  reviewed_by BIGINT,
+  review_reason TEXT,
+  is_vip BOOLEAN NOT NULL DEFAULT FALSE,
+  starts_at TIMESTAMPTZ,
+  ends_at TIMESTAMPTZ,
+  schedule_hours INT[],
+  daily_cap_per_user INT,
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
-CREATE TABLE IF NOT EXISTS ad_sessions (
-  session_id UUID PRIMARY KEY,
-  tg_id BIGINT NOT NULL REFERENCES users(tg_id) ON DELETE CASCADE,
-  ad_id INT NOT NULL REFERENCES ads(id) ON DELETE CASCADE,
+CREATE TABLE ad_sessions (
+  id BIGSERIAL PRIMARY KEY,
+  tg_id BIGINT NOT NULL,
+  ad_id BIGINT NOT NULL REFERENCES ads(id) ON DELETE CASCADE,
+  seconds INT NOT NULL,
   started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed BOOLEAN NOT NULL DEFAULT FALSE,
   completed_at TIMESTAMPTZ,
-  status TEXT NOT NULL DEFAULT 'started'
+  reward_tl NUMERIC, -- base reward fixed when the session starts (lowered by a wrong quiz answer)
+  reward_diamonds NUMERIC,
+  nonce TEXT,
+  heartbeats INT NOT NULL DEFAULT 0,
+  hidden_heartbeats INT NOT NULL DEFAULT 0,
+  last_heartbeat_at TIMESTAMPTZ,
+  risk_score INT,
+  risk_signals TEXT[],
+  reward_status TEXT, -- credited | held | released | rejected | forfeited (wrong quiz answer, nothing paid)
+  payout_tl NUMERIC,
+  payout_diamonds NUMERIC,
+  reviewed_at TIMESTAMPTZ,
+  reviewed_by BIGINT,
+  answer INT, -- quiz option the watcher picked
+  answer_correct BOOLEAN,
+  clicked_at TIMESTAMPTZ, -- click-through recorded by /api/ad/click
+  charged_tl NUMERIC NOT NULL DEFAULT 0 -- taken from the campaign budget for this view
 );
+CREATE INDEX ad_sessions_held_idx ON ad_sessions (tg_id) WHERE reward_status = 'held';
+CREATE INDEX ad_sessions_tg_started_idx ON ad_sessions (tg_id, started_at DESC);
 
-CREATE TABLE IF NOT EXISTS withdrawals (
-  id SERIAL PRIMARY KEY,
-  tg_id BIGINT NOT NULL REFERENCES users(tg_id) ON DELETE CASCADE,
-  full_name TEXT NOT NULL,
+CREATE TABLE referral_earnings (
+  id BIGSERIAL PRIMARY KEY,
+  referrer_tg_id BIGINT NOT NULL,
+  referred_tg_id BIGINT NOT NULL,
+  amount_tl NUMERIC NOT NULL DEFAULT 0,
+  amount_diamonds NUMERIC NOT NULL DEFAULT 0,
+  level INT NOT NULL DEFAULT 1,
+  kind TEXT NOT NULL DEFAULT 'ongoing', -- ongoing | signup_bonus
+  ad_session_id BIGINT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX referral_earnings_referrer_idx ON referral_earnings (referrer_tg_id, created_at);
+CREATE INDEX referral_earnings_referred_idx ON referral_earnings (referred_tg_id);
+
+-- Append-only; sum of a user's entries equals their balance.
+CREATE TABLE ledger (
+  id BIGSERIAL PRIMARY KEY,
+  tg_id BIGINT NOT NULL,
+  type TEXT NOT NULL, -- see LEDGER_TYPES in index.js
+  amount_tl NUMERIC NOT NULL DEFAULT 0,
+  amount_diamonds NUMERIC NOT NULL DEFAULT 0,
+  balance_tl_after NUMERIC,
+  diamonds_after NUMERIC,
+  ref_type TEXT,
+  ref_id TEXT,
+  note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX ledger_tg_id_id_idx ON ledger (tg_id, id DESC);
+
+CREATE TABLE conversion_rates (
+  direction TEXT PRIMARY KEY, -- d2tl | tl2d
+  rate NUMERIC NOT NULL,
+  fee_rate NUMERIC NOT NULL DEFAULT 0,
+  min_amount NUMERIC NOT NULL DEFAULT 0,
+  max_amount NUMERIC,
+  daily_cap NUMERIC,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_by BIGINT
+);
+
+CREATE TABLE withdraw_requests (
+  id BIGSERIAL PRIMARY KEY,
+  tg_id BIGINT NOT NULL,
+  amount_tl NUMERIC NOT NULL,
   iban TEXT NOT NULL,
-  amount_tl NUMERIC(12,2) NOT NULL,
-  status TEXT NOT NULL DEFAULT 'pending',
-  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  full_name TEXT,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending | approved | paid | rejected
+  reason TEXT,
   decided_at TIMESTAMPTZ,
-  decided_by BIGINT
+  decided_by BIGINT,
+  paid_at TIMESTAMPTZ,
+  refunded_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
+CREATE UNIQUE INDEX withdraw_requests_one_open_idx ON withdraw_requests (tg_id) WHERE status IN ('pending','approved');
 
-CREATE TABLE IF NOT EXISTS advertiser_orders (
-  id SERIAL PRIMARY KEY,
-  tg_id BIGINT NOT NULL REFERENCES users(tg_id) ON DELETE CASCADE,
-  contact TEXT,
-  ad_url TEXT NOT NULL,
-  seconds INT NOT NULL,
-  target_clicks INT NOT NULL,
-  price_per_click NUMERIC(12,2) NOT NULL,
-  total_budget NUMERIC(12,2) NOT NULL,
-  status TEXT NOT NULL DEFAULT 'pending',
+CREATE TABLE webapp_sessions (
+  id BIGSERIAL PRIMARY KEY,
+  tg_id BIGINT NOT NULL,
+  token_hash TEXT UNIQUE NOT NULL, -- sha256 of the token
+  source TEXT NOT NULL,
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-  decided_at TIMESTAMPTZ,
-  decided_by BIGINT
+  expires_at TIMESTAMPTZ NOT NULL,
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  replaced_by BIGINT
+);
+CREATE INDEX webapp_sessions_tg_idx ON webapp_sessions (tg_id, created_at DESC);
+
+CREATE TABLE admin_roles (
+  tg_id BIGINT NOT NULL,
+  role TEXT NOT NULL, -- super_admin | finance | moderator | analyst
+  granted_by BIGINT,
+  granted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (tg_id, role)
+);
+
+CREATE TABLE admin_audit (
+  id BIGSERIAL PRIMARY KEY,
+  actor_tg_id BIGINT,
+  action TEXT NOT NULL,
+  target_type TEXT NOT NULL,
+  target_id TEXT,
+  before JSONB,
+  after JSONB,
+  note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX admin_audit_created_idx ON admin_audit (created_at DESC);
+CREATE INDEX admin_audit_actor_idx ON admin_audit (actor_tg_id, created_at DESC);
+CREATE INDEX admin_audit_target_idx ON admin_audit (target_type, target_id);
+
+-- Runtime settings overrides (services/settings.js); keys without a row use defaults.
+CREATE TABLE app_settings (
+  key TEXT PRIMARY KEY,
+  value JSONB NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_by BIGINT
 );
 
-CREATE TABLE IF NOT EXISTS forum_topics (
+-- Admin broadcasts (services/broadcasts.js). Recipients are fixed at creation time,
+-- one delivery row each, and sent by the background queue.
+CREATE TABLE broadcasts (
+  id BIGSERIAL PRIMARY KEY,
+  text TEXT, -- message text, or the caption when photo_url is set
+  photo_url TEXT,
+  button_text TEXT,
+  button_url TEXT,
+  segment JSONB NOT NULL DEFAULT '{}', -- { vip, active_days, min_balance_tl, referrers }
+  status TEXT NOT NULL DEFAULT 'queued', -- queued | sending | done | cancelled
+  total INT NOT NULL DEFAULT 0,
+  created_by BIGINT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ
+);
+
+CREATE TABLE broadcast_deliveries (
+  broadcast_id BIGINT NOT NULL REFERENCES broadcasts(id) ON DELETE CASCADE,
+  tg_id BIGINT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending | sending | sent | failed | blocked | cancelled
+  error TEXT,
+  attempts INT NOT NULL DEFAULT 0,
+  claimed_at TIMESTAMPTZ,
+  sent_at TIMESTAMPTZ,
+  PRIMARY KEY (broadcast_id, tg_id)
+);
+CREATE INDEX broadcast_deliveries_open_idx ON broadcast_deliveries (broadcast_id) WHERE status IN ('pending','sending');
+
+-- Forum (services/forum.js). Topics are opened by moderators; deleted posts are
+-- kept with deleted_at set and hidden from the API.
+CREATE TABLE forum_topics (
   id SERIAL PRIMARY KEY,
   title TEXT NOT NULL,
-  is_open BOOLEAN NOT NULL DEFAULT TRUE,
-  created_by BIGINT NOT NULL REFERENCES users(tg_id) ON DELETE RESTRICT,
-  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  body TEXT,
+  is_open BOOLEAN NOT NULL DEFAULT TRUE, -- closed topics can be read but not posted to
+  created_by BIGINT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  closed_at TIMESTAMPTZ,
+  closed_by BIGINT,
+  broadcast_id BIGINT -- announcement sent when the topic was opened
 );
 
-CREATE TABLE IF NOT EXISTS forum_posts (
+CREATE TABLE forum_posts (
   id SERIAL PRIMARY KEY,
   topic_id INT NOT NULL REFERENCES forum_topics(id) ON DELETE CASCADE,
-  tg_id BIGINT NOT NULL REFERENCES users(tg_id) ON DELETE CASCADE,
+  tg_id BIGINT NOT NULL,
   message TEXT NOT NULL,
-  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  deleted_at TIMESTAMPTZ,
+  deleted_by BIGINT
 );
+CREATE INDEX forum_posts_topic_idx ON forum_posts (topic_id, id);
+CREATE INDEX forum_posts_author_idx ON forum_posts (tg_id, created_at DESC);
+
+-- Idempotency-Key of money-moving requests (services/idempotency.js): the first
+-- response is stored and replayed to retries; rows expire after a day.
+CREATE TABLE idempotency_keys (
+  tg_id BIGINT NOT NULL,
+  key TEXT NOT NULL,
+  scope TEXT NOT NULL, -- endpoint, e.g. "withdraw"
+  request_hash TEXT NOT NULL, -- sha256 of scope + body; a reused key must send the same body
+  status INT, -- null while the first request is running
+  response JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (tg_id, key)
+);
+
+-- Legacy tables are kept (renamed) by migration 5: daily_views_legacy,
+-- withdrawals_legacy, advertiser_orders_legacy. The old forum_topics / forum_posts
+-- are taken over by migration 11.
@@ -0,0 +1,330 @@
+/**
+ * Staff roles and the admin side of users: search, detail, manual balance
+ * adjustments, bans and WebApp session revocation.
+ */
+const { fail } = require("./result");
+const { bannedMessageKey } = require("./auth");
+const { WITHDRAW_COLUMNS } = require("./withdrawals");
+const { LEDGER_TYPES, ADMIN_ROLES, STAFF_ROLES_CACHE_MS } = require("../constants");
+
+function hasRole(roles, allowed) {
+  if (roles.includes("super_admin")) return true;
+  return allowed.length ? allowed.some((r) => roles.includes(r)) : roles.length > 0;
+}
+
+function createAdminService({ pool, config, wallet, auth, audit, notifier }) {
+  const { ADMIN_TG_ID } = config;
+  const { recordAudit } = audit;
+  const { notifyUser } = notifier;
+
+  const staffRolesCache = new Map(); // tg_id -> { roles, at }
+
+  async function getStaffRoles(tgId) {
+    const key = String(tgId);
+    const hit = staffRolesCache.get(key);
+    if (hit && Date.now() - hit.at < STAFF_ROLES_CACHE_MS) return hit.roles;
+    const { rows } = await pool.query(`select role from public.admin_roles where tg_id=$1 order by role`, [Number(tgId)]);
+    const roles = rows.map((r) => r.role);
+    staffRolesCache.set(key, { roles, at: Date.now() });
+    return roles;
+  }
+
+  // ADMIN_TG_ID is always a super_admin so that a fresh deploy can grant the other roles.
+  async function seedBootstrapAdmin() {
+    if (!ADMIN_TG_ID) return;
+    await pool.query(
+      `insert into public.admin_roles (tg_id, role) values ($1, 'super_admin') on conflict do nothing`,
+      [Number(ADMIN_TG_ID)]
+    );
+  }
+
+  async function grantRole(tgId, role, grantedBy) {
+    const client = await pool.connect();
+    try {
+      await client.query("begin");
+      const { rowCount } = await client.query(
+        `insert into public.admin_roles (tg_id, role, granted_by) values ($1,$2,$3) on conflict do nothing`,
+        [Number(tgId), role, grantedBy ? Number(grantedBy) : null]
+      );
+      if (rowCount) {
+        await recordAudit({ actor: grantedBy, action: "role.grant", target_type: "user", target_id: tgId, after: { role } }, client);
+      }
+      await client.query("commit");
+      staffRolesCache.delete(String(tgId));
+      return rowCount > 0;
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  /** Returns "not_found", "last_super_admin" or null on success. */
+  async function revokeRole(tgId, role, actorId) {
+    const client = await pool.connect();
+    try {
+      await client.query("begin");
+      if (role === "super_admin") {
+        const { rows } = await client.query(
+          `select tg_id from public.admin_roles where role='super_admin' for update`
+        );
+        if (rows.length === 1 && Number(rows[0].tg_id) === Number(tgId)) {
+          await client.query("rollback");
+          return "last_super_admin";
+        }
+      }
+      const { rowCount } = await client.query(`delete from public.admin_roles where tg_id=$1 and role=$2`, [Number(tgId), role]);
+      if (rowCount) {
+        await recordAudit({ actor: actorId, action: "role.revoke", target_type: "user", target_id: tgId, before: { role } }, client);
+      }
+      await client.query("commit");
+      staffRolesCache.delete(String(tgId));
+      return rowCount ? null : "not_found";
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function listStaff() {
+    const { rows } = await pool.query(
+      `select r.tg_id, array_agg(r.role order by r.role) as roles, max(r.granted_at) as granted_at, u.username
+         from public.admin_roles r
+         left join public.users u on u.tg_id = r.tg_id
+        group by r.tg_id, u.username
+        order by r.tg_id`
+    );
+    return { ok: true, staff: rows, roles: ADMIN_ROLES };
+  }
+
+  // body: { tg_id, role, action: "grant" | "revoke" }
+  async function changeStaffRole(body, actorId) {
+    const tg_id = Number(body?.tg_id);
+    const role = String(body?.role || "");
+    const action = String(body?.action || "grant");
+    if (!Number.isFinite(tg_id) || tg_id <= 0) return fail(400, "bad_tg_id");
+    if (!ADMIN_ROLES.includes(role)) return fail(400, "bad_role");
+    if (action === "grant") {
+      const granted = await grantRole(tg_id, role, actorId);
+      return { ok: true, tg_id, role, changed: granted };
+    }
+    if (action === "revoke") {
+      const err = await revokeRole(tg_id, role, actorId);
+      if (err) return fail(err === "not_found" ? 404 : 409, err);
+      return { ok: true, tg_id, role, changed: true };
+    }
+    return fail(400, "bad_action");
+  }
+
+  // Search by tg_id (exact) or username / first name (substring). input: q, limit, offset
+  async function searchUsers(input) {
+    const q = String(input.q || "").trim().replace(/^@/, "");
+    const limit = Math.max(1, Math.min(100, parseInt(input.limit, 10) || 20));
+    const offset = Math.max(0, parseInt(input.offset, 10) || 0);
+    const params = [];
+    let where = "";
+    if (q) {
+      const numeric = /^\d{1,20}$/.test(q);
+      // "_" and "%" in a name are literal characters, not wildcards
+      params.push(numeric ? q : q.replace(/[\\%_]/g, "\\$&"));
+      where = numeric
+        ? `where u.tg_id = $1::bigint`
+        : `where u.username ilike '%' || $1 || '%' or u.first_name ilike '%' || $1 || '%'`;
+    }
+    const { rows } = await pool.query(
+      `select u.tg_id, u.username, u.first_name,
+              u.balance_tl, u.diamonds,
+              u.is_banned, u.bot_blocked_at, u.created_at
+         from public.users u
+         ${where}
+        order by u.created_at desc nulls last
+        limit ${limit} offset ${offset}`,
+      params
+    );
+    return { ok: true, users: rows, next_offset: rows.length === limit ? offset + limit : null };
+  }
+
+  async function getUserDetail(tg_id) {
+    if (!Number.isFinite(tg_id)) return fail(400, "bad_tg_id");
+    const { rows } = await pool.query(
+      `select u.tg_id, u.username, u.first_name, u.created_at,
+              u.balance_tl, u.diamonds,
+              u.referred_by, u.is_vip, u.vip_until,
+              u.is_banned, u.ban_reason, u.banned_at, u.banned_by, u.bot_blocked_at,
+              (select count(*)::int from public.users r where r.referred_by = u.tg_id) as referral_count,
+              (select count(*)::int from public.ad_sessions s where s.tg_id = u.tg_id and s.completed) as completed_sessions,
+              (select count(*)::int from public.ad_sessions s where s.tg_id = u.tg_id and s.reward_status = 'held') as held_sessions
+         from public.users u
+        where u.tg_id = $1`,
+      [tg_id]
+    );
+    if (!rows[0]) return fail(404, "not_found");
+
+    const [{ rows: withdrawals }, { rows: ledger }, roles] = await Promise.all([
+      pool.query(`select ${WITHDRAW_COLUMNS} from public.withdraw_requests where tg_id=$1 order by id desc limit 20`, [tg_id]),
+      pool.query(
+        `select id, type, amount_tl, amount_diamonds, balance_tl_after, diamonds_after, ref_type, ref_id, note, created_at
+           from public.ledger where tg_id=$1 order by id desc limit 20`,
+        [tg_id]
+      ),
+      getStaffRoles(tg_id),
+    ]);
+    return { ok: true, user: { ...rows[0], roles }, withdrawals, ledger };
+  }
+
+  // Manual credit (+) / debit (-). body: { amount_tl?, amount_diamonds?, reason }
+  async function adjustBalance(tg_id, body, adminId) {
+    const amountTl = Number(body?.amount_tl || 0);
+    const amountDiamonds = Number(body?.amount_diamonds || 0);
+    const reason = String(body?.reason || "").trim().slice(0, 500);
+    if (!Number.isFinite(tg_id)) return fail(400, "bad_tg_id");
+    if (!Number.isFinite(amountTl) || !Number.isFinite(amountDiamonds) || (!amountTl && !amountDiamonds)) {
+      return fail(400, "bad_amount");
+    }
+    if (reason.length < 3) return fail(400, "missing_reason");
+
+    const client = await pool.connect();
+    try {
+      await client.query("begin");
+      const { rows } = await client.query(
+        `select balance_tl, diamonds
+           from public.users where tg_id=$1 for update`,
+        [tg_id]
+      );
+      if (!rows[0]) {
+        await client.query("rollback");
+        return fail(404, "not_found");
+      }
+      const balances = await wallet.creditUser(
+        tg_id,
+        amountTl,
+        amountDiamonds,
+        { type: LEDGER_TYPES.ADMIN_ADJUST, ref_type: "admin", ref_id: adminId, note: reason, no_overdraft: true },
+        client
+      );
+      if (!balances) {
+        await client.query("rollback");
+        return fail(409, "insufficient_balance");
+      }
+      await recordAudit(
+        {
+          actor: adminId,
+          action: "balance.adjust",
+          target_type: "user",
+          target_id: tg_id,
+          before: { balance_tl: Number(rows[0].balance_tl), diamonds: Number(rows[0].diamonds) },
+          after: { balance_tl: Number(balances.balance_tl), diamonds: Number(balances.diamonds), amount_tl: amountTl, amount_diamonds: amountDiamonds },
+          note: reason,
+        },
+        client
+      );
+      await client.query("commit");
+
+      const parts = [];
+      if (amountTl) parts.push(`${amountTl > 0 ? "+" : ""}${amountTl.toFixed(2)} TL`);
+      if (amountDiamonds) parts.push(`${amountDiamonds > 0 ? "+" : ""}${amountDiamonds.toFixed(2)} 💎`);
+      await notifyUser(tg_id, "account.adjusted", { changes: parts.join(", "), reason });
+      return { ok: true, balances: { balance_tl: Number(balances.balance_tl), diamonds: Number(balances.diamonds) } };
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function setUserBan(tg_id, body, banned, adminId) {
+    if (!Number.isFinite(tg_id)) return fail(400, "bad_tg_id");
+    const reason = banned ? String(body?.reason || "").trim().slice(0, 500) : null;
+    if (banned && reason.length < 3) return fail(400, "missing_reason");
+    if (banned && (await getStaffRoles(tg_id)).length) return fail(409, "cannot_ban_staff");
+
+    const client = await pool.connect();
+    try {
+      await client.query("begin");
+      const { rows } = await client.query(`select is_banned, ban_reason from public.users where tg_id=$1 for update`, [tg_id]);
+      const before = rows[0];
+      if (!before) {
+        await client.query("rollback");
+        return fail(404, "not_found");
+      }
+      await client.query(
+        `update public.users
+            set is_banned=$2, ban_reason=$3,
+                banned_at = case when $2 then now() else null end,
+                banned_by = case when $2 then $4::bigint else null end
+          where tg_id=$1`,
+        [tg_id, banned, reason, adminId]
+      );
+      await recordAudit(
+        {
+          actor: adminId,
+          action: banned ? "user.ban" : "user.unban",
+          target_type: "user",
+          target_id: tg_id,
+          before: { is_banned: !!before.is_banned, ban_reason: before.ban_reason || null },
+          after: { is_banned: banned, ban_reason: reason },
+          note: reason,
+        },
+        client
+      );
+      await client.query("commit");
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+    await notifyUser(tg_id, banned ? bannedMessageKey({ ban_reason: reason }) : "account.unbanned", { reason });
+    return { ok: true, tg_id, is_banned: banned };
+  }
+
+  async function listUserSessions(tg_id) {
+    if (!Number.isFinite(tg_id)) return fail(400, "bad_tg_id");
+    const { rows } = await pool.query(
+      `select id, source, created_at, expires_at, last_used_at, revoked_at,
+              (revoked_at is null and expires_at > now()) as active
+         from public.webapp_sessions where tg_id=$1
+        order by created_at desc limit 100`,
+      [tg_id]
+    );
+    return { ok: true, sessions: rows };
+  }
+
+  async function revokeSessions(tg_id, adminId) {
+    if (!Number.isFinite(tg_id)) return fail(400, "bad_tg_id");
+    const client = await pool.connect();
+    try {
+      await client.query("begin");
+      const revoked = await auth.revokeUserSessions(tg_id, client);
+      await recordAudit({ actor: adminId, action: "sessions.revoke", target_type: "user", target_id: tg_id, after: { revoked } }, client);
+      await client.query("commit");
+      return { ok: true, tg_id, revoked };
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  return {
+    getStaffRoles,
+    seedBootstrapAdmin,
+    grantRole,
+    revokeRole,
+    listStaff,
+    changeStaffRole,
+    searchUsers,
+    getUserDetail,
+    adjustBalance,
+    setUserBan,
+    listUserSessions,
+    revokeSessions,
+  };
+}
+
+module.exports = { hasRole, createAdminService };
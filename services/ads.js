@@ -0,0 +1,1200 @@
+/**
+ * Ads: the watch flow (start -> heartbeat -> complete with fraud scoring and
+ * referral payouts), advertiser campaigns and the admin side of both.
+ */
+const crypto = require("crypto");
+const adSelection = require("../adSelection");
+const fraudScoring = require("../fraudScoring");
+const { qIdent } = require("../db");
+const { fail } = require("./result");
+const { safeEqual } = require("./auth");
+const {
+  CAMPAIGN_MIN_VIEWS,
+  CAMPAIGN_MAX_VIEWS,
+  VIP_REWARD_MULTIPLIER,
+  VIP_ACTIVE_SQL,
+  AD_HEARTBEAT_SECONDS,
+  MAX_OPEN_AD_SESSIONS,
+  LEDGER_TYPES,
+} = require("../constants");
+
+const ADMIN_AD_COLUMNS = [
+  "id",
+  "title",
+  "type",
+  "url",
+  "page_url",
+  "youtube_url",
+  "game_url",
+  "media_url",
+  "media_type",
+  "adsense_code",
+  "interaction",
+  "quiz",
+  "click_url",
+  "seconds",
+  "reward_tl",
+  "reward_diamonds",
+  "is_vip",
+  "active",
+  "max_clicks",
+  "clicks",
+  "status",
+  "created_by",
+  "price_tl",
+  "target_views",
+  "budget_tl",
+  "spent_tl",
+  "review_reason",
+  "starts_at",
+  "ends_at",
+  "schedule_hours",
+  "daily_cap_per_user",
+  "created_at",
+];
+
+// Scheduling fields shared by admin create/update. Returns { error } or { values }
+// with only the keys present in the body.
+function parseAdScheduleInput(body) {
+  const values = {};
+  for (const key of ["starts_at", "ends_at"]) {
+    if (body?.[key] === undefined) continue;
+    const v = body[key];
+    if (v === null || v === "") {
+      values[key] = null;
+      continue;
+    }
+    const d = new Date(v);
+    if (Number.isNaN(d.getTime())) return { error: `bad_${key}` };
+    values[key] = d.toISOString();
+  }
+  if (body?.schedule_hours !== undefined) {
+    const raw = body.schedule_hours;
+    const list = raw === null || raw === "" ? [] : Array.isArray(raw) ? raw : String(raw).split(",");
+    const hours = [...new Set(list.map((h) => parseInt(h, 10)))];
+    if (hours.some((h) => !Number.isInteger(h) || h < 0 || h > 23)) return { error: "bad_schedule_hours" };
+    values.schedule_hours = hours.length ? hours.sort((a, b) => a - b) : null;
+  }
+  if (body?.daily_cap_per_user !== undefined) {
+    const v = body.daily_cap_per_user;
+    const n = v === null || v === "" ? null : parseInt(v, 10);
+    if (n !== null && (!Number.isInteger(n) || n < 0)) return { error: "bad_daily_cap_per_user" };
+    values.daily_cap_per_user = n;
+  }
+  if (values.starts_at && values.ends_at && values.starts_at >= values.ends_at) return { error: "bad_schedule_range" };
+  return { values };
+}
+
+// How notifications name an ad: `"Title" (#12)`, or `#12` when it has no title.
+function adLabel(ad) {
+  return ad.title ? `"${ad.title}" (#${ad.id})` : `#${ad.id}`;
+}
+
+function createAdsService({ pool, config, settings, wallet, referral, audit, notifier, creatives }) {
+  const { AD_PICK_STRATEGY, AD_FREQ_CAP_PER_DAY, WATCH_DAY_TZ, PUBLIC_URL } = config;
+  const { ensureUser, getVipStatus, getBalances, creditUser } = wallet;
+  const { recordAudit } = audit;
+  const { notifyUser } = notifier;
+
+  /**
+   * Daily limit + cooldown state for a user.
+   * Returns { seen, limit, is_vip, next_available_at, cooldown_seconds, blocked: null | "daily_limit" | "cooldown" }.
+   * next_available_at is null when the user may start an ad right now.
+   */
+  async function getWatchQuota(tg_id, db = pool) {
+    const { daily_ad_limit, daily_ad_limit_vip, ad_cooldown_seconds } = await settings.getSettings();
+    const { rows } = await db.query(
+      `select case when u.daily_ads_day = (now() at time zone $2)::date then coalesce(u.daily_ads_watched,0) else 0 end as seen,
+              ${VIP_ACTIVE_SQL} as is_vip,
+              ((now() at time zone $2)::date + 1)::timestamp at time zone $2 as next_day_at,
+              (select max(s.started_at) from public.ad_sessions s where s.tg_id = $1) + make_interval(secs => $3) as cooldown_until,
+              now() as now
+         from public.users u
+        where u.tg_id=$1`,
+      [tg_id, WATCH_DAY_TZ, ad_cooldown_seconds]
+    );
+    const r = rows[0] || {};
+    const isVip = !!r.is_vip;
+    const seen = Number(r.seen || 0);
+    const limit = isVip ? daily_ad_limit_vip : daily_ad_limit;
+    const now = r.now ? new Date(r.now) : new Date();
+    const cooldownUntil = r.cooldown_until ? new Date(r.cooldown_until) : null;
+
+    let blocked = null;
+    let next = null;
+    if (seen >= limit) {
+      blocked = "daily_limit";
+      next = new Date(r.next_day_at);
+    } else if (cooldownUntil && cooldownUntil > now) {
+      blocked = "cooldown";
+      next = cooldownUntil;
+    }
+    return {
+      seen,
+      limit,
+      is_vip: isVip,
+      blocked,
+      next_available_at: next ? next.toISOString() : null,
+      cooldown_seconds: ad_cooldown_seconds,
+    };
+  }
+
+  // Facts fraudScoring.scoreSession() needs, read inside the completing transaction.
+  async function getSessionFraudFacts(client, s) {
+    const { rows } = await client.query(
+      `select
+         array(select extract(epoch from started_at)::float8
+                 from public.ad_sessions
+                where tg_id=$1 and id <= $2
+                order by id desc limit 6) as starts,
+         (select count(*)::int from public.users r
+           where r.referred_by = (select referred_by from public.users where tg_id=$1)
+             and r.created_at > now() - interval '24 hours') as referrer_signups,
+         (select count(*)::int from public.ad_sessions
+           where tg_id=$1 and completed=false and id <> $2 and started_at > now() - interval '1 hour') as abandoned`,
+      [s.tg_id, s.id]
+    );
+    const r = rows[0];
+    return {
+      seconds: Number(s.seconds),
+      heartbeats: Number(s.heartbeats || 0),
+      hiddenHeartbeats: Number(s.hidden_heartbeats || 0),
+      recentStartGaps: (r.starts || []).slice(1).map((t, i) => r.starts[i] - t),
+      referrerSignups24h: r.referrer_signups,
+      abandonedLastHour: r.abandoned,
+    };
+  }
+
+  /**
+   * Credits a completed session's payout to the watcher and pays the referral chain,
+   * inside the caller's transaction. Used on completion and when an admin releases a held reward.
+   */
+  async function creditSessionReward(client, s) {
+    const balances = await creditUser(
+      Number(s.tg_id),
+      Number(s.payout_tl),
+      Number(s.payout_diamonds),
+      { type: LEDGER_TYPES.WATCH_REWARD, ref_type: "ad_session", ref_id: s.id, note: s.note || null },
+      client
+    );
+
+    // Referral rewards (see REFERRAL_TIER_RATES); best-effort, must not block the watcher's reward.
+    await client.query("savepoint referral");
+    try {
+      await referral.payReferralRewards(client, Number(s.tg_id), s.id, Number(s.reward_tl), Number(s.reward_diamonds));
+      await client.query("release savepoint referral");
+    } catch (e) {
+      await client.query("rollback to savepoint referral");
+      console.warn("referral reward failed", e?.message || e);
+    }
+    return balances;
+  }
+
+  // Watch page ping while the ad is on screen. Throttled server-side to one per 2s.
+  async function heartbeat(tg_id, body) {
+    const session_id = Number(body?.session_id);
+    const nonce = String(body?.nonce || "");
+    if (!session_id || !nonce) return fail(400, "missing_session_id");
+    const hidden = !!body?.hidden;
+
+    const { rowCount } = await pool.query(
+      `update public.ad_sessions
+          set heartbeats = heartbeats + 1,
+              hidden_heartbeats = hidden_heartbeats + $4,
+              last_heartbeat_at = now()
+        where id=$1 and tg_id=$2 and nonce=$3 and completed=false
+          and (last_heartbeat_at is null or last_heartbeat_at < now() - interval '2 seconds')`,
+      [session_id, tg_id, nonce, hidden ? 1 : 0]
+    );
+    return { ok: true, counted: rowCount > 0 };
+  }
+
+  // linkOnly: only ads that can be opened from a link (the bot's /watch cannot show AdSense code).
+  async function startWatch(tg_id, { linkOnly = false } = {}) {
+    await ensureUser(tg_id);
+
+    const quota = await getWatchQuota(tg_id);
+    if (quota.blocked) {
+      return fail(429, quota.blocked, {
+        seen: quota.seen,
+        limit: quota.limit,
+        next_available_at: quota.next_available_at,
+      });
+    }
+
+    const { rows: openRows } = await pool.query(
+      `select count(*)::int as cnt from public.ad_sessions
+        where tg_id=$1 and completed=false and started_at > now() - interval '10 minutes'`,
+      [tg_id]
+    );
+    if (openRows[0].cnt >= MAX_OPEN_AD_SESSIONS) {
+      return fail(429, "too_many_open_sessions", { limit: MAX_OPEN_AD_SESSIONS });
+    }
+
+    // Candidates: live ads with budget left, plus how often this user completed each today.
+    // Frequency cap, VIP, schedule and weighting are decided by adSelection.selectAd().
+    const { rows: candidates } = await pool.query(
+      `select a.*,
+              (select count(*)::int from public.ad_sessions s
+                where s.ad_id = a.id and s.tg_id = $1 and s.completed
+                  and s.completed_at >= ((now() at time zone $2)::date)::timestamp at time zone $2) as completed_today
+         from public.ads a
+        where a.active=true
+          and (a.max_clicks is null or a.clicks < a.max_clicks)
+          and (a.budget_tl is null or coalesce(a.spent_tl,0) + coalesce(a.price_tl,0) <= a.budget_tl)
+          and (a.ends_at is null or a.ends_at > now())
+          and ($3::boolean is not true
+               or coalesce(nullif(a.page_url,''), nullif(a.youtube_url,''), nullif(a.game_url,''), nullif(a.media_url,''), nullif(a.url,'')) is not null)`,
+      [tg_id, WATCH_DAY_TZ, linkOnly]
+    );
+    const ad = adSelection.selectAd(
+      candidates,
+      { isVip: quota.is_vip, now: new Date() },
+      { strategy: AD_PICK_STRATEGY, timeZone: WATCH_DAY_TZ, dailyCapPerUser: AD_FREQ_CAP_PER_DAY }
+    );
+    if (!ad) return fail(404, "no_ad");
+
+    const s = await settings.getSettings();
+    const seconds = Math.max(3, Math.min(300, parseInt(ad.seconds, 10) || s.watch_seconds_default));
+
+    // Ads without their own reward pay the default; the session keeps the reward it was started with.
+    const rewardTl = Number(ad.reward_tl ?? s.watch_reward_tl);
+    const rewardDiamonds = Number(ad.reward_diamonds ?? s.watch_reward_diamonds);
+
+    // The watch page must echo this nonce on heartbeat/complete; a bare session_id is not enough.
+    const nonce = crypto.randomBytes(16).toString("hex");
+    const { rows: sRows } = await pool.query(
+      `insert into public.ad_sessions (tg_id, ad_id, seconds, reward_tl, reward_diamonds, nonce)
+       values ($1,$2,$3,$4,$5,$6) returning id, started_at`,
+      [tg_id, ad.id, seconds, rewardTl, rewardDiamonds, nonce]
+    );
+    const session = sRows[0];
+
+    // Eski "type + url" şemasını yeni webapp alanlarına map et
+    const rawType = String(ad.type || "").toLowerCase();
+    const rawUrl = ad.url || "";
+    let page_url = ad.page_url || "";
+    let youtube_url = ad.youtube_url || "";
+    let game_url = ad.game_url || "";
+    let media_url = ad.media_url || "";
+    if (!page_url && !youtube_url && !game_url && !media_url && rawUrl) {
+      if (ad.media_type || rawType === "video" || rawType === "image" || /\.mp4(\?|#|$)/i.test(rawUrl)) media_url = rawUrl;
+      else if (rawType === "youtube" || /youtu\.?be/.test(rawUrl)) youtube_url = rawUrl;
+      else if (rawType === "game") game_url = rawUrl;
+      else page_url = rawUrl;
+    }
+
+    const multiplier = quota.is_vip ? VIP_REWARD_MULTIPLIER : 1;
+    return {
+      ok: true,
+      session_id: session.id,
+      nonce,
+      heartbeat_seconds: AD_HEARTBEAT_SECONDS,
+      seconds,
+      seen: quota.seen,
+      limit: quota.limit,
+      // the next session can start after the cooldown measured from this one
+      next_available_at: new Date(new Date(session.started_at).getTime() + quota.cooldown_seconds * 1000).toISOString(),
+      reward: { tl: rewardTl * multiplier, diamonds: rewardDiamonds * multiplier, multiplier },
+      ad: {
+        id: ad.id,
+        title: ad.title || "Reklam",
+        page_url,
+        youtube_url,
+        game_url,
+        media_url,
+        media_type: ad.media_type || null,
+        adsense_code: ad.adsense_code || "",
+        interaction: ad.interaction || null,
+        // the answer stays on the server; completeWatch() checks it
+        quiz: ad.interaction === "quiz" && ad.quiz ? { question: ad.quiz.question, options: ad.quiz.options } : null,
+        // opened instead of the advertiser's link, so the click is recorded first
+        click_url: ad.interaction === "click" ? `${PUBLIC_URL}/api/ad/click/${session.id}?nonce=${nonce}` : null,
+      },
+    };
+  }
+
+  /**
+   * Click-through of a click ad: marks the session clicked and returns the advertiser's
+   * link to redirect to. Unauthenticated (opened in the browser), so the nonce is the key.
+   */
+  async function recordClick(session_id, nonce) {
+    if (!session_id || !nonce) return fail(400, "missing_session_id");
+    const { rows } = await pool.query(
+      `select s.nonce, a.click_url
+         from public.ad_sessions s
+         join public.ads a on a.id = s.ad_id
+        where s.id=$1 and a.interaction='click'`,
+      [session_id]
+    );
+    const s = rows[0];
+    if (!s || !s.click_url || !s.nonce || !safeEqual(s.nonce, nonce)) return fail(404, "session_not_found");
+    await pool.query(`update public.ad_sessions set clicked_at = coalesce(clicked_at, now()) where id=$1`, [session_id]);
+    return { ok: true, url: s.click_url };
+  }
+
+  /**
+   * Ends a session once its watch time has passed. Quiz ads need body.answer (option
+   * index): a wrong one pays quiz_wrong_reward_rate of the reward, and nothing at all is
+   * recorded as reward_status 'forfeited'. Click ads need the click-through first.
+   */
+  // options.idempotency: the request's Idempotency-Key (routes/middleware.js idempotent()).
+  async function completeWatch(tg_id, body, { idempotency } = {}) {
+    const session_id = Number(body?.session_id);
+    if (!session_id) return fail(400, "missing_session_id");
+
+    const client = await pool.connect();
+    try {
+      await client.query("begin");
+
+      const { rows } = await client.query(
+        `select s.id, s.tg_id, s.ad_id, s.seconds, s.started_at, s.completed, s.reward_tl, s.reward_diamonds,
+                s.nonce, s.heartbeats, s.hidden_heartbeats, s.clicked_at, a.interaction, a.quiz
+         from public.ad_sessions s
+         left join public.ads a on a.id = s.ad_id
+         where s.id=$1 for update of s`,
+        [session_id]
+      );
+      const s = rows[0];
+      if (!s) {
+        await client.query("rollback");
+        return fail(404, "session_not_found");
+      }
+      if (Number(s.tg_id) !== tg_id) {
+        await client.query("rollback");
+        return fail(403, "not_your_session");
+      }
+      if (s.nonce && !safeEqual(s.nonce, body?.nonce)) {
+        await client.query("rollback");
+        return fail(403, "bad_nonce");
+      }
+      if (s.completed) {
+        await client.query("rollback");
+        return { ok: true, already: true };
+      }
+
+      // Enforce watch time: server-side elapsed >= seconds
+      const { rows: nowRows } = await client.query(`select now() as now`);
+      const now = new Date(nowRows[0].now);
+      const started = new Date(s.started_at);
+      const elapsed = (now.getTime() - started.getTime()) / 1000;
+
+      if (elapsed + 0.5 < Number(s.seconds)) { // 0.5s tolerance
+        await client.query("rollback");
+        return fail(400, "too_early", { elapsed, required: Number(s.seconds) });
+      }
+
+      if (s.interaction === "click" && !s.clicked_at) {
+        await client.query("rollback");
+        return fail(400, "click_required");
+      }
+      let answer = null;
+      let answerCorrect = null;
+      if (s.interaction === "quiz" && s.quiz) {
+        answer = Number(body?.answer);
+        if (body?.answer === undefined || body?.answer === null || !Number.isInteger(answer) || answer < 0 || answer >= s.quiz.options.length) {
+          await client.query("rollback");
+          return fail(400, "answer_required", { options: s.quiz.options.length });
+        }
+        answerCorrect = answer === Number(s.quiz.answer);
+      }
+
+      // the user row is locked like in every other balance change (convert, withdraw, campaigns)
+      await client.query(`select 1 from public.users where tg_id=$1 for update`, [tg_id]);
+      // startWatch checked the limit, but up to MAX_OPEN_AD_SESSIONS sessions may have been
+      // started just under it; count again now that the user row is locked
+      const quotaNow = await getWatchQuota(tg_id, client);
+      if (quotaNow.seen >= quotaNow.limit) {
+        await client.query("rollback");
+        return fail(429, "daily_limit", { seen: quotaNow.seen, limit: quotaNow.limit, next_available_at: quotaNow.next_available_at });
+      }
+
+      await client.query(
+        `update public.ad_sessions
+         set completed=true, completed_at=now(), answer=$2, answer_correct=$3
+         where id=$1`,
+        [session_id, answer, answerCorrect]
+      );
+
+      await client.query(
+        `update public.users
+            set daily_ads_watched = case when daily_ads_day = (now() at time zone $2)::date then coalesce(daily_ads_watched,0) + 1 else 1 end,
+                daily_ads_day = (now() at time zone $2)::date
+          where tg_id=$1`,
+        [tg_id, WATCH_DAY_TZ]
+      );
+
+      // Referral earnings are computed from the base reward; the VIP multiplier only benefits the watcher.
+      // A wrong quiz answer lowers the base reward itself, so referrers get the same share of less.
+      const defaults = s.reward_tl === null || s.reward_diamonds === null || answerCorrect === false ? await settings.getSettings() : {};
+      const rate = answerCorrect === false ? defaults.quiz_wrong_reward_rate : 1;
+      const baseRewardTl = Number(s.reward_tl ?? defaults.watch_reward_tl) * rate;
+      const baseRewardDiamonds = Number(s.reward_diamonds ?? defaults.watch_reward_diamonds) * rate;
+      const quiz = answerCorrect === null ? {} : { answer_correct: answerCorrect, correct_answer: Number(s.quiz.answer) };
+      const forfeited = baseRewardTl <= 0 && baseRewardDiamonds <= 0 && answerCorrect === false;
+      const vip = await getVipStatus(tg_id, client);
+      const multiplier = vip.is_vip ? VIP_REWARD_MULTIPLIER : 1;
+      const rewardTl = baseRewardTl * multiplier;
+      const rewardDiamonds = baseRewardDiamonds * multiplier;
+
+      const risk = fraudScoring.scoreSession(await getSessionFraudFacts(client, s), {
+        heartbeatSeconds: AD_HEARTBEAT_SECONDS,
+      });
+      const rewardStatus = forfeited ? "forfeited" : risk.hold ? "held" : "credited";
+      await client.query(
+        `update public.ad_sessions
+            set risk_score=$2, risk_signals=$3, reward_status=$4, payout_tl=$5, payout_diamonds=$6,
+                reward_tl=$7, reward_diamonds=$8
+          where id=$1`,
+        [session_id, risk.score, risk.signals, rewardStatus, rewardTl, rewardDiamonds, baseRewardTl, baseRewardDiamonds]
+      );
+
+      // Increment ad click count
+      await client.query(`update public.ads set clicks = coalesce(clicks,0) + 1, active = case when max_clicks is not null and (coalesce(clicks,0) + 1) >= max_clicks then false else active end where id = $1`, [s.ad_id]);
+
+      // Campaign spend: move one view's price from escrow to spent; pause once the budget is used up.
+      // Only running campaigns: a cancelled or rejected one has already had budget - spent refunded.
+      const { rows: spendRows } = await client.query(
+        `with charge as (
+           select id, greatest(0, least(coalesce(price_tl,0), budget_tl - coalesce(spent_tl,0))) as tl
+             from public.ads
+            where id = $1 and budget_tl is not null and status in ('active','paused')
+            for update
+         )
+         update public.ads a
+            set spent_tl = coalesce(a.spent_tl,0) + c.tl,
+                status = case when coalesce(a.spent_tl,0) + 2 * coalesce(a.price_tl,0) > a.budget_tl then 'exhausted' else a.status end,
+                active = case when coalesce(a.spent_tl,0) + 2 * coalesce(a.price_tl,0) > a.budget_tl then false else a.active end
+           from charge c
+          where a.id = c.id
+          returning a.id, a.created_by, a.title, a.status, a.budget_tl, a.spent_tl, c.tl as charged_tl`,
+        [s.ad_id]
+      );
+      if (spendRows[0]) {
+        await client.query(`update public.ad_sessions set charged_tl=$2 where id=$1`, [session_id, spendRows[0].charged_tl]);
+      }
+      const exhaustedAd = spendRows[0]?.status === "exhausted" ? spendRows[0] : null;
+
+      if (forfeited) {
+        // The view still counts for the advertiser; the watcher just earns nothing.
+        const quota = await getWatchQuota(tg_id, client);
+        const result = {
+          ok: true,
+          forfeited: true,
+          ...quiz,
+          balances: await getBalances(tg_id, client),
+          reward: { tl: 0, diamonds: 0, multiplier },
+          seen: quota.seen,
+          limit: quota.limit,
+          next_available_at: quota.next_available_at,
+        };
+        await idempotency?.store(client, result);
+        await client.query("commit");
+        await notifyUser(tg_id, "ads.quiz_wrong_none");
+        if (exhaustedAd && exhaustedAd.created_by) {
+          await notifyUser(exhaustedAd.created_by, "ads.exhausted", { ad: adLabel(exhaustedAd) });
+        }
+        return result;
+      }
+
+      if (risk.hold) {
+        // Risky session: the view counts, but reward and referral payouts wait for an admin.
+        const quota = await getWatchQuota(tg_id, client);
+        const result = {
+          ok: true,
+          held: true,
+          ...quiz,
+          balances: await getBalances(tg_id, client),
+          reward: { tl: rewardTl, diamonds: rewardDiamonds, multiplier },
+          seen: quota.seen,
+          limit: quota.limit,
+          next_available_at: quota.next_available_at,
+        };
+        await idempotency?.store(client, result);
+        await client.query("commit");
+        await notifyUser(tg_id, "ads.held");
+        return result;
+      }
+
+      const balances = await creditSessionReward(client, {
+        id: session_id,
+        tg_id,
+        payout_tl: rewardTl,
+        payout_diamonds: rewardDiamonds,
+        reward_tl: baseRewardTl,
+        reward_diamonds: baseRewardDiamonds,
+        note: multiplier > 1 ? `VIP x${multiplier}` : null,
+      });
+      const quota = await getWatchQuota(tg_id, client);
+      const result = {
+        ok: true,
+        ...quiz,
+        balances: { balance_tl: Number(balances.balance_tl), diamonds: Number(balances.diamonds) },
+        reward: { tl: rewardTl, diamonds: rewardDiamonds, multiplier },
+        seen: quota.seen,
+        limit: quota.limit,
+        next_available_at: quota.next_available_at,
+      };
+      await idempotency?.store(client, result);
+      await client.query("commit");
+
+      // Notify in chat (no extra panel spam): send a short message
+      await notifyUser(tg_id, answerCorrect === false ? "ads.quiz_wrong" : multiplier > 1 ? "ads.rewarded_vip" : "ads.rewarded", {
+        tl: rewardTl.toFixed(2),
+        diamonds: rewardDiamonds.toFixed(2),
+        multiplier,
+      });
+      if (exhaustedAd && exhaustedAd.created_by) {
+        await notifyUser(exhaustedAd.created_by, "ads.exhausted", { ad: adLabel(exhaustedAd) });
+      }
+      return result;
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Advertiser campaigns
+  // ---------------------------------------------------------------------------
+  /**
+   * Charges a draft's budget from the owner's TL balance into escrow and queues it for
+   * review, inside the caller's transaction (the ad row must already be locked). The
+   * price is taken from the settings at this point, not when the draft was saved.
+   */
+  async function submitDraft(client, ad) {
+    const { price_per_second_tl } = await settings.getSettings();
+    const price_tl = Number((ad.seconds * price_per_second_tl).toFixed(2));
+    const budget_tl = Number((price_tl * ad.target_views).toFixed(2));
+
+    const { rows: urows } = await client.query(`select balance_tl from public.users where tg_id=$1 for update`, [ad.created_by]);
+    if (Number(urows[0]?.balance_tl || 0) + 1e-9 < budget_tl) return fail(400, "insufficient_balance", { budget_tl });
+
+    await client.query(
+      `update public.ads set status='in_review', submitted_at=now(), price_tl=$2, budget_tl=$3, spent_tl=0 where id=$1`,
+      [ad.id, price_tl, budget_tl]
+    );
+    const b = await creditUser(Number(ad.created_by), -budget_tl, 0, { type: LEDGER_TYPES.AD_SPEND, ref_type: "ad", ref_id: ad.id }, client);
+    return {
+      ok: true,
+      ad_id: ad.id,
+      status: "in_review",
+      price_tl,
+      target_views: ad.target_views,
+      budget_tl,
+      balance_tl: Number(b.balance_tl),
+    };
+  }
+
+  /**
+   * Self-service campaign. The creative is checked first (services/creatives.js).
+   * body.draft saves it without charging anything; otherwise the budget goes into
+   * escrow right away and the ad waits in the admin review queue.
+   * options.idempotency: the request's Idempotency-Key (routes/middleware.js idempotent()).
+   */
+  async function createCampaign(tg_id, body, { idempotency } = {}) {
+    const title = String(body?.title || "").slice(0, 120);
+    const seconds = Math.max(3, Math.min(300, parseInt(body?.seconds, 10) || 10));
+    const target_views = parseInt(body?.target_views ?? body?.max_clicks, 10);
+    const draft = !!body?.draft;
+
+    if (!Number.isFinite(target_views) || target_views < CAMPAIGN_MIN_VIEWS || target_views > CAMPAIGN_MAX_VIEWS) {
+      return fail(400, "bad_target_views", { min: CAMPAIGN_MIN_VIEWS, max: CAMPAIGN_MAX_VIEWS });
+    }
+    const checked = await creatives.checkCampaignCreative(body);
+    if (!checked.ok) return checked;
+    const { page_url, youtube_url, game_url, media_url, media_type, adsense_code } = checked.creative;
+    const task = creatives.checkInteraction(body);
+    if (!task.ok) return task;
+
+    // what a view would cost today; a draft is priced again when it is submitted
+    const { price_per_second_tl } = await settings.getSettings();
+    const price_tl = Number((seconds * price_per_second_tl).toFixed(2));
+
+    let client;
+    let result;
+    try {
+      await ensureUser(tg_id);
+      client = await pool.connect();
+      await client.query("begin");
+
+      const { rows } = await client.query(
+        `insert into public.ads (title, seconds, page_url, youtube_url, game_url, media_url, media_type, adsense_code, created_by,
+                                 price_tl, active, status, target_views, interaction, quiz, click_url)
+         values ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,false,'draft',$11,$12,$13,$14)
+         returning *`,
+        [title, seconds, page_url, youtube_url, game_url, media_url, media_type, adsense_code, tg_id, price_tl, target_views,
+         task.interaction, task.quiz && JSON.stringify(task.quiz), task.click_url]
+      );
+      const ad = rows[0];
+
+      if (draft) {
+        result = {
+          ok: true,
+          ad_id: ad.id,
+          status: "draft",
+          price_tl,
+          target_views,
+          budget_tl: Number((price_tl * target_views).toFixed(2)),
+        };
+      } else {
+        result = await submitDraft(client, ad);
+        if (!result.ok) {
+          await client.query("rollback");
+          return result;
+        }
+      }
+      await idempotency?.store(client, result);
+      await client.query("commit");
+    } catch (e) {
+      if (client) await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      if (client) client.release();
+    }
+
+    if (!draft) await notifyUser(tg_id, "ads.in_review", { ad: adLabel({ id: result.ad_id, title }) });
+    return result;
+  }
+
+  // Advertiser sends their draft for review; the budget is charged now.
+  async function submitCampaign(tg_id, id, { idempotency } = {}) {
+    if (!Number.isFinite(id)) return fail(400, "bad_id");
+
+    const client = await pool.connect();
+    let result;
+    let ad;
+    try {
+      await client.query("begin");
+      const { rows } = await client.query(`select * from public.ads where id=$1 for update`, [id]);
+      ad = rows[0];
+      if (!ad || Number(ad.created_by) !== tg_id) {
+        await client.query("rollback");
+        return fail(404, "not_found");
+      }
+      if (ad.status !== "draft") {
+        await client.query("rollback");
+        return fail(409, "bad_status", { status: ad.status });
+      }
+      result = await submitDraft(client, ad);
+      if (result.ok) await idempotency?.store(client, result);
+      await client.query(result.ok ? "commit" : "rollback");
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    if (result.ok) await notifyUser(tg_id, "ads.in_review", { ad: adLabel(ad) });
+    return result;
+  }
+
+  /**
+   * Closes a campaign (rejected/cancelled) and refunds the unspent budget, inside
+   * the caller's transaction. Returns { ad, refund_tl } or null if the ad is gone.
+   */
+  async function closeCampaign(client, ad_id, status, actorId, reason = null) {
+    const { rows } = await client.query(
+      `update public.ads
+          set status=$2, active=false,
+              reviewed_at = case when $2 = 'rejected' then now() else reviewed_at end,
+              reviewed_by = case when $2 = 'rejected' then $3 else reviewed_by end,
+              review_reason = coalesce($4, review_reason)
+        where id=$1
+        returning id, title, created_by, status, budget_tl, spent_tl`,
+      [ad_id, status, actorId, reason]
+    );
+    const ad = rows[0];
+    if (!ad) return null;
+    const refund_tl = Number((Number(ad.budget_tl || 0) - Number(ad.spent_tl || 0)).toFixed(2));
+    if (ad.created_by && refund_tl > 0) {
+      await creditUser(
+        Number(ad.created_by),
+        refund_tl,
+        0,
+        { type: LEDGER_TYPES.AD_REFUND, ref_type: "ad", ref_id: ad.id, note: status },
+        client
+      );
+    }
+    return { ad, refund_tl };
+  }
+
+  // Advertiser cancels their own campaign; whatever is left in escrow is refunded (nothing for a draft).
+  async function cancelCampaign(tg_id, id) {
+    if (!Number.isFinite(id)) return fail(400, "bad_id");
+
+    const client = await pool.connect();
+    try {
+      await client.query("begin");
+      const { rows } = await client.query(`select id, created_by, status, budget_tl from public.ads where id=$1 for update`, [id]);
+      const ad = rows[0];
+      if (!ad || Number(ad.created_by) !== tg_id || (ad.budget_tl === null && ad.status !== "draft")) {
+        await client.query("rollback");
+        return fail(404, "not_found");
+      }
+      if (!["draft", "in_review", "active", "paused"].includes(ad.status)) {
+        await client.query("rollback");
+        return fail(409, "bad_status", { status: ad.status });
+      }
+      const closed = await closeCampaign(client, id, "cancelled", tg_id);
+      await client.query("commit");
+      return { ok: true, ad_id: id, status: "cancelled", refund_tl: closed.refund_tl };
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Advertiser dashboard (owner-only views of ads created via /api/ad/create)
+  // ---------------------------------------------------------------------------
+  async function getAdvertiserAdStats(tg_id, ad_id = null) {
+    const { rows } = await pool.query(
+      `select a.id, a.title, a.seconds, a.status, a.active, a.created_at, a.review_reason, a.interaction,
+              a.price_tl, a.target_views, a.budget_tl, coalesce(a.spent_tl,0) as spent_tl,
+              coalesce(s.started,0)::int as started,
+              coalesce(s.completed,0)::int as completed,
+              coalesce(s.answered,0)::int as answered,
+              coalesce(s.answered_correctly,0)::int as answered_correctly,
+              coalesce(s.clicked,0)::int as clicked,
+              s.avg_watch_seconds
+         from public.ads a
+         left join lateral (
+           select count(*) as started,
+                  count(*) filter (where completed) as completed,
+                  count(*) filter (where answer_correct is not null) as answered,
+                  count(*) filter (where answer_correct) as answered_correctly,
+                  count(*) filter (where clicked_at is not null) as clicked,
+                  avg(extract(epoch from (completed_at - started_at))) filter (where completed) as avg_watch_seconds
+             from public.ad_sessions where ad_id = a.id
+         ) s on true
+        where a.created_by=$1 and ($2::bigint is null or a.id=$2)
+        order by a.id desc`,
+      [tg_id, ad_id]
+    );
+    return rows.map((r) => {
+      const budget = r.budget_tl === null ? null : Number(r.budget_tl);
+      const spent = Number(r.spent_tl);
+      return {
+        id: r.id,
+        title: r.title,
+        seconds: r.seconds,
+        status: r.status,
+        review_reason: r.review_reason,
+        active: r.active,
+        created_at: r.created_at,
+        price_tl: Number(r.price_tl || 0),
+        target_views: r.target_views,
+        started: r.started,
+        completed: r.completed,
+        completion_rate: r.started ? Number((r.completed / r.started).toFixed(4)) : 0,
+        avg_watch_seconds: r.avg_watch_seconds === null ? null : Number(Number(r.avg_watch_seconds).toFixed(1)),
+        interaction: r.interaction,
+        // share of quiz answers that were right; null until someone answered
+        answered: r.answered,
+        answer_accuracy: r.answered ? Number((r.answered_correctly / r.answered).toFixed(4)) : null,
+        clicked: r.clicked,
+        click_rate: r.started ? Number((r.clicked / r.started).toFixed(4)) : 0,
+        spent_tl: spent,
+        budget_tl: budget,
+        remaining_tl: budget === null ? null : Number(Math.max(0, budget - spent).toFixed(2)),
+      };
+    });
+  }
+
+  // One ad with a daily series (WATCH_DAY_TZ days). body: { days?: 1..90 }
+  async function getAdvertiserAdDetail(tg_id, id, body) {
+    if (!Number.isFinite(id)) return fail(400, "bad_id");
+    const days = Math.max(1, Math.min(90, parseInt(body?.days, 10) || 30));
+
+    const [ad] = await getAdvertiserAdStats(tg_id, id);
+    if (!ad) return fail(404, "not_found");
+
+    const { rows } = await pool.query(
+      `select to_char((started_at at time zone $2)::date, 'YYYY-MM-DD') as day,
+              count(*)::int as started,
+              (count(*) filter (where completed))::int as completed,
+              avg(extract(epoch from (completed_at - started_at))) filter (where completed) as avg_watch_seconds
+         from public.ad_sessions
+        where ad_id=$1 and started_at >= ((now() at time zone $2)::date - ($3::int - 1))::timestamp at time zone $2
+        group by 1
+        order by 1`,
+      [id, WATCH_DAY_TZ, days]
+    );
+    const daily = rows.map((r) => ({
+      day: r.day,
+      started: r.started,
+      completed: r.completed,
+      spend_tl: Number((r.completed * ad.price_tl).toFixed(2)),
+      avg_watch_seconds: r.avg_watch_seconds === null ? null : Number(Number(r.avg_watch_seconds).toFixed(1)),
+    }));
+    return { ok: true, ad, daily };
+  }
+
+  // Owner pause/resume: only active <-> paused; review and closed states stay with admins.
+  async function setOwnAdPaused(tg_id, id, paused) {
+    if (!Number.isFinite(id)) return fail(400, "bad_id");
+    const from = paused ? "active" : "paused";
+    const to = paused ? "paused" : "active";
+    const { rows } = await pool.query(
+      `update public.ads set status=$3, active=$4
+        where id=$1 and created_by=$2 and status=$5
+        returning id, status, active`,
+      [id, tg_id, to, !paused, from]
+    );
+    if (!rows.length) {
+      const { rows: cur } = await pool.query(`select status from public.ads where id=$1 and created_by=$2`, [id, tg_id]);
+      if (!cur.length) return fail(404, "not_found");
+      return fail(409, "bad_status", { status: cur[0].status });
+    }
+    return { ok: true, ad: rows[0] };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Admin: ads
+  // ---------------------------------------------------------------------------
+  async function listAds() {
+    const { rows } = await pool.query(`select ${ADMIN_AD_COLUMNS.join(", ")} from public.ads order by id desc limit 200`);
+    return { ok: true, ads: rows };
+  }
+
+  async function createAd(body, adminId) {
+    const defaults = await settings.getSettings();
+    const type = String(body?.type || "web").slice(0, 16);
+    const rawUrl = String(body?.url || "").trim();
+    const seconds = Number(body?.seconds ?? defaults.watch_seconds_default);
+    const reward_tl = Number(body?.reward_tl ?? defaults.watch_reward_tl);
+    const reward_diamonds = Number(body?.reward_diamonds ?? (body?.reward_tl !== undefined ? reward_tl : defaults.watch_reward_diamonds));
+    const is_vip = !!body?.is_vip;
+    const active = body?.active === undefined ? true : !!body?.active;
+    const max_clicks = body?.max_clicks === null || body?.max_clicks === "" ? null : Number(body?.max_clicks);
+
+    if (!rawUrl) return fail(400, "missing_url");
+    if (!Number.isFinite(seconds) || seconds < 5 || seconds > 600) return fail(400, "bad_seconds");
+    if (!Number.isFinite(reward_tl) || reward_tl < 0) return fail(400, "bad_reward");
+    if (!Number.isFinite(reward_diamonds) || reward_diamonds < 0) return fail(400, "bad_reward");
+    if (max_clicks !== null && (!Number.isFinite(max_clicks) || max_clicks < 0)) return fail(400, "bad_max");
+    const schedule = parseAdScheduleInput(body);
+    if (schedule.error) return fail(400, schedule.error);
+    const checked = await creatives.checkAdUrl(type, rawUrl);
+    if (!checked.ok) return checked;
+    const task = creatives.checkInteraction(body);
+    if (!task.ok) return task;
+
+    const fields = [];
+    const values = [];
+    const params = [];
+    const add = (col, val) => {
+      fields.push(qIdent(col));
+      values.push(val);
+      params.push(`$${values.length}`);
+    };
+
+    add("type", type);
+    add("url", checked.url);
+    add("media_type", checked.media_type);
+    add("seconds", seconds);
+    add("reward_tl", reward_tl);
+    add("reward_diamonds", reward_diamonds);
+    add("is_vip", is_vip);
+    add("active", active);
+    add("max_clicks", max_clicks);
+    add("interaction", task.interaction);
+    add("quiz", task.quiz && JSON.stringify(task.quiz));
+    add("click_url", task.click_url);
+    for (const [col, val] of Object.entries(schedule.values)) add(col, val);
+
+    const client = await pool.connect();
+    try {
+      await client.query("begin");
+      const { rows } = await client.query(
+        `insert into public.ads (${fields.join(", ")}) values (${params.join(", ")}) returning *`,
+        values
+      );
+      await recordAudit({ actor: adminId, action: "ad.create", target_type: "ad", target_id: rows[0].id, after: rows[0] }, client);
+      await client.query("commit");
+      return { ok: true, ad: rows[0] };
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function updateAd(id, body, adminId) {
+    if (!Number.isFinite(id)) return fail(400, "bad_id");
+
+    const updates = [];
+    const values = [];
+    const set = (col, val) => {
+      values.push(val);
+      updates.push(`${qIdent(col)}=$${values.length}`);
+    };
+
+    if (body?.type !== undefined) set("type", String(body.type).slice(0, 16));
+    if (body?.url !== undefined) {
+      // checked as the type the ad has after this update; outside the transaction, as it may fetch the media
+      let type = body.type;
+      if (type === undefined) type = (await pool.query(`select type from public.ads where id=$1`, [id])).rows[0]?.type;
+      const checked = await creatives.checkAdUrl(type, String(body.url || "").trim());
+      if (!checked.ok) return checked;
+      set("url", checked.url);
+      set("media_type", checked.media_type);
+    }
+    // quiz / click_url replace the ad's interaction together; send both empty to remove it
+    if (body?.quiz !== undefined || body?.click_url !== undefined) {
+      const task = creatives.checkInteraction(body);
+      if (!task.ok) return task;
+      set("interaction", task.interaction);
+      set("quiz", task.quiz && JSON.stringify(task.quiz));
+      set("click_url", task.click_url);
+    }
+    if (body?.seconds !== undefined) set("seconds", Number(body.seconds));
+    if (body?.reward_tl !== undefined) set("reward_tl", Number(body.reward_tl));
+    if (body?.reward_diamonds !== undefined) set("reward_diamonds", Number(body.reward_diamonds));
+    if (body?.is_vip !== undefined) set("is_vip", !!body.is_vip);
+    if (body?.active !== undefined) {
+      set("active", !!body.active);
+      set("status", body.active ? "active" : "paused");
+    }
+    if (body?.clicks !== undefined) set("clicks", Math.max(0, parseInt(body.clicks, 10) || 0));
+    if (body?.max_clicks !== undefined) {
+      const v = body.max_clicks;
+      set("max_clicks", v === null || v === "" ? null : Number(v));
+    }
+
+    const schedule = parseAdScheduleInput(body);
+    if (schedule.error) return fail(400, schedule.error);
+    for (const [col, val] of Object.entries(schedule.values)) set(col, val);
+
+    if (!updates.length) return fail(400, "nothing_to_update");
+
+    const client = await pool.connect();
+    try {
+      await client.query("begin");
+      const { rows: cur } = await client.query(`select * from public.ads where id=$1 for update`, [id]);
+      const before = cur[0];
+      if (!before) {
+        await client.query("rollback");
+        return fail(404, "not_found");
+      }
+      // only pauses or resumes a running ad: drafts and the review queue go through
+      // submitCampaign/reviewCampaign, and closed campaigns were already refunded
+      if (body?.active !== undefined && !["active", "paused"].includes(before.status)) {
+        await client.query("rollback");
+        return fail(409, "bad_status", { status: before.status });
+      }
+
+      values.push(id);
+      const { rows } = await client.query(
+        `update public.ads set ${updates.join(", ")} where id=$${values.length} returning *`,
+        values
+      );
+      await recordAudit({ actor: adminId, action: "ad.update", target_type: "ad", target_id: id, before, after: rows[0] }, client);
+      await client.query("commit");
+      return { ok: true, ad: rows[0] };
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Campaign review queue (advertiser-funded ads waiting for approval)
+  async function listCampaigns(status = "in_review") {
+    const { rows } = await pool.query(
+      `select id, title, seconds, page_url, youtube_url, game_url, media_url, media_type, adsense_code, interaction, quiz,
+              click_url, created_by, price_tl, target_views, budget_tl, spent_tl, status, review_reason, created_at, submitted_at
+         from public.ads
+        where created_by is not null and status=$1
+        order by id asc limit 200`,
+      [status]
+    );
+    return { ok: true, campaigns: rows };
+  }
+
+  async function reviewCampaign(id, body, adminId) {
+    const decision = String(body?.decision || "").toLowerCase();
+    const reason = String(body?.reason || "").trim().slice(0, 500) || null;
+    if (!Number.isFinite(id)) return fail(400, "bad_id");
+    if (!["approve", "reject"].includes(decision)) return fail(400, "bad_decision");
+    // the advertiser is told why, so a rejection always needs a reason
+    if (decision === "reject" && !reason) return fail(400, "missing_reason");
+
+    const client = await pool.connect();
+    try {
+      await client.query("begin");
+      const { rows } = await client.query(`select id, title, created_by, status from public.ads where id=$1 for update`, [id]);
+      const ad = rows[0];
+      if (!ad) {
+        await client.query("rollback");
+        return fail(404, "not_found");
+      }
+      if (ad.status !== "in_review") {
+        await client.query("rollback");
+        return fail(409, "bad_status", { status: ad.status });
+      }
+
+      let refund_tl = 0;
+      if (decision === "approve") {
+        await client.query(
+          `update public.ads set status='active', active=true, reviewed_at=now(), reviewed_by=$2, review_reason=$3 where id=$1`,
+          [id, adminId, reason]
+        );
+      } else {
+        ({ refund_tl } = await closeCampaign(client, id, "rejected", adminId, reason));
+      }
+      await recordAudit(
+        {
+          actor: adminId,
+          action: `campaign.${decision}`,
+          target_type: "ad",
+          target_id: id,
+          before: { status: ad.status },
+          after: { status: decision === "approve" ? "active" : "rejected", refund_tl },
+          note: reason,
+        },
+        client
+      );
+      await client.query("commit");
+
+      if (ad.created_by) {
+        const key = decision === "approve" ? "ads.approved" : "ads.rejected";
+        await notifyUser(ad.created_by, key, { ad: adLabel({ ...ad, id }), reason, refund: refund_tl.toFixed(2) });
+      }
+      return { ok: true, ad_id: id, status: decision === "approve" ? "active" : "rejected", refund_tl };
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Admin: fraud review
+  // ---------------------------------------------------------------------------
+  // Users whose sessions fired fraud signals in the last `days` days (default 7).
+  async function listFlaggedUsers(days) {
+    const { rows } = await pool.query(
+      `select s.tg_id, u.username, u.referred_by,
+              count(*)::int as flagged_sessions,
+              (count(*) filter (where s.reward_status='held'))::int as held_sessions,
+              coalesce(sum(s.payout_tl) filter (where s.reward_status='held'),0) as held_tl,
+              coalesce(sum(s.payout_diamonds) filter (where s.reward_status='held'),0) as held_diamonds,
+              max(s.risk_score) as max_score,
+              -- collected per user, so the sums above count each session once
+              array(select distinct x
+                      from public.ad_sessions s2, unnest(s2.risk_signals) as x
+                     where s2.tg_id = s.tg_id and s2.completed and s2.risk_score > 0
+                       and s2.completed_at > now() - make_interval(days => $1)
+                     order by x) as signals,
+              max(s.completed_at) as last_flagged_at
+         from public.ad_sessions s
+         left join public.users u on u.tg_id = s.tg_id
+        where s.completed and s.risk_score > 0 and s.completed_at > now() - make_interval(days => $1)
+        group by s.tg_id, u.username, u.referred_by
+        order by held_sessions desc, max_score desc
+        limit 200`,
+      [days]
+    );
+    return { ok: true, users: rows };
+  }
+
+  async function listHeldSessions(tg_id = null) {
+    const { rows } = await pool.query(
+      `select id, tg_id, ad_id, seconds, started_at, completed_at, heartbeats, hidden_heartbeats,
+              risk_score, risk_signals, reward_status, payout_tl, payout_diamonds
+         from public.ad_sessions
+        where reward_status='held' and ($1::bigint is null or tg_id=$1)
+        order by id asc limit 500`,
+      [tg_id]
+    );
+    return { ok: true, sessions: rows };
+  }
+
+  // Releases (credits) or rejects held rewards. Either one session ({ id }) or all held sessions of a user ({ tg_id }).
+  async function resolveHeldSessions(target, body, adminId) {
+    const action = String(body?.action || "").toLowerCase();
+    if (!["release", "reject"].includes(action)) return fail(400, "bad_action");
+    const [where, param] = target.id !== undefined ? ["id=$1", target.id] : ["tg_id=$1", target.tg_id];
+
+    const client = await pool.connect();
+    try {
+      await client.query("begin");
+      const { rows } = await client.query(
+        `select id, tg_id, payout_tl, payout_diamonds, reward_tl, reward_diamonds
+           from public.ad_sessions where ${where} and reward_status='held'
+          order by id for update`,
+        [param]
+      );
+      if (!rows.length) {
+        await client.query("rollback");
+        return fail(404, "not_found");
+      }
+      for (const s of rows) {
+        if (action === "release") await creditSessionReward(client, { ...s, note: "fraud review: released" });
+        const status = action === "release" ? "released" : "rejected";
+        await client.query(
+          `update public.ad_sessions set reward_status=$2, reviewed_at=now(), reviewed_by=$3 where id=$1`,
+          [s.id, status, adminId]
+        );
+        await recordAudit(
+          {
+            actor: adminId,
+            action: `fraud.${action}`,
+            target_type: "ad_session",
+            target_id: s.id,
+            before: { reward_status: "held", tg_id: s.tg_id, payout_tl: s.payout_tl, payout_diamonds: s.payout_diamonds },
+            after: { reward_status: status },
+          },
+          client
+        );
+      }
+      await client.query("commit");
+
+      const byUser = new Map();
+      for (const s of rows) byUser.set(Number(s.tg_id), (byUser.get(Number(s.tg_id)) || 0) + Number(s.payout_tl));
+      for (const [uid, tl] of byUser) {
+        await notifyUser(uid, action === "release" ? "ads.held_released" : "ads.held_voided", { tl: tl.toFixed(2) });
+      }
+      return { ok: true, action, sessions: rows.map((s) => s.id) };
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  return {
+    getWatchQuota,
+    heartbeat,
+    startWatch,
+    completeWatch,
+    recordClick,
+    createCampaign,
+    submitCampaign,
+    cancelCampaign,
+    getAdvertiserAdStats,
+    getAdvertiserAdDetail,
+    setOwnAdPaused,
+    listAds,
+    createAd,
+    updateAd,
+    listCampaigns,
+    reviewCampaign,
+    listFlaggedUsers,
+    listHeldSessions,
+    resolveHeldSessions,
+  };
+}
+
+module.exports = { parseAdScheduleInput, createAdsService };
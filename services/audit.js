@@ -0,0 +1,67 @@
+const { fail } = require("./result");
+
+function createAuditService({ pool }) {
+  /**
+   * Appends to the admin audit trail. Pass the transaction client so the entry
+   * commits or rolls back together with the change it describes.
+   * entry: { actor, action, target_type, target_id, before?, after?, note? }
+   */
+  async function recordAudit(entry, db = pool) {
+    const json = (v) => (v === undefined || v === null ? null : JSON.stringify(v));
+    await db.query(
+      `insert into public.admin_audit (actor_tg_id, action, target_type, target_id, before, after, note)
+       values ($1,$2,$3,$4,$5,$6,$7)`,
+      [
+        entry.actor ? Number(entry.actor) : null,
+        entry.action,
+        entry.target_type,
+        entry.target_id === undefined || entry.target_id === null ? null : String(entry.target_id),
+        json(entry.before),
+        json(entry.after),
+        entry.note || null,
+      ]
+    );
+  }
+
+  // Filters: actor, action, target_type, target_id, from, to (ISO dates, to exclusive),
+  // limit/offset; csv=true returns up to 10000 rows.
+  async function listAudit(q, { csv = false } = {}) {
+    const params = [];
+    const where = [];
+    const add = (sql, val) => {
+      params.push(val);
+      where.push(sql.replace("?", `$${params.length}`));
+    };
+
+    if (q.actor) {
+      const actor = Number(q.actor);
+      if (!Number.isFinite(actor)) return fail(400, "bad_actor");
+      add("actor_tg_id = ?", actor);
+    }
+    if (q.action) add("action = ?", String(q.action));
+    if (q.target_type) add("target_type = ?", String(q.target_type));
+    if (q.target_id) add("target_id = ?", String(q.target_id));
+    for (const [key, op] of [["from", ">="], ["to", "<"]]) {
+      if (!q[key]) continue;
+      const d = new Date(String(q[key]));
+      if (Number.isNaN(d.getTime())) return fail(400, `bad_${key}`);
+      add(`created_at ${op} ?`, d);
+    }
+
+    const limit = csv ? 10000 : Math.max(1, Math.min(500, parseInt(q.limit, 10) || 100));
+    const offset = csv ? 0 : Math.max(0, parseInt(q.offset, 10) || 0);
+    const { rows } = await pool.query(
+      `select id, created_at, actor_tg_id, action, target_type, target_id, before, after, note
+         from public.admin_audit
+        ${where.length ? `where ${where.join(" and ")}` : ""}
+        order by created_at desc, id desc
+        limit ${limit} offset ${offset}`,
+      params
+    );
+    return { ok: true, entries: rows, next_offset: rows.length === limit ? offset + limit : null };
+  }
+
+  return { recordAudit, listAudit };
+}
+
+module.exports = { createAuditService };
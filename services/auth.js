@@ -0,0 +1,213 @@
+/**
+ * WebApp authentication: Telegram initData verification, signed keyboard links,
+ * session tokens and the ban / revocation state checked on every request.
+ */
+const crypto = require("crypto");
+const { fail } = require("./result");
+const { resolveLang, t } = require("../i18n");
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a ?? ""));
+  const y = Buffer.from(String(b ?? ""));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+/** True if an admin killed the user's sessions after `issuedAt` (unix seconds). */
+function revokedSince(access, issuedAt) {
+  const revokedAt = access.sessions_revoked_at;
+  return !!revokedAt && new Date(revokedAt).getTime() >= issuedAt * 1000;
+}
+
+function bannedMessageKey(access) {
+  return access.ban_reason ? "account.banned_reason" : "account.banned";
+}
+
+// `access` as returned by getUserAccess(); its language columns pick the default language.
+function bannedMessage(access, lang = resolveLang(access)) {
+  return t(lang, bannedMessageKey(access), { reason: access.ban_reason });
+}
+
+function bannedResult(access) {
+  return fail(403, "banned", { reason: access.ban_reason || null, message: bannedMessage(access) });
+}
+
+function hashSessionToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function createAuthService({ pool, config, wallet }) {
+  const { BOT_TOKEN, WEBAPP_SECRET, SESSION_TTL_SECONDS, LINK_TOKEN_TTL_SECONDS, INITDATA_MAX_AGE_SECONDS } = config;
+
+  function verifyInitData(initData) {
+    // initData is URL-encoded querystring provided by Telegram WebApp
+    if (!initData || typeof initData !== "string") return { ok: false, reason: "missing_initData" };
+    const params = new URLSearchParams(initData);
+    const hash = params.get("hash");
+    if (!hash) return { ok: false, reason: "missing_hash" };
+    params.delete("hash");
+
+    // Build data-check-string (sorted)
+    const pairs = [];
+    for (const [k, v] of params.entries()) {
+      pairs.push([k, v]);
+    }
+    pairs.sort((a, b) => a[0].localeCompare(b[0]));
+    const dataCheckString = pairs.map(([k, v]) => `${k}=${v}`).join("\n");
+
+    const secretKey = crypto.createHmac("sha256", "WebAppData").update(BOT_TOKEN).digest();
+    const computedHash = crypto.createHmac("sha256", secretKey).update(dataCheckString).digest("hex");
+
+    if (computedHash !== hash) return { ok: false, reason: "bad_hash" };
+
+    const authDate = parseInt(params.get("auth_date"), 10);
+    if (!authDate) return { ok: false, reason: "missing_auth_date" };
+    if (Date.now() / 1000 - authDate > INITDATA_MAX_AGE_SECONDS) return { ok: false, reason: "initData_expired" };
+
+    const userStr = params.get("user");
+    if (!userStr) return { ok: false, reason: "missing_user" };
+    let user;
+    try { user = JSON.parse(userStr); } catch { return { ok: false, reason: "bad_user_json" }; }
+    if (!user || !user.id) return { ok: false, reason: "missing_user_id" };
+
+    return { ok: true, user, params, auth_date: authDate };
+  }
+
+  // Keyboard link token: "<issued_at>.<hmac>". Valid for LINK_TOKEN_TTL_SECONDS and
+  // only until the user's sessions are revoked; it can only be exchanged for a session.
+  function signLinkToken(tgId, issuedAt = Math.floor(Date.now() / 1000)) {
+    const sig = crypto.createHmac("sha256", WEBAPP_SECRET).update(`link:${tgId}:${issuedAt}`).digest("hex").slice(0, 32);
+    return `${issuedAt}.${sig}`;
+  }
+
+  async function verifyLinkToken(tgId, token) {
+    const [iatStr] = String(token || "").split(".");
+    const issuedAt = parseInt(iatStr, 10);
+    if (!tgId || !issuedAt) return { ok: false, reason: "bad_token" };
+    if (!safeEqual(signLinkToken(tgId, issuedAt), token)) return { ok: false, reason: "bad_token" };
+    if (Date.now() / 1000 - issuedAt > LINK_TOKEN_TTL_SECONDS) return { ok: false, reason: "link_expired" };
+    if (await sessionsRevokedSince(tgId, issuedAt)) return { ok: false, reason: "session_revoked" };
+    return { ok: true };
+  }
+
+  // Ban and session-revocation state, checked on every authenticated WebApp request and bot update.
+  // The language columns come along so the bot can answer in the user's language without another query.
+  async function getUserAccess(tgId) {
+    const { rows } = await pool.query(
+      `select sessions_revoked_at, is_banned, ban_reason, language, language_code, bot_blocked_at from public.users where tg_id=$1`,
+      [Number(tgId)]
+    );
+    return (
+      rows[0] || { sessions_revoked_at: null, is_banned: false, ban_reason: null, language: null, language_code: null, bot_blocked_at: null }
+    );
+  }
+
+  async function sessionsRevokedSince(tgId, issuedAt) {
+    return revokedSince(await getUserAccess(tgId), issuedAt);
+  }
+
+  async function createWebAppSession(tgId, source, db = pool) {
+    const token = crypto.randomBytes(32).toString("base64url");
+    const { rows } = await db.query(
+      `insert into public.webapp_sessions (tg_id, token_hash, source, expires_at)
+       values ($1,$2,$3, now() + make_interval(secs => $4))
+       returning id, expires_at`,
+      [Number(tgId), hashSessionToken(token), source, SESSION_TTL_SECONDS]
+    );
+    return { id: rows[0].id, token, expires_at: rows[0].expires_at };
+  }
+
+  async function findWebAppSession(token) {
+    const { rows } = await pool.query(
+      `update public.webapp_sessions set last_used_at = now()
+        where token_hash=$1 and revoked_at is null and expires_at > now()
+        returning id, tg_id, expires_at`,
+      [hashSessionToken(token)]
+    );
+    return rows[0] || null;
+  }
+
+  /** Kills every session of a user: stored session tokens, keyboard links and older initData. */
+  async function revokeUserSessions(tgId, db = pool) {
+    await db.query(
+      `update public.users set sessions_revoked_at = now() where tg_id=$1`,
+      [Number(tgId)]
+    );
+    const { rowCount } = await db.query(
+      `update public.webapp_sessions set revoked_at = now() where tg_id=$1 and revoked_at is null`,
+      [Number(tgId)]
+    );
+    return rowCount;
+  }
+
+  // Session exchange: initData or keyboard link token (tg_id + token) -> session token.
+  async function openSession({ initData, tg_id: linkTgId, token }) {
+    let tg_id;
+    let source;
+    const v = verifyInitData(initData);
+    if (v.ok) {
+      if (await sessionsRevokedSince(v.user.id, v.auth_date)) return fail(401, "session_revoked");
+      tg_id = Number(v.user.id);
+      source = "initdata";
+    } else {
+      tg_id = Number(linkTgId || 0);
+      const link = await verifyLinkToken(tg_id, token);
+      if (!link.ok) return fail(401, initData ? v.reason : link.reason);
+      source = "link";
+    }
+
+    const access = await getUserAccess(tg_id);
+    if (access.is_banned) return bannedResult(access);
+
+    await wallet.ensureUser(tg_id);
+    const session = await createWebAppSession(tg_id, source);
+    return { ok: true, tg_id, token: session.token, expires_at: session.expires_at, ttl: SESSION_TTL_SECONDS };
+  }
+
+  // Rotation: the current session token is revoked and replaced by a new one.
+  async function refreshSession(session) {
+    if (!session) return fail(400, "no_session");
+    const client = await pool.connect();
+    try {
+      await client.query("begin");
+      const next = await createWebAppSession(session.tg_id, "refresh", client);
+      const { rowCount } = await client.query(
+        `update public.webapp_sessions set revoked_at=now(), replaced_by=$2 where id=$1 and revoked_at is null`,
+        [session.id, next.id]
+      );
+      if (!rowCount) {
+        await client.query("rollback");
+        return fail(401, "session_expired");
+      }
+      await client.query("commit");
+      return { ok: true, token: next.token, expires_at: next.expires_at, ttl: SESSION_TTL_SECONDS };
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function closeSession(session) {
+    if (session) {
+      await pool.query(`update public.webapp_sessions set revoked_at=now() where id=$1 and revoked_at is null`, [session.id]);
+    }
+    return { ok: true };
+  }
+
+  return {
+    verifyInitData,
+    signLinkToken,
+    verifyLinkToken,
+    getUserAccess,
+    sessionsRevokedSince,
+    createWebAppSession,
+    findWebAppSession,
+    revokeUserSessions,
+    openSession,
+    refreshSession,
+    closeSession,
+  };
+}
+
+module.exports = { safeEqual, revokedSince, bannedMessageKey, bannedMessage, bannedResult, hashSessionToken, createAuthService };
@@ -0,0 +1,45 @@
+/**
+ * Telegraf session store on public.bot_sessions. Only sessions with a scene in
+ * progress are kept; every other update would otherwise write a row. Idle rows
+ * are dropped after BOT_SESSION_MAX_AGE (the scene's own ttl usually ends them first).
+ */
+const BOT_SESSION_MAX_AGE = "1 day";
+
+function createBotSessionStore({ pool }) {
+  // What each key looked like when read, so unchanged sessions are not written back.
+  const loaded = new Map();
+
+  async function get(key) {
+    const { rows } = await pool.query(
+      `select data from public.bot_sessions where key=$1 and updated_at > now() - interval '${BOT_SESSION_MAX_AGE}'`,
+      [key]
+    );
+    loaded.set(key, rows[0] ? JSON.stringify(rows[0].data) : null);
+    return rows[0]?.data;
+  }
+
+  async function set(key, value) {
+    const before = loaded.get(key);
+    loaded.delete(key);
+    if (!value?.__scenes?.current) {
+      if (before) await pool.query(`delete from public.bot_sessions where key=$1`, [key]);
+      return;
+    }
+    const json = JSON.stringify(value);
+    if (json === before) return;
+    await pool.query(
+      `insert into public.bot_sessions (key, data) values ($1, $2::jsonb)
+       on conflict (key) do update set data=excluded.data, updated_at=now()`,
+      [key, json]
+    );
+  }
+
+  async function remove(key) {
+    loaded.delete(key);
+    await pool.query(`delete from public.bot_sessions where key=$1`, [key]);
+  }
+
+  return { get, set, delete: remove };
+}
+
+module.exports = { createBotSessionStore };
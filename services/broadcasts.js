@@ -0,0 +1,356 @@
+/**
+ * Admin broadcasts: one message (text, or a photo with caption, plus an optional URL
+ * button) for every user in a segment. Recipients are fixed when the broadcast is
+ * created (one broadcast_deliveries row each) and a background queue sends them at
+ * BROADCAST_RATE_PER_SEC:
+ *   429 Too Many Requests: wait retry_after, then send the same message again
+ *   403 (bot blocked, account deleted): delivery "blocked", users.bot_blocked_at set
+ *   anything else: delivery "failed" with Telegram's description
+ * Users who blocked the bot are left out of later broadcasts until they write to it again.
+ */
+const { Markup } = require("telegraf");
+const { fail } = require("./result");
+const {
+  VIP_ACTIVE_SQL,
+  BROADCAST_TEXT_MAX,
+  BROADCAST_CAPTION_MAX,
+  BROADCAST_MAX_RETRIES,
+  BROADCAST_CLAIM_TIMEOUT_SECONDS,
+} = require("../constants");
+
+const SEGMENT_KEYS = ["vip", "active_days", "min_balance_tl", "referrers"];
+const BATCH_SIZE = 50;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const isHttpsUrl = (v) => /^https:\/\/[^\s]+$/i.test(v);
+
+// segment: { vip?: true, active_days?: N, min_balance_tl?: X, referrers?: true }.
+// Every filter given must match; none means all users.
+function parseSegment(input) {
+  const raw = input && typeof input === "object" ? input : {};
+  const unknown = Object.keys(raw).find((k) => !SEGMENT_KEYS.includes(k));
+  if (unknown) return fail(400, "bad_segment", { field: unknown });
+  const segment = {};
+  if (raw.vip) segment.vip = true;
+  if (raw.referrers) segment.referrers = true;
+  if (raw.active_days != null && raw.active_days !== "") {
+    const days = Number(raw.active_days);
+    if (!Number.isInteger(days) || days < 1 || days > 365) return fail(400, "bad_active_days");
+    segment.active_days = days;
+  }
+  if (raw.min_balance_tl != null && raw.min_balance_tl !== "") {
+    const min = Number(raw.min_balance_tl);
+    if (!Number.isFinite(min) || min < 0) return fail(400, "bad_min_balance_tl");
+    segment.min_balance_tl = min;
+  }
+  return { ok: true, segment };
+}
+
+// SQL condition on users `u` for a parsed segment. Banned users and users who
+// blocked the bot never match.
+function segmentWhere(segment) {
+  const params = [];
+  const where = ["not u.is_banned", "u.bot_blocked_at is null"];
+  if (segment.vip) where.push(VIP_ACTIVE_SQL);
+  if (segment.referrers) where.push(`exists (select 1 from public.users r where r.referred_by = u.tg_id)`);
+  if (segment.active_days) {
+    // Active = started an ad or used a WebApp session in the last N days.
+    params.push(segment.active_days);
+    const since = `now() - make_interval(days => $${params.length})`;
+    where.push(`(exists (select 1 from public.ad_sessions s where s.tg_id = u.tg_id and s.started_at > ${since})
+              or exists (select 1 from public.webapp_sessions w where w.tg_id = u.tg_id and coalesce(w.last_used_at, w.created_at) > ${since}))`);
+  }
+  if (segment.min_balance_tl != null) {
+    params.push(segment.min_balance_tl);
+    where.push(`u.balance_tl > $${params.length}`);
+  }
+  return { sql: where.join(" and "), params };
+}
+
+// body: { text, photo_url?, button_text?, button_url? }
+function parseMessage(body) {
+  const text = String(body?.text || "").trim();
+  const photo_url = String(body?.photo_url || "").trim() || null;
+  const button_text = String(body?.button_text || "").trim() || null;
+  const button_url = String(body?.button_url || "").trim() || null;
+  if (!text && !photo_url) return fail(400, "missing_text");
+  if (text.length > (photo_url ? BROADCAST_CAPTION_MAX : BROADCAST_TEXT_MAX)) return fail(400, "text_too_long");
+  if (photo_url && !isHttpsUrl(photo_url)) return fail(400, "bad_photo_url");
+  if (!button_text !== !button_url || (button_url && !isHttpsUrl(button_url)) || (button_text && button_text.length > 64)) {
+    return fail(400, "bad_button");
+  }
+  return { ok: true, message: { text: text || null, photo_url, button_text, button_url } };
+}
+
+function createBroadcastService({ pool, config, telegram, audit }) {
+  const { BROADCAST_RATE_PER_SEC } = config;
+  const { recordAudit } = audit;
+  const gapMs = 1000 / Math.max(1, BROADCAST_RATE_PER_SEC);
+
+  async function countRecipients(segmentInput) {
+    const parsed = parseSegment(segmentInput);
+    if (!parsed.ok) return parsed;
+    const { sql, params } = segmentWhere(parsed.segment);
+    const { rows } = await pool.query(`select count(*)::int as n from public.users u where ${sql}`, params);
+    return { ok: true, segment: parsed.segment, recipients: rows[0].n };
+  }
+
+  // body: { text, photo_url?, button_text?, button_url?, segment }
+  async function createBroadcast(body, adminId) {
+    const msg = parseMessage(body);
+    if (!msg.ok) return msg;
+    const seg = parseSegment(body?.segment);
+    if (!seg.ok) return seg;
+    const { message } = msg;
+    const { sql, params } = segmentWhere(seg.segment);
+
+    const client = await pool.connect();
+    let id;
+    try {
+      await client.query("begin");
+      const { rows } = await client.query(
+        `insert into public.broadcasts (text, photo_url, button_text, button_url, segment, created_by)
+         values ($1,$2,$3,$4,$5,$6) returning id`,
+        [message.text, message.photo_url, message.button_text, message.button_url, JSON.stringify(seg.segment), adminId]
+      );
+      id = rows[0].id;
+      const { rowCount } = await client.query(
+        `insert into public.broadcast_deliveries (broadcast_id, tg_id)
+         select $${params.length + 1}, u.tg_id from public.users u where ${sql}`,
+        [...params, id]
+      );
+      if (!rowCount) {
+        await client.query("rollback");
+        return fail(400, "no_recipients");
+      }
+      await client.query(`update public.broadcasts set total=$2 where id=$1`, [id, rowCount]);
+      await recordAudit(
+        { actor: adminId, action: "broadcast.create", target_type: "broadcast", target_id: id, after: { ...message, segment: seg.segment, total: rowCount } },
+        client
+      );
+      await client.query("commit");
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    kick();
+    return getReport(id);
+  }
+
+  async function cancelBroadcast(id, adminId) {
+    if (!Number.isFinite(id)) return fail(400, "bad_id");
+    const client = await pool.connect();
+    try {
+      await client.query("begin");
+      const { rows } = await client.query(`select status from public.broadcasts where id=$1 for update`, [id]);
+      if (!rows[0]) {
+        await client.query("rollback");
+        return fail(404, "not_found");
+      }
+      if (!["queued", "sending"].includes(rows[0].status)) {
+        await client.query("rollback");
+        return fail(409, "not_cancellable", { status: rows[0].status });
+      }
+      await client.query(`update public.broadcasts set status='cancelled', finished_at=now() where id=$1`, [id]);
+      // claimed ones too: the queue checks each delivery again right before sending it
+      const { rowCount } = await client.query(
+        `update public.broadcast_deliveries set status='cancelled' where broadcast_id=$1 and status in ('pending','sending')`,
+        [id]
+      );
+      await recordAudit(
+        { actor: adminId, action: "broadcast.cancel", target_type: "broadcast", target_id: id, before: { status: rows[0].status }, after: { status: "cancelled", skipped: rowCount } },
+        client
+      );
+      await client.query("commit");
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+    return getReport(id);
+  }
+
+  const COUNTS_SQL = `
+    (select json_build_object(
+       'pending', count(*) filter (where d.status in ('pending','sending')),
+       'sent', count(*) filter (where d.status = 'sent'),
+       'failed', count(*) filter (where d.status = 'failed'),
+       'blocked', count(*) filter (where d.status = 'blocked'),
+       'cancelled', count(*) filter (where d.status = 'cancelled'))
+       from public.broadcast_deliveries d where d.broadcast_id = b.id) as counts`;
+
+  async function listBroadcasts(limit = 50) {
+    const { rows } = await pool.query(
+      `select b.*, ${COUNTS_SQL} from public.broadcasts b order by b.id desc limit $1`,
+      [Math.max(1, Math.min(200, Number(limit) || 50))]
+    );
+    return { ok: true, broadcasts: rows };
+  }
+
+  // Delivery report: counts per status and the failed / blocked recipients.
+  async function getReport(id) {
+    if (!Number.isFinite(Number(id))) return fail(400, "bad_id");
+    const { rows } = await pool.query(`select b.*, ${COUNTS_SQL} from public.broadcasts b where b.id=$1`, [id]);
+    if (!rows[0]) return fail(404, "not_found");
+    const { rows: failures } = await pool.query(
+      `select tg_id, status, error, attempts from public.broadcast_deliveries
+        where broadcast_id=$1 and status in ('failed','blocked')
+        order by tg_id limit 500`,
+      [id]
+    );
+    return { ok: true, broadcast: rows[0], failures };
+  }
+
+  async function setBotBlocked(tg_id, blocked) {
+    await pool.query(
+      `update public.users set bot_blocked_at = case when $2 then coalesce(bot_blocked_at, now()) else null end where tg_id=$1`,
+      [Number(tg_id), blocked]
+    );
+  }
+
+  // Queue ---------------------------------------------------------------------
+
+  let running = null;
+  let rerun = false;
+  let stopped = false;
+  let lastSendAt = 0;
+
+  // Claims the next pending deliveries of queued/sending broadcasts, oldest broadcast first.
+  async function claimBatch() {
+    const { rows } = await pool.query(
+      `update public.broadcast_deliveries d
+          set status='sending', claimed_at=now(), attempts=d.attempts+1
+         from public.broadcasts b
+        where b.id = d.broadcast_id
+          and (d.broadcast_id, d.tg_id) in (
+            select d2.broadcast_id, d2.tg_id
+              from public.broadcast_deliveries d2
+              join public.broadcasts b2 on b2.id = d2.broadcast_id
+             where b2.status in ('queued','sending')
+               and (d2.status = 'pending'
+                    or (d2.status = 'sending' and d2.claimed_at < now() - make_interval(secs => $2)))
+             order by d2.broadcast_id, d2.tg_id
+             limit $1
+             for update of d2 skip locked)
+        returning d.broadcast_id, d.tg_id, b.text, b.photo_url, b.button_text, b.button_url`,
+      [BATCH_SIZE, BROADCAST_CLAIM_TIMEOUT_SECONDS]
+    );
+    // update ... returning does not keep the subquery's order
+    rows.sort((a, b) => Number(a.broadcast_id) - Number(b.broadcast_id) || Number(a.tg_id) - Number(b.tg_id));
+    if (rows.length) {
+      await pool.query(
+        `update public.broadcasts set status='sending', started_at=coalesce(started_at, now())
+          where id = any($1::bigint[]) and status='queued'`,
+        [[...new Set(rows.map((r) => String(r.broadcast_id)))]]
+      );
+    }
+    return rows;
+  }
+
+  // False once the broadcast was cancelled after this delivery was claimed.
+  async function isStillQueued(d) {
+    const { rows } = await pool.query(
+      `select 1 from public.broadcast_deliveries d
+         join public.broadcasts b on b.id = d.broadcast_id
+        where d.broadcast_id=$1 and d.tg_id=$2 and d.status='sending' and b.status in ('queued','sending')`,
+      [d.broadcast_id, d.tg_id]
+    );
+    return rows.length > 0;
+  }
+
+  async function throttle() {
+    const wait = lastSendAt + gapMs - Date.now();
+    if (wait > 0) await sleep(wait);
+    lastSendAt = Date.now();
+  }
+
+  // Sends one delivery; resolves to { status, error }.
+  async function deliver(d) {
+    const extra = d.button_url ? Markup.inlineKeyboard([Markup.button.url(d.button_text, d.button_url)]) : {};
+    for (let attempt = 0; ; attempt++) {
+      await throttle();
+      try {
+        if (d.photo_url) await telegram.sendPhoto(Number(d.tg_id), d.photo_url, { caption: d.text || undefined, ...extra });
+        else await telegram.sendMessage(Number(d.tg_id), d.text, extra);
+        return { status: "sent", error: null };
+      } catch (e) {
+        const code = e?.response?.error_code;
+        const error = String(e?.response?.description || e?.message || e).slice(0, 500);
+        if (code === 429 && attempt < BROADCAST_MAX_RETRIES) {
+          await sleep(Number(e.response.parameters?.retry_after || 1) * 1000);
+          continue;
+        }
+        if (code === 403) return { status: "blocked", error };
+        return { status: "failed", error };
+      }
+    }
+  }
+
+  async function finishBroadcasts() {
+    await pool.query(
+      `update public.broadcasts b set status='done', finished_at=now()
+        where b.status in ('queued','sending')
+          and not exists (select 1 from public.broadcast_deliveries d
+                           where d.broadcast_id = b.id and d.status in ('pending','sending'))`
+    );
+  }
+
+  async function processQueue() {
+    while (!stopped) {
+      const batch = await claimBatch();
+      if (!batch.length) break;
+      for (const d of batch) {
+        if (stopped) return; // claimed rows are picked up again after the claim timeout
+        if (!(await isStillQueued(d))) continue;
+        const r = await deliver(d);
+        await pool.query(
+          `update public.broadcast_deliveries
+              set status=$3, error=$4, sent_at = case when $3 = 'sent' then now() else null end
+            where broadcast_id=$1 and tg_id=$2`,
+          [d.broadcast_id, d.tg_id, r.status, r.error]
+        );
+        if (r.status === "blocked") await setBotBlocked(d.tg_id, true);
+      }
+    }
+    await finishBroadcasts();
+  }
+
+  // Starts the queue unless it is already running; resolves when it runs dry.
+  function kick() {
+    if (stopped) return Promise.resolve();
+    if (running) {
+      rerun = true;
+      return running;
+    }
+    running = (async () => {
+      do {
+        rerun = false;
+        await processQueue();
+      } while (rerun && !stopped);
+    })()
+      .catch((e) => console.error("broadcast queue error", e))
+      .finally(() => {
+        running = null;
+      });
+    return running;
+  }
+
+  // Waits for the queue to send everything queued so far.
+  async function drain() {
+    while (running) await running;
+  }
+
+  // Stops after the message being sent (shutdown, tests).
+  async function stop() {
+    stopped = true;
+    await drain();
+  }
+
+  return { countRecipients, createBroadcast, cancelBroadcast, listBroadcasts, getReport, setBotBlocked, kick, drain, stop };
+}
+
+module.exports = { parseSegment, createBroadcastService };
@@ -0,0 +1,235 @@
+/**
+ * Ad creative checks for advertiser campaigns and admin ads. Every link must be https
+ * on a public host that passes AD_URL_ALLOWLIST / AD_URL_DENYLIST; our own PUBLIC_URL
+ * host is always refused, so a creative cannot frame the WebApp itself.
+ *   youtube_url          normalised to https://www.youtube.com/watch?v=<id>
+ *   media_url            fetched (HEAD): an AD_MEDIA_TYPES type of at most AD_MEDIA_MAX_MB
+ *   page_url, game_url   shown in a sandboxed iframe that cannot navigate the WebApp
+ *   adsense_code         no frames, forms or javascript: links, scripts only from
+ *                        AD_SNIPPET_SCRIPT_HOSTS
+ * The watch page runs HTML snippets in a sandboxed iframe with an opaque origin, which
+ * is what actually contains them; the snippet check only keeps the obvious abuse out
+ * of the moderation queue. A refused creative is fail(400, "bad_creative", { field, reason }).
+ *
+ * An ad may also ask for one interaction before it pays (checkInteraction):
+ *   quiz                 { question, options: 2..4 distinct answers, answer: index }
+ *   click_url            a link (checked as above) the watcher must open first
+ */
+const { fail } = require("./result");
+const {
+  AD_MEDIA_TYPES,
+  AD_URL_MAX_LENGTH,
+  AD_SNIPPET_MAX_LENGTH,
+  AD_QUIZ_QUESTION_MAX_LENGTH,
+  AD_QUIZ_OPTION_MAX_LENGTH,
+  AD_QUIZ_MAX_OPTIONS,
+} = require("../constants");
+
+const CAMPAIGN_CREATIVE_FIELDS = ["page_url", "youtube_url", "game_url", "media_url", "adsense_code"];
+const YOUTUBE_HOSTS = ["youtube.com", "youtube-nocookie.com", "youtu.be"];
+const SNIPPET_BANNED_TAGS = ["iframe", "frame", "frameset", "object", "embed", "applet", "form", "meta", "base", "link"];
+const MEDIA_CHECK_TIMEOUT_MS = 8000;
+
+// Is `host` one of `domains` or below one of them?
+function hostMatches(host, domains) {
+  return domains.some((d) => host === d || host.endsWith(`.${d}`));
+}
+
+// IP literals and names that only resolve on a private network. URL() has already
+// turned numeric hosts like 0x7f.1 into dotted IPv4.
+function isPrivateHost(host) {
+  return (
+    !host.includes(".") ||
+    host.startsWith("[") ||
+    /^\d+\.\d+\.\d+\.\d+$/.test(host) ||
+    /\.(localhost|local|internal|lan|home|arpa)$/.test(host)
+  );
+}
+
+// The video id of a YouTube watch, share, embed, shorts or live link; null if it is not one.
+function youtubeVideoId(raw) {
+  let u;
+  try {
+    u = new URL(String(raw).trim());
+  } catch {
+    return null;
+  }
+  const host = u.hostname.toLowerCase();
+  if (!hostMatches(host, YOUTUBE_HOSTS)) return null;
+  const id =
+    host === "youtu.be"
+      ? u.pathname.split("/")[1]
+      : u.searchParams.get("v") || (u.pathname.match(/^\/(?:embed|shorts|live|v)\/([^/?#]+)/) || [])[1];
+  return /^[A-Za-z0-9_-]{11}$/.test(id || "") ? id : null;
+}
+
+function createCreativeService({ config, fetch = globalThis.fetch }) {
+  const { AD_URL_ALLOWLIST, AD_URL_DENYLIST, AD_SNIPPET_SCRIPT_HOSTS, AD_MEDIA_MAX_MB, PUBLIC_URL } = config;
+  let ownHost = null;
+  try {
+    ownHost = PUBLIC_URL ? new URL(PUBLIC_URL).hostname.toLowerCase() : null;
+  } catch {}
+  const denied = ownHost ? [...AD_URL_DENYLIST, ownHost] : AD_URL_DENYLIST;
+
+  // The checks below answer { value } (normalised) or { reason }.
+  function checkLink(raw) {
+    let u;
+    try {
+      u = new URL(String(raw).trim());
+    } catch {
+      return { reason: "bad_url" };
+    }
+    if (u.protocol !== "https:") return { reason: "not_https" };
+    if (u.username || u.password) return { reason: "bad_url" };
+    if (u.href.length > AD_URL_MAX_LENGTH) return { reason: "too_long" };
+    const host = u.hostname.toLowerCase();
+    if (isPrivateHost(host)) return { reason: "private_host" };
+    if (hostMatches(host, denied)) return { reason: "blocked_domain" };
+    if (AD_URL_ALLOWLIST.length && !hostMatches(host, AD_URL_ALLOWLIST)) return { reason: "domain_not_allowed" };
+    return { value: u.href };
+  }
+
+  function checkYoutube(raw) {
+    const id = youtubeVideoId(raw);
+    if (!id) return { reason: "bad_youtube" };
+    return checkLink(`https://www.youtube.com/watch?v=${id}`);
+  }
+
+  // Asks the media host what is behind the link; the answer's headers are enough.
+  async function checkMedia(raw) {
+    const link = checkLink(raw);
+    if (link.reason) return link;
+    let res;
+    try {
+      res = await fetch(link.value, { method: "HEAD", redirect: "follow", signal: AbortSignal.timeout(MEDIA_CHECK_TIMEOUT_MS) });
+      // some CDNs refuse HEAD; a GET answers with the same headers
+      if (res.status === 405 || res.status === 501) {
+        res = await fetch(link.value, { redirect: "follow", signal: AbortSignal.timeout(MEDIA_CHECK_TIMEOUT_MS) });
+        res.body?.cancel().catch(() => {});
+      }
+    } catch {
+      return { reason: "media_unreachable" };
+    }
+    if (!res.ok) return { reason: "media_unreachable" };
+    // a redirect must not end up where the link itself could not point
+    if (res.url && res.url !== link.value && checkLink(res.url).reason) return { reason: "media_redirect" };
+
+    const contentType = String(res.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+    const media_type = AD_MEDIA_TYPES[contentType];
+    if (!media_type) return { reason: "media_type" };
+    const size = Number(res.headers.get("content-length"));
+    if (!(size > 0)) return { reason: "media_size_unknown" };
+    if (size > AD_MEDIA_MAX_MB * 1024 * 1024) return { reason: "media_too_large" };
+    return { value: link.value, media_type };
+  }
+
+  function checkSnippet(raw) {
+    const code = String(raw).trim();
+    if (code.length > AD_SNIPPET_MAX_LENGTH) return { reason: "too_long" };
+    const tags = [...code.matchAll(/<\s*([a-z][a-z0-9-]*)/gi)].map((m) => m[1].toLowerCase());
+    if (tags.some((tag) => SNIPPET_BANNED_TAGS.includes(tag))) return { reason: "snippet_tag" };
+    if (/\b(?:href|src|action|formaction)\s*=\s*["']?\s*(?:javascript|vbscript|data):/i.test(code)) return { reason: "snippet_url" };
+    for (const [, attrs] of code.matchAll(/<script\b([^>]*)>/gi)) {
+      const src = attrs.match(/\bsrc\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+      if (!src) continue;
+      let u;
+      try {
+        u = new URL(src[1] ?? src[2] ?? src[3]);
+      } catch {
+        return { reason: "snippet_script" };
+      }
+      if (u.protocol !== "https:" || !hostMatches(u.hostname.toLowerCase(), AD_SNIPPET_SCRIPT_HOSTS)) {
+        return { reason: "snippet_script" };
+      }
+    }
+    return { value: code };
+  }
+
+  // Cheap checks first, so a bad link is refused before the media host is asked.
+  const CAMPAIGN_CHECKS = {
+    page_url: checkLink,
+    game_url: checkLink,
+    youtube_url: checkYoutube,
+    adsense_code: checkSnippet,
+    media_url: checkMedia,
+  };
+
+  /**
+   * Advertiser campaign fields. Returns { ok, creative } with every field normalised
+   * ("" when not given) plus media_type, or a bad_creative / missing_creative failure.
+   */
+  async function checkCampaignCreative(body) {
+    const creative = { page_url: "", youtube_url: "", game_url: "", media_url: "", media_type: null, adsense_code: "" };
+    for (const [field, check] of Object.entries(CAMPAIGN_CHECKS)) {
+      const raw = String(body?.[field] ?? "").trim();
+      if (!raw) continue;
+      const r = await check(raw);
+      if (r.reason) return fail(400, "bad_creative", { field, reason: r.reason });
+      creative[field] = r.value;
+      if (r.media_type) creative.media_type = r.media_type;
+    }
+    if (!CAMPAIGN_CREATIVE_FIELDS.some((f) => creative[f])) return fail(400, "missing_creative");
+    return { ok: true, creative };
+  }
+
+  /**
+   * Admin ads keep the legacy type + url pair; the url gets the check of the field
+   * startWatch() shows it as. Returns { ok, url, media_type } or a bad_creative failure.
+   */
+  async function checkAdUrl(type, raw) {
+    const kind = String(type || "").toLowerCase();
+    const r =
+      kind === "youtube" || youtubeVideoId(raw)
+        ? checkYoutube(raw)
+        : kind === "video" || kind === "image" || /\.mp4(\?|#|$)/i.test(raw)
+          ? await checkMedia(raw)
+          : checkLink(raw);
+    if (r.reason) return fail(400, "bad_creative", { field: "url", reason: r.reason });
+    return { ok: true, url: r.value, media_type: r.media_type || null };
+  }
+
+  // Returns { quiz } normalised, or { reason }.
+  function checkQuiz(raw) {
+    if (!raw || typeof raw !== "object") return { reason: "bad_question" };
+    const question = String(raw.question ?? "").trim();
+    if (question.length < 3 || question.length > AD_QUIZ_QUESTION_MAX_LENGTH) return { reason: "bad_question" };
+    const options = Array.isArray(raw.options) ? raw.options.map((o) => String(o ?? "").trim()) : [];
+    if (
+      options.length < 2 ||
+      options.length > AD_QUIZ_MAX_OPTIONS ||
+      options.some((o) => !o || o.length > AD_QUIZ_OPTION_MAX_LENGTH) ||
+      new Set(options.map((o) => o.toLocaleLowerCase("tr"))).size !== options.length
+    ) {
+      return { reason: "bad_options" };
+    }
+    const answer = Number(raw.answer);
+    if (!Number.isInteger(answer) || answer < 0 || answer >= options.length) return { reason: "bad_answer" };
+    return { quiz: { question, options, answer } };
+  }
+
+  /**
+   * The interaction an ad asks for: body.quiz or body.click_url, not both. Returns
+   * { ok, interaction, quiz, click_url } (interaction null when neither is given) or a
+   * bad_quiz / bad_creative / one_interaction failure.
+   */
+  function checkInteraction(body) {
+    const hasQuiz = body?.quiz !== undefined && body?.quiz !== null && body?.quiz !== "";
+    const rawClick = String(body?.click_url ?? "").trim();
+    if (hasQuiz && rawClick) return fail(400, "one_interaction");
+    if (hasQuiz) {
+      const r = checkQuiz(body.quiz);
+      if (r.reason) return fail(400, "bad_quiz", { reason: r.reason });
+      return { ok: true, interaction: "quiz", quiz: r.quiz, click_url: null };
+    }
+    if (rawClick) {
+      const r = checkLink(rawClick);
+      if (r.reason) return fail(400, "bad_creative", { field: "click_url", reason: r.reason });
+      return { ok: true, interaction: "click", quiz: null, click_url: r.value };
+    }
+    return { ok: true, interaction: null, quiz: null, click_url: null };
+  }
+
+  return { checkCampaignCreative, checkAdUrl, checkInteraction };
+}
+
+module.exports = { CAMPAIGN_CREATIVE_FIELDS, youtubeVideoId, createCreativeService };
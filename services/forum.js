@@ -0,0 +1,261 @@
+/**
+ * Forum: moderators open topics, users read them and post. Posts are checked for
+ * length, profanity and links, and rate limited per user (constants.js). Deleting a
+ * post only hides it. A new topic can also be announced to every user as a broadcast.
+ */
+const { fail } = require("./result");
+const {
+  FORUM_TITLE_MAX,
+  FORUM_POST_MIN,
+  FORUM_POST_MAX,
+  FORUM_POST_COOLDOWN_SECONDS,
+  FORUM_POSTS_PER_HOUR,
+} = require("../constants");
+
+// Whole words that make a post "profanity" (Turkish and English, compared without diacritics).
+const PROFANITY = ["amk", "aq", "amina", "aminako", "orospu", "siktir", "sikerim", "sikeyim", "yarrak", "gavat", "pezevenk", "kahpe", "fuck", "shit", "bitch", "cunt"];
+const PROFANITY_RE = new RegExp(`(?:^|[^\\p{L}\\d])(?:${PROFANITY.join("|")})(?![\\p{L}\\d])`, "u");
+const LINK_RE = /(https?:\/\/|www\.|t\.me\/|telegram\.(me|dog)\/|\b[\w-]+\.(com|net|org|io|me|ru|xyz|info|biz|link|tr)\b|@[a-z]\w{4,})/i;
+
+const fold = (s) =>
+  s
+    .toLocaleLowerCase("tr")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/ı/g, "i");
+
+/** Returns the error code for a post text that may not be published, or null. */
+function checkMessage(text, { allowLinks = false } = {}) {
+  if (text.length < FORUM_POST_MIN) return "message_too_short";
+  if (text.length > FORUM_POST_MAX) return "message_too_long";
+  if (PROFANITY_RE.test(fold(text))) return "profanity";
+  if (!allowLinks && LINK_RE.test(text)) return "links_not_allowed";
+  return null;
+}
+
+const page = (q, max) => ({
+  limit: Math.max(1, Math.min(max, parseInt(q?.limit, 10) || 50)),
+  offset: Math.max(0, parseInt(q?.offset, 10) || 0),
+});
+
+function createForumService({ pool, wallet, audit, broadcasts }) {
+  const { recordAudit } = audit;
+
+  // Open topics first, then by latest activity. query: limit, offset
+  async function listTopics(q) {
+    const { limit, offset } = page(q, 100);
+    const { rows } = await pool.query(
+      `select t.id, t.title, t.body, t.is_open, t.created_at, t.closed_at,
+              count(p.id)::int as post_count,
+              max(p.created_at) as last_post_at
+         from public.forum_topics t
+         left join public.forum_posts p on p.topic_id = t.id and p.deleted_at is null
+        group by t.id
+        order by t.is_open desc, coalesce(max(p.created_at), t.created_at) desc, t.id desc
+        limit ${limit} offset ${offset}`
+    );
+    return { ok: true, topics: rows, next_offset: rows.length === limit ? offset + limit : null };
+  }
+
+  async function getTopic(id, db = pool) {
+    const { rows } = await db.query(
+      `select id, title, body, is_open, created_by, created_at, closed_at, closed_by, broadcast_id
+         from public.forum_topics where id=$1`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  // Oldest first. query: limit, offset
+  async function listPosts(topicId, q) {
+    if (!Number.isFinite(topicId)) return fail(400, "bad_id");
+    const topic = await getTopic(topicId);
+    if (!topic) return fail(404, "not_found");
+    const { limit, offset } = page(q, 100);
+    const { rows } = await pool.query(
+      `select p.id, p.tg_id, p.message, p.created_at,
+              coalesce(nullif(u.username, ''), u.first_name) as author
+         from public.forum_posts p
+         left join public.users u on u.tg_id = p.tg_id
+        where p.topic_id=$1 and p.deleted_at is null
+        order by p.id
+        limit ${limit} offset ${offset}`,
+      [topicId]
+    );
+    return { ok: true, topic, posts: rows, next_offset: rows.length === limit ? offset + limit : null };
+  }
+
+  // body: { message }. Moderators may post links and are not rate limited.
+  async function createPost(topicId, tg_id, body, { moderator = false } = {}) {
+    if (!Number.isFinite(topicId)) return fail(400, "bad_id");
+    const message = String(body?.message || "").trim();
+    const bad = checkMessage(message, { allowLinks: moderator });
+    if (bad) return fail(400, bad, bad === "message_too_long" ? { max: FORUM_POST_MAX } : {});
+
+    await wallet.ensureUser(tg_id);
+    const client = await pool.connect();
+    try {
+      await client.query("begin");
+      // One post at a time per user, so the rate limit below cannot be raced.
+      await client.query(`select 1 from public.users where tg_id=$1 for update`, [tg_id]);
+      const topic = await getTopic(topicId, client);
+      if (!topic) {
+        await client.query("rollback");
+        return fail(404, "not_found");
+      }
+      if (!topic.is_open) {
+        await client.query("rollback");
+        return fail(409, "topic_closed");
+      }
+      if (!moderator) {
+        const { rows } = await client.query(
+          `select count(*)::int as last_hour,
+                  extract(epoch from now() - max(created_at))::float as since_last
+             from public.forum_posts
+            where tg_id=$1 and created_at > now() - interval '1 hour'`,
+          [tg_id]
+        );
+        const { last_hour, since_last } = rows[0];
+        if (since_last !== null && since_last < FORUM_POST_COOLDOWN_SECONDS) {
+          await client.query("rollback");
+          return fail(429, "post_cooldown", { retry_after: Math.ceil(FORUM_POST_COOLDOWN_SECONDS - since_last) });
+        }
+        if (last_hour >= FORUM_POSTS_PER_HOUR) {
+          await client.query("rollback");
+          return fail(429, "post_limit", { limit: FORUM_POSTS_PER_HOUR });
+        }
+      }
+      const { rows } = await client.query(
+        `insert into public.forum_posts (topic_id, tg_id, message) values ($1,$2,$3)
+         returning id, topic_id, tg_id, message, created_at`,
+        [topicId, tg_id, message]
+      );
+      await client.query("commit");
+      return { ok: true, post: rows[0] };
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function deletePost(id, adminId) {
+    if (!Number.isFinite(id)) return fail(400, "bad_id");
+    const client = await pool.connect();
+    try {
+      await client.query("begin");
+      const { rows } = await client.query(
+        `update public.forum_posts set deleted_at=now(), deleted_by=$2
+          where id=$1 and deleted_at is null
+          returning id, topic_id, tg_id, message`,
+        [id, adminId]
+      );
+      if (!rows[0]) {
+        await client.query("rollback");
+        return fail(404, "not_found");
+      }
+      await recordAudit(
+        {
+          actor: adminId,
+          action: "forum.post_delete",
+          target_type: "forum_post",
+          target_id: id,
+          before: { topic_id: rows[0].topic_id, tg_id: Number(rows[0].tg_id), message: rows[0].message },
+        },
+        client
+      );
+      await client.query("commit");
+      return { ok: true, id };
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  // body: { title, body?, announce? }. announce sends the topic to every user as a broadcast.
+  async function createTopic(input, adminId) {
+    const title = String(input?.title || "").trim();
+    const text = String(input?.body || "").trim() || null;
+    if (title.length < 3 || title.length > FORUM_TITLE_MAX) return fail(400, "bad_title", { max: FORUM_TITLE_MAX });
+    if (text && text.length > FORUM_POST_MAX) return fail(400, "message_too_long", { max: FORUM_POST_MAX });
+
+    await wallet.ensureUser(adminId);
+    const client = await pool.connect();
+    let topic;
+    try {
+      await client.query("begin");
+      const { rows } = await client.query(
+        `insert into public.forum_topics (title, body, created_by) values ($1,$2,$3)
+         returning id, title, body, is_open, created_at`,
+        [title, text, adminId]
+      );
+      topic = rows[0];
+      await recordAudit(
+        { actor: adminId, action: "forum.topic_create", target_type: "forum_topic", target_id: topic.id, after: { title, body: text } },
+        client
+      );
+      await client.query("commit");
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    let announcement = null;
+    if (input?.announce) {
+      announcement = await broadcasts.createBroadcast({ text: `💬 ${title}${text ? `\n\n${text}` : ""}` }, adminId);
+      if (announcement.ok) {
+        await pool.query(`update public.forum_topics set broadcast_id=$2 where id=$1`, [topic.id, announcement.broadcast.id]);
+        topic.broadcast_id = announcement.broadcast.id;
+      }
+    }
+    // A failed announcement (e.g. no_recipients) does not undo the topic.
+    return { ok: true, topic, announcement: announcement && (announcement.ok ? announcement.broadcast : { error: announcement.error }) };
+  }
+
+  async function setTopicOpen(id, open, adminId) {
+    if (!Number.isFinite(id)) return fail(400, "bad_id");
+    const client = await pool.connect();
+    try {
+      await client.query("begin");
+      const { rows } = await client.query(
+        `update public.forum_topics
+            set is_open=$2,
+                closed_at = case when $2 then null else now() end,
+                closed_by = case when $2 then null else $3::bigint end
+          where id=$1
+          returning id, title, is_open, closed_at`,
+        [id, open, adminId]
+      );
+      if (!rows[0]) {
+        await client.query("rollback");
+        return fail(404, "not_found");
+      }
+      await recordAudit(
+        {
+          actor: adminId,
+          action: open ? "forum.topic_reopen" : "forum.topic_close",
+          target_type: "forum_topic",
+          target_id: id,
+          after: { is_open: open },
+        },
+        client
+      );
+      await client.query("commit");
+      return { ok: true, topic: rows[0] };
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  return { listTopics, listPosts, createPost, deletePost, createTopic, setTopicOpen };
+}
+
+module.exports = { checkMessage, createForumService };
@@ -0,0 +1,99 @@
+/**
+ * Idempotency-Key support for the endpoints that move money. The first request with
+ * a key claims it (per user); its successful response is stored and sent again, as
+ * is, to every retry with that key, so a double tap or a retried request after a
+ * timeout cannot pay out or charge twice. While the first request still runs, a retry
+ * gets 409 request_in_progress; the same key on another endpoint or with another body
+ * gets 422 idempotency_key_reused. Keys expire after IDEMPOTENCY_KEY_TTL.
+ *
+ * The services write their response with store() inside the transaction that moves
+ * the money, so the stored answer commits together with the movement: a crash or a
+ * 5xx after the commit still leaves a response to replay. Requests that end without
+ * one (refused, or failed before the commit) release the key, as nothing was moved;
+ * a claim left behind by a process that died mid-request is taken over after
+ * IDEMPOTENCY_CLAIM_TIMEOUT.
+ */
+const crypto = require("crypto");
+const { fail } = require("./result");
+
+const IDEMPOTENCY_KEY_TTL = "24 hours";
+const IDEMPOTENCY_CLAIM_TIMEOUT = "5 minutes";
+const KEY_PATTERN = /^[A-Za-z0-9_.:-]{1,128}$/;
+
+function requestHash(scope, body) {
+  return crypto.createHash("sha256").update(`${scope}\n${JSON.stringify(body ?? {})}`).digest("hex");
+}
+
+function createIdempotencyService({ pool }) {
+  /**
+   * Claims `key` for this request. Returns { ok, claimed: true } when the caller should
+   * run it, { ok, replay: true, status, response } for a stored answer, or a failure.
+   */
+  async function begin(tg_id, key, scope, body) {
+    if (!KEY_PATTERN.test(key)) return fail(400, "bad_idempotency_key");
+    const hash = requestHash(scope, body);
+
+    await pool.query(
+      `delete from public.idempotency_keys where tg_id=$1 and created_at < now() - interval '${IDEMPOTENCY_KEY_TTL}'`,
+      [tg_id]
+    );
+    const { rowCount } = await pool.query(
+      `insert into public.idempotency_keys (tg_id, key, scope, request_hash) values ($1,$2,$3,$4)
+       on conflict (tg_id, key) do nothing`,
+      [tg_id, key, scope, hash]
+    );
+    if (rowCount) return { ok: true, claimed: true };
+
+    const { rows } = await pool.query(
+      `select scope, request_hash, status, response,
+              created_at < now() - interval '${IDEMPOTENCY_CLAIM_TIMEOUT}' as stale
+         from public.idempotency_keys where tg_id=$1 and key=$2`,
+      [tg_id, key]
+    );
+    const prev = rows[0];
+    // released between the insert and the select: the first request failed, let the client retry
+    if (!prev) return fail(409, "request_in_progress");
+    if (prev.scope !== scope || prev.request_hash !== hash) return fail(422, "idempotency_key_reused");
+    if (prev.status === null) {
+      if (prev.stale) {
+        // nothing was stored with the claim, so the first request never committed
+        const { rowCount: taken } = await pool.query(
+          `update public.idempotency_keys set created_at=now()
+            where tg_id=$1 and key=$2 and status is null and created_at < now() - interval '${IDEMPOTENCY_CLAIM_TIMEOUT}'`,
+          [tg_id, key]
+        );
+        if (taken) return { ok: true, claimed: true };
+      }
+      return fail(409, "request_in_progress");
+    }
+    return { ok: true, replay: true, status: prev.status, response: prev.response };
+  }
+
+  // Stores a successful `result` as part of the caller's transaction (`client`).
+  async function store(client, tg_id, key, result) {
+    await client.query(
+      `update public.idempotency_keys set status=200, response=$3::jsonb where tg_id=$1 and key=$2`,
+      [tg_id, key, JSON.stringify(result)]
+    );
+  }
+
+  /**
+   * Called with the response that is sent. A success the service did not store (one
+   * that moved nothing, e.g. an already completed session) is stored now; any other
+   * outcome gives the key back, unless a response was committed with the money.
+   */
+  async function finish(tg_id, key, status, response) {
+    if (status >= 200 && status < 300) {
+      await pool.query(
+        `update public.idempotency_keys set status=$3, response=$4::jsonb where tg_id=$1 and key=$2 and status is null`,
+        [tg_id, key, status, JSON.stringify(response)]
+      );
+    } else {
+      await pool.query(`delete from public.idempotency_keys where tg_id=$1 and key=$2 and status is null`, [tg_id, key]);
+    }
+  }
+
+  return { begin, store, finish };
+}
+
+module.exports = { IDEMPOTENCY_KEY_TTL, IDEMPOTENCY_CLAIM_TIMEOUT, createIdempotencyService };
@@ -0,0 +1,60 @@
+const { createLocaleService } = require("./locale");
+const { createNotifier } = require("./notify");
+const { createAuditService } = require("./audit");
+const { createSettingsService } = require("./settings");
+const { createWalletService } = require("./wallet");
+const { createAuthService } = require("./auth");
+const { createReferralService } = require("./referral");
+const { createCreativeService } = require("./creatives");
+const { createAdsService } = require("./ads");
+const { createWithdrawalService } = require("./withdrawals");
+const { createAdminService } = require("./admin");
+const { createBroadcastService } = require("./broadcasts");
+const { createForumService } = require("./forum");
+const { createStatsService } = require("./stats");
+const { createBotSessionStore } = require("./botSessions");
+const { createIdempotencyService } = require("./idempotency");
+
+/**
+ * Builds every service on one pool. `telegram` is the client outgoing messages
+ * go through (bot.telegram, or a fake in tests); `fetch` is what the creative checks
+ * use to look at advertisers' media links (the global fetch unless a test passes one).
+ */
+function createServices({ pool, config, telegram, fetch }) {
+  const locale = createLocaleService({ pool });
+  const notifier = createNotifier({ telegram, locale });
+  const audit = createAuditService({ pool });
+  const settings = createSettingsService({ pool, config, audit });
+  const wallet = createWalletService({ pool, config, audit });
+  const auth = createAuthService({ pool, config, wallet });
+  const referral = createReferralService({ pool, config, settings, wallet, notifier });
+  const creatives = createCreativeService({ config, fetch });
+  const ads = createAdsService({ pool, config, settings, wallet, referral, audit, notifier, creatives });
+  const withdrawals = createWithdrawalService({ pool, settings, wallet, audit, notifier });
+  const admin = createAdminService({ pool, config, wallet, auth, audit, notifier });
+  const broadcasts = createBroadcastService({ pool, config, telegram, audit });
+  const forum = createForumService({ pool, wallet, audit, broadcasts });
+  const stats = createStatsService({ pool, config });
+  const botSessions = createBotSessionStore({ pool });
+  const idempotency = createIdempotencyService({ pool });
+  return {
+    locale,
+    notifier,
+    audit,
+    settings,
+    wallet,
+    auth,
+    referral,
+    creatives,
+    ads,
+    withdrawals,
+    admin,
+    broadcasts,
+    forum,
+    stats,
+    botSessions,
+    idempotency,
+  };
+}
+
+module.exports = { createServices };
@@ -0,0 +1,35 @@
+/**
+ * Which language a user is addressed in (see i18n.js): their /language choice
+ * (users.language), else the language_code Telegram last reported, else Turkish.
+ */
+const { fail } = require("./result");
+const { normalizeLang, resolveLang, t } = require("../i18n");
+
+function createLocaleService({ pool }) {
+  // { language, language_code } as stored; both null for unknown users.
+  async function getUserLocale(tg_id) {
+    const { rows } = await pool.query(`select language, language_code from public.users where tg_id=$1`, [Number(tg_id)]);
+    return rows[0] || { language: null, language_code: null };
+  }
+
+  async function getUserLang(tg_id) {
+    return resolveLang(await getUserLocale(tg_id));
+  }
+
+  /** lang: "tr" | "en" | "az", or "auto" to follow the Telegram client language again. */
+  async function setUserLanguage(tg_id, lang) {
+    const language = lang === "auto" ? null : normalizeLang(lang);
+    if (lang !== "auto" && !language) return fail(400, "bad_language");
+    const { rowCount } = await pool.query(`update public.users set language=$2 where tg_id=$1`, [Number(tg_id), language]);
+    if (!rowCount) return fail(404, "not_found");
+    return { ok: true, language, lang: await getUserLang(tg_id) };
+  }
+
+  async function translateFor(tg_id, key, params) {
+    return t(await getUserLang(tg_id), key, params);
+  }
+
+  return { getUserLocale, getUserLang, setUserLanguage, translateFor };
+}
+
+module.exports = { createLocaleService };
@@ -0,0 +1,28 @@
+/**
+ * Outgoing Telegram messages. `telegram` is bot.telegram in production and a fake
+ * client in tests (test/fakeTelegram.js).
+ */
+function createNotifier({ telegram, locale }) {
+  // Best-effort direct message, translated into the recipient's language (services/locale.js).
+  // A blocked bot or unknown chat must never fail the caller.
+  async function notifyUser(tg_id, key, params, extra) {
+    try {
+      await telegram.sendMessage(Number(tg_id), await locale.translateFor(tg_id, key, params), extra);
+    } catch (e) {
+      console.warn("notifyUser failed", tg_id, e?.message || e);
+    }
+  }
+
+  // Cache bot username for referral links
+  let botUsername = null;
+  async function getBotUsername() {
+    if (botUsername) return botUsername;
+    const me = await telegram.getMe();
+    botUsername = me.username;
+    return botUsername;
+  }
+
+  return { notifyUser, getBotUsername };
+}
+
+module.exports = { createNotifier };
@@ -0,0 +1,204 @@
+/**
+ * Referral programme: upline payouts for completed ads, the signup bonus and the
+ * WebApp / leaderboard views. Rates are described in constants.js and read from settings.
+ */
+const { LEDGER_TYPES } = require("../constants");
+
+// "@username", first name, or a masked id for public lists
+function displayName(u) {
+  if (u.username) return `@${u.username}`;
+  if (u.first_name) return String(u.first_name);
+  const id = String(u.tg_id);
+  return id.length > 4 ? `${id.slice(0, 2)}${"*".repeat(id.length - 4)}${id.slice(-2)}` : id;
+}
+
+function createReferralService({ pool, config, settings, wallet, notifier }) {
+  const { WATCH_DAY_TZ } = config;
+
+  async function recordReferralEarning(client, e) {
+    const b = await wallet.creditUser(
+      e.referrer,
+      e.tl,
+      e.diamonds,
+      {
+        type: e.kind === "signup_bonus" ? LEDGER_TYPES.REFERRAL_SIGNUP_BONUS : LEDGER_TYPES.REFERRAL_ONGOING,
+        ref_type: "ad_session",
+        ref_id: e.session_id,
+        note: `referred ${e.referred} (L${e.level})`,
+      },
+      client
+    );
+    if (!b) return; // referrer no longer exists
+    await client.query(
+      `insert into public.referral_earnings (referrer_tg_id, referred_tg_id, amount_tl, amount_diamonds, level, kind, ad_session_id)
+       values ($1,$2,$3,$4,$5,$6,$7)`,
+      [e.referrer, e.referred, e.tl, e.diamonds, e.level, e.kind, e.session_id]
+    );
+  }
+
+  /**
+   * Pays the upline of `tg_id` for one completed ad session, inside the caller's transaction.
+   * Walks referred_by up to referral_tier_rates.length levels (stops on cycles).
+   */
+  async function payReferralRewards(client, tg_id, session_id, baseTl, baseDiamonds) {
+    const {
+      referral_tier_rates: tierRates,
+      referral_signup_bonus_rate: signupBonusRate,
+      referral_bonus_after_ads: bonusAfterAds,
+    } = await settings.getSettings();
+    const visited = new Set([Number(tg_id)]);
+    let current = Number(tg_id);
+
+    for (let level = 1; level <= tierRates.length; level++) {
+      const { rows } = await client.query(`select referred_by from public.users where tg_id=$1`, [current]);
+      const referrer = rows[0]?.referred_by ? Number(rows[0].referred_by) : null;
+      if (!referrer || visited.has(referrer)) break;
+      visited.add(referrer);
+
+      const rate = tierRates[level - 1];
+      if (rate > 0) {
+        await recordReferralEarning(client, {
+          referrer,
+          referred: tg_id,
+          level,
+          kind: "ongoing",
+          session_id,
+          tl: baseTl * rate,
+          diamonds: baseDiamonds * rate,
+        });
+      }
+
+      if (level === 1) {
+        const { rows: crows } = await client.query(
+          `select (select count(*)::int from public.ad_sessions where tg_id=$1 and completed=true) as cnt,
+                  exists(select 1 from public.referral_earnings where referred_tg_id=$1 and kind='signup_bonus') as paid`,
+          [tg_id]
+        );
+        if (crows[0].cnt >= bonusAfterAds && !crows[0].paid) {
+          await recordReferralEarning(client, {
+            referrer,
+            referred: tg_id,
+            level,
+            kind: "signup_bonus",
+            session_id,
+            tl: baseTl * signupBonusRate,
+            diamonds: baseDiamonds * signupBonusRate,
+          });
+        }
+      }
+      current = referrer;
+    }
+  }
+
+  // Top referrers of the current week (Monday 00:00 in WATCH_DAY_TZ), ranked by TL earned.
+  async function getReferralLeaderboard(limit = 10) {
+    const { rows } = await pool.query(
+      `with wk as (select date_trunc('week', now() at time zone $1) at time zone $1 as since)
+       select e.referrer_tg_id as tg_id, u.username, u.first_name,
+              sum(e.amount_tl) as earned_tl, sum(e.amount_diamonds) as earned_diamonds,
+              (select count(*)::int from public.users r, wk
+                where r.referred_by = e.referrer_tg_id and r.created_at >= wk.since) as new_referrals
+         from public.referral_earnings e
+         cross join wk
+         left join public.users u on u.tg_id = e.referrer_tg_id
+        where e.created_at >= wk.since
+        group by e.referrer_tg_id, u.username, u.first_name
+        order by sum(e.amount_tl) desc, e.referrer_tg_id
+        limit $2`,
+      [WATCH_DAY_TZ, limit]
+    );
+    return rows.map((r, i) => ({
+      rank: i + 1,
+      tg_id: Number(r.tg_id),
+      name: displayName(r),
+      earned_tl: Number(Number(r.earned_tl).toFixed(2)),
+      earned_diamonds: Number(Number(r.earned_diamonds).toFixed(2)),
+      new_referrals: r.new_referrals,
+    }));
+  }
+
+  // Referral info for the WebApp
+  async function getReferralInfo(tg_id) {
+    await wallet.ensureUser(tg_id);
+    const s = await settings.getSettings();
+
+    const username = await notifier.getBotUsername();
+    const link = `https://t.me/${username}?start=${tg_id}`;
+
+    const referred = await pool.query(
+      `select (select count(*)::int from public.users where referred_by=$1) as level1,
+              (select count(*)::int from public.users c
+                 join public.users p on c.referred_by = p.tg_id
+                where p.referred_by=$1) as level2`,
+      [tg_id]
+    );
+    const earned = await pool.query(
+      `select level, coalesce(sum(amount_tl),0)::numeric as tl, coalesce(sum(amount_diamonds),0)::numeric as diamonds
+         from public.referral_earnings where referrer_tg_id=$1
+        group by level order by level`,
+      [tg_id]
+    );
+    const totals = earned.rows.reduce(
+      (acc, r) => ({ tl: acc.tl + Number(r.tl), diamonds: acc.diamonds + Number(r.diamonds) }),
+      { tl: 0, diamonds: 0 }
+    );
+
+    return {
+      ok: true,
+      link,
+      referred_count: referred.rows[0].level1,
+      downline_level2_count: referred.rows[0].level2,
+      earned_tl: totals.tl,
+      earned_diamonds: totals.diamonds,
+      earned_by_level: earned.rows.map((r) => ({ level: r.level, tl: Number(r.tl), diamonds: Number(r.diamonds) })),
+      program: {
+        tier_rates: s.referral_tier_rates,
+        signup_bonus_rate: s.referral_signup_bonus_rate,
+        signup_bonus_after_ads: s.referral_bonus_after_ads,
+      },
+    };
+  }
+
+  // My direct referrals with their activity. input: { limit?: 1..100, offset? }
+  async function listReferrals(tg_id, input) {
+    const limit = Math.max(1, Math.min(100, parseInt(input.limit, 10) || 20));
+    const offset = Math.max(0, parseInt(input.offset, 10) || 0);
+
+    const { rows } = await pool.query(
+      `select u.tg_id, u.username, u.first_name, u.created_at as joined_at,
+              coalesce(s.completed_ads,0)::int as completed_ads, s.last_active_at,
+              coalesce(e.tl,0) as earned_tl, coalesce(e.diamonds,0) as earned_diamonds,
+              coalesce(e.bonus_paid,false) as signup_bonus_paid
+         from public.users u
+         left join lateral (
+           select count(*) filter (where completed) as completed_ads, max(started_at) as last_active_at
+             from public.ad_sessions where tg_id = u.tg_id
+         ) s on true
+         left join lateral (
+           select sum(amount_tl) as tl, sum(amount_diamonds) as diamonds, bool_or(kind='signup_bonus') as bonus_paid
+             from public.referral_earnings where referrer_tg_id=$1 and referred_tg_id = u.tg_id
+         ) e on true
+        where u.referred_by=$1
+        order by u.created_at desc nulls last
+        limit $2 offset $3`,
+      [tg_id, limit + 1, offset]
+    );
+    const { referral_bonus_after_ads: bonusAfterAds } = await settings.getSettings();
+    const hasMore = rows.length > limit;
+    const referrals = rows.slice(0, limit).map((r) => ({
+      name: displayName(r),
+      joined_at: r.joined_at,
+      completed_ads: r.completed_ads,
+      last_active_at: r.last_active_at,
+      earned_tl: Number(r.earned_tl),
+      earned_diamonds: Number(r.earned_diamonds),
+      signup_bonus_paid: r.signup_bonus_paid,
+      ads_until_bonus: r.signup_bonus_paid ? 0 : Math.max(0, bonusAfterAds - r.completed_ads),
+    }));
+    return { ok: true, referrals, next_offset: hasMore ? offset + limit : null };
+  }
+
+  return { payReferralRewards, getReferralLeaderboard, getReferralInfo, listReferrals };
+}
+
+module.exports = { displayName, createReferralService };
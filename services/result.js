@@ -0,0 +1,29 @@
+/**
+ * Services answer with the JSON body the API sends back: { ok: true, ... } on
+ * success, fail(status, error, extra) when the request is refused. The HTTP status
+ * rides along under a symbol key, so it never shows up in the JSON; routes pass the
+ * result to send(). Unexpected errors are thrown and end up as 500 server_error.
+ */
+const HTTP_STATUS = Symbol("httpStatus");
+
+function fail(status, error, extra = {}) {
+  return { ok: false, error, ...extra, [HTTP_STATUS]: status };
+}
+
+function send(res, result) {
+  return res.status(result.ok ? 200 : result[HTTP_STATUS] || 400).json(result);
+}
+
+// Express handler that sends fn(req)'s result; anything thrown is logged under `label` and answered with 500.
+function handle(label, fn) {
+  return async (req, res) => {
+    try {
+      send(res, await fn(req));
+    } catch (e) {
+      console.error(label, e);
+      res.status(500).json({ ok: false, error: "server_error" });
+    }
+  };
+}
+
+module.exports = { fail, send, handle };
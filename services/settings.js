@@ -0,0 +1,174 @@
+/**
+ * Runtime settings: rewards, prices and limits that admins can change without a
+ * deploy. public.app_settings only stores overrides; a key without a row uses its
+ * default from SETTING_DEFS (some defaults come from the environment, see config.js).
+ * Everything that shows these numbers (bot /start text, WebApp pages, API responses)
+ * reads them through getSettings() so they can never disagree with what is paid.
+ */
+const { fail } = require("./result");
+const { SETTINGS_CACHE_MS } = require("../constants");
+
+// type: "number" (decimal), "int", or "rates" (list of decimals, one per referral level)
+const SETTING_DEFS = [
+  { key: "watch_reward_tl", type: "number", min: 0, max: 100, label: "Reklam ödülü (TL)", default: () => 0.25 },
+  { key: "watch_reward_diamonds", type: "number", min: 0, max: 100, label: "Reklam ödülü (Elmas)", default: () => 0.25 },
+  // share of the reward paid when a quiz ad is answered wrongly (0 = nothing)
+  { key: "quiz_wrong_reward_rate", type: "number", min: 0, max: 1, label: "Yanlış quiz cevabında ödül oranı", default: () => 0 },
+  { key: "watch_seconds_default", type: "int", min: 5, max: 300, label: "Varsayılan reklam süresi (sn)", default: () => 15 },
+  // "Reklam Ver" pricing (user requested: 1 sn = 0.10 TL)
+  { key: "price_per_second_tl", type: "number", min: 0.01, max: 100, label: "Reklam ver: saniye fiyatı (TL)", default: () => 0.1 },
+  {
+    key: "referral_tier_rates",
+    type: "rates",
+    min: 0,
+    max: 0.5,
+    maxItems: 5,
+    label: "Referans oranları (seviye başına)",
+    default: (c) => c.REFERRAL_TIER_RATES,
+  },
+  { key: "referral_signup_bonus_rate", type: "number", min: 0, max: 1, label: "Davet bonusu oranı", default: () => 0.18 },
+  {
+    key: "referral_bonus_after_ads",
+    type: "int",
+    min: 1,
+    max: 1000,
+    label: "Davet bonusu için reklam sayısı",
+    default: (c) => c.REFERRAL_BONUS_AFTER_ADS,
+  },
+  { key: "min_withdraw_tl", type: "number", min: 1, max: 100000, label: "Minimum çekim (TL)", default: (c) => c.MIN_WITHDRAW_TL },
+  { key: "daily_ad_limit", type: "int", min: 1, max: 10000, label: "Günlük reklam limiti", default: (c) => c.DAILY_AD_LIMIT },
+  { key: "daily_ad_limit_vip", type: "int", min: 1, max: 10000, label: "Günlük reklam limiti (VIP)", default: (c) => c.DAILY_AD_LIMIT_VIP },
+  { key: "ad_cooldown_seconds", type: "int", min: 0, max: 3600, label: "Reklamlar arası bekleme (sn)", default: (c) => c.AD_COOLDOWN_SECONDS },
+];
+
+/** Validates one value against its definition. Returns { value } or { error }. */
+function parseSettingValue(def, raw) {
+  const bad = { error: `bad_${def.key}` };
+  if (def.type === "rates") {
+    const list = Array.isArray(raw) ? raw : String(raw ?? "").split(",");
+    const rates = list.map((r) => (typeof r === "string" && !r.trim() ? NaN : Number(r)));
+    if (!rates.length || rates.length > def.maxItems) return bad;
+    if (rates.some((r) => !Number.isFinite(r) || r < def.min || r > def.max)) return bad;
+    return { value: rates };
+  }
+  if (raw === null || raw === undefined || raw === "") return bad;
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < def.min || n > def.max) return bad;
+  if (def.type === "int" && !Number.isInteger(n)) return bad;
+  return { value: n };
+}
+
+function createSettingsService({ pool, config, audit }) {
+  const defaults = Object.fromEntries(SETTING_DEFS.map((d) => [d.key, d.default(config)]));
+
+  let cache = null; // { at, values, overrides }
+
+  async function load() {
+    if (cache && Date.now() - cache.at < SETTINGS_CACHE_MS) return cache;
+    const { rows } = await pool.query(`select key, value, updated_at, updated_by from public.app_settings`);
+    const values = { ...defaults };
+    const overrides = {};
+    for (const r of rows) {
+      const def = SETTING_DEFS.find((d) => d.key === r.key);
+      const parsed = def && parseSettingValue(def, r.value);
+      // A row that no longer validates (bounds changed in code) falls back to the default.
+      if (!parsed || parsed.error) continue;
+      values[r.key] = parsed.value;
+      overrides[r.key] = r;
+    }
+    cache = { at: Date.now(), values, overrides };
+    return cache;
+  }
+
+  /** Current values of every setting, keyed by name. Cached for SETTINGS_CACHE_MS. */
+  async function getSettings() {
+    return (await load()).values;
+  }
+
+  async function listSettings() {
+    const { values, overrides } = await load();
+    return {
+      ok: true,
+      settings: SETTING_DEFS.map((d) => ({
+        key: d.key,
+        label: d.label,
+        type: d.type,
+        min: d.min,
+        max: d.max,
+        value: values[d.key],
+        default: defaults[d.key],
+        overridden: !!overrides[d.key],
+        updated_at: overrides[d.key]?.updated_at || null,
+        updated_by: overrides[d.key]?.updated_by || null,
+      })),
+    };
+  }
+
+  /**
+   * body: { <key>: value, ... }; null resets a key to its default.
+   * All keys are validated first; nothing is written if any of them is invalid.
+   */
+  async function updateSettings(body, actorId) {
+    const entries = Object.entries(body || {});
+    if (!entries.length) return fail(400, "nothing_to_update");
+
+    const changes = {};
+    for (const [key, raw] of entries) {
+      const def = SETTING_DEFS.find((d) => d.key === key);
+      if (!def) return fail(400, "unknown_setting", { key });
+      if (raw === null) {
+        changes[key] = null;
+        continue;
+      }
+      const parsed = parseSettingValue(def, raw);
+      if (parsed.error) return fail(400, parsed.error, { min: def.min, max: def.max });
+      changes[key] = parsed.value;
+    }
+
+    const { values: before } = await load();
+    const after = { ...before };
+    for (const [key, value] of Object.entries(changes)) after[key] = value === null ? defaults[key] : value;
+    if (after.daily_ad_limit_vip < after.daily_ad_limit) return fail(400, "vip_limit_below_limit");
+
+    const client = await pool.connect();
+    try {
+      await client.query("begin");
+      for (const [key, value] of Object.entries(changes)) {
+        if (value === null) {
+          await client.query(`delete from public.app_settings where key=$1`, [key]);
+        } else {
+          await client.query(
+            `insert into public.app_settings (key, value, updated_at, updated_by) values ($1,$2,now(),$3)
+             on conflict (key) do update set value=excluded.value, updated_at=now(), updated_by=excluded.updated_by`,
+            [key, JSON.stringify(value), Number(actorId)]
+          );
+        }
+      }
+      const keys = Object.keys(changes);
+      await audit.recordAudit(
+        {
+          actor: actorId,
+          action: "settings.update",
+          target_type: "setting",
+          target_id: keys.join(","),
+          before: Object.fromEntries(keys.map((k) => [k, before[k]])),
+          after: Object.fromEntries(keys.map((k) => [k, after[k]])),
+        },
+        client
+      );
+      await client.query("commit");
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    cache = null;
+    return listSettings();
+  }
+
+  return { getSettings, listSettings, updateSettings };
+}
+
+module.exports = { SETTING_DEFS, parseSettingValue, createSettingsService };
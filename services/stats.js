@@ -0,0 +1,210 @@
+/**
+ * Admin dashboard numbers (GET /api/admin/stats, webapp/admin_stats.html) for a range
+ * of calendar days in WATCH_DAY_TZ, both ends included (default: the last 30 days).
+ * A user counts as active on a day when they started an ad or opened a WebApp session.
+ */
+const { fail } = require("./result");
+
+const MAX_RANGE_DAYS = 366;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Range bounds as timestamptz; every query below takes ($1 from, $2 to, $3 time zone).
+const LO = `(($1::date)::timestamp at time zone $3)`;
+const HI = `((($2::date) + 1)::timestamp at time zone $3)`;
+const inRange = (col) => `${col} >= ${LO} and ${col} < ${HI}`;
+const dayOf = (col) => `(${col} at time zone $3)::date`;
+
+const num = (v) => Number(v || 0);
+
+function createStatsService({ pool, config }) {
+  const { WATCH_DAY_TZ } = config;
+
+  function parseRange(q) {
+    const today = new Date().toLocaleDateString("en-CA", { timeZone: WATCH_DAY_TZ });
+    const to = q?.to ? String(q.to) : today;
+    let from = q?.from ? String(q.from) : null;
+    if (!DATE_RE.test(to) || Number.isNaN(Date.parse(to))) return fail(400, "bad_to");
+    if (!from) from = new Date(Date.parse(to) - 29 * 86400000).toISOString().slice(0, 10);
+    if (!DATE_RE.test(from) || Number.isNaN(Date.parse(from))) return fail(400, "bad_from");
+    const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+    if (days < 1 || days > MAX_RANGE_DAYS) return fail(400, "bad_range", { max_days: MAX_RANGE_DAYS });
+    return { ok: true, from, to };
+  }
+
+  // One row per day: active users, signups (referred / organic), ad sessions, payouts and revenue.
+  async function daily(params) {
+    const { rows } = await pool.query(
+      `with days as (
+         select d::date as day from generate_series($1::date, $2::date, interval '1 day') d
+       ),
+       activity as (
+         select ${dayOf("started_at")} as day, tg_id from public.ad_sessions where ${inRange("started_at")}
+         union
+         select ${dayOf("created_at")}, tg_id from public.webapp_sessions where ${inRange("created_at")}
+       ),
+       active as (select day, count(distinct tg_id)::int as n from activity group by day),
+       signups as (
+         select ${dayOf("created_at")} as day,
+                count(*) filter (where referred_by is not null)::int as referred,
+                count(*) filter (where referred_by is null)::int as organic
+           from public.users where ${inRange("created_at")} group by 1
+       ),
+       sessions as (
+         select ${dayOf("started_at")} as day, count(*)::int as started, count(*) filter (where completed)::int as completed
+           from public.ad_sessions where ${inRange("started_at")} group by 1
+       ),
+       money as (
+         select ${dayOf("s.completed_at")} as day,
+                coalesce(sum(s.payout_tl) filter (where s.reward_status in ('credited','released')), 0) as watch_tl,
+                coalesce(sum(s.charged_tl), 0) as revenue_tl
+           from public.ad_sessions s
+          where s.completed and ${inRange("s.completed_at")} group by 1
+       ),
+       referral as (
+         select ${dayOf("created_at")} as day, coalesce(sum(amount_tl), 0) as referral_tl
+           from public.referral_earnings where ${inRange("created_at")} group by 1
+       )
+       select to_char(d.day, 'YYYY-MM-DD') as day,
+              coalesce(a.n, 0) as active,
+              coalesce(su.referred, 0) as signups_referred, coalesce(su.organic, 0) as signups_organic,
+              coalesce(se.started, 0) as sessions_started, coalesce(se.completed, 0) as sessions_completed,
+              coalesce(m.watch_tl, 0) + coalesce(r.referral_tl, 0) as paid_tl,
+              coalesce(m.revenue_tl, 0) as revenue_tl
+         from days d
+         left join active a on a.day = d.day
+         left join signups su on su.day = d.day
+         left join sessions se on se.day = d.day
+         left join money m on m.day = d.day
+         left join referral r on r.day = d.day
+        order by d.day`,
+      params
+    );
+    return rows.map((r) => ({ ...r, paid_tl: num(r.paid_tl), revenue_tl: num(r.revenue_tl) }));
+  }
+
+  // Distinct active users in the 1 / 7 / 30 days that end with the range.
+  async function activeUsers([, to, tz]) {
+    const end = `((($1::date) + 1)::timestamp at time zone $2)`;
+    const since = (days) => `${end} - interval '${days} days'`;
+    const { rows } = await pool.query(
+      `with activity as (
+         select tg_id, started_at as at from public.ad_sessions where started_at >= ${since(30)} and started_at < ${end}
+         union all
+         select tg_id, created_at from public.webapp_sessions where created_at >= ${since(30)} and created_at < ${end}
+       )
+       select count(distinct tg_id) filter (where at >= ${since(1)})::int as dau,
+              count(distinct tg_id) filter (where at >= ${since(7)})::int as wau,
+              count(distinct tg_id)::int as mau
+         from activity`,
+      [to, tz]
+    );
+    return rows[0];
+  }
+
+  // Sessions started in the range and how far they got.
+  async function funnel(params) {
+    const { rows } = await pool.query(
+      `select count(*)::int as started,
+              count(*) filter (where completed)::int as completed,
+              count(*) filter (where reward_status in ('credited','released'))::int as rewarded,
+              count(*) filter (where reward_status = 'held')::int as held,
+              count(*) filter (where reward_status = 'rejected')::int as rejected
+         from public.ad_sessions where ${inRange("started_at")}`,
+      params
+    );
+    const f = rows[0];
+    return { ...f, completion_rate: f.started ? Number((f.completed / f.started).toFixed(4)) : 0 };
+  }
+
+  // Paid to users (watch rewards incl. released holds, referral earnings) vs advertiser
+  // revenue (what each view took from its campaign budget), and withdrawals paid out.
+  async function money(params) {
+    const { rows } = await pool.query(
+      `select
+         (select coalesce(sum(payout_tl), 0) from public.ad_sessions
+           where completed and reward_status in ('credited','released') and ${inRange("completed_at")}) as watch_tl,
+         (select coalesce(sum(payout_diamonds), 0) from public.ad_sessions
+           where completed and reward_status in ('credited','released') and ${inRange("completed_at")}) as watch_diamonds,
+         (select coalesce(sum(amount_tl), 0) from public.referral_earnings where ${inRange("created_at")}) as referral_tl,
+         (select coalesce(sum(amount_diamonds), 0) from public.referral_earnings where ${inRange("created_at")}) as referral_diamonds,
+         (select coalesce(sum(charged_tl), 0) from public.ad_sessions
+           where completed and ${inRange("completed_at")}) as revenue_tl,
+         (select coalesce(sum(amount_tl), 0) from public.withdraw_requests where status = 'paid' and ${inRange("paid_at")}) as withdrawn_tl`,
+      params
+    );
+    const m = Object.fromEntries(Object.entries(rows[0]).map(([k, v]) => [k, num(v)]));
+    return {
+      ...m,
+      paid_tl: m.watch_tl + m.referral_tl,
+      paid_diamonds: m.watch_diamonds + m.referral_diamonds,
+    };
+  }
+
+  // What is owed right now (not limited to the range): open withdrawal requests.
+  async function withdrawalLiability() {
+    const { rows } = await pool.query(
+      `select count(*) filter (where status = 'pending')::int as pending_count,
+              coalesce(sum(amount_tl) filter (where status = 'pending'), 0) as pending_tl,
+              count(*) filter (where status = 'approved')::int as approved_count,
+              coalesce(sum(amount_tl) filter (where status = 'approved'), 0) as approved_tl
+         from public.withdraw_requests where status in ('pending','approved')`
+    );
+    const w = rows[0];
+    return { ...w, pending_tl: num(w.pending_tl), approved_tl: num(w.approved_tl), liability_tl: num(w.pending_tl) + num(w.approved_tl) };
+  }
+
+  async function topAds(params, limit = 10) {
+    const { rows } = await pool.query(
+      `select a.id, a.title, coalesce(a.url, a.youtube_url, a.media_url, a.page_url, a.game_url) as url,
+              count(*)::int as started,
+              count(*) filter (where s.completed)::int as completed,
+              count(*) filter (where s.answer_correct is not null)::int as answered,
+              count(*) filter (where s.answer_correct)::int as answered_correctly,
+              coalesce(sum(s.charged_tl) filter (where s.completed), 0) as revenue_tl
+         from public.ad_sessions s join public.ads a on a.id = s.ad_id
+        where ${inRange("s.started_at")}
+        group by a.id
+        order by completed desc, started desc, a.id
+        limit ${limit}`,
+      params
+    );
+    return rows.map(({ answered_correctly, ...r }) => ({
+      ...r,
+      revenue_tl: num(r.revenue_tl),
+      completion_rate: r.started ? Number((r.completed / r.started).toFixed(4)) : 0,
+      // quiz ads only; null for ads nobody answered
+      answer_accuracy: r.answered ? Number((answered_correctly / r.answered).toFixed(4)) : null,
+    }));
+  }
+
+  /** query: from, to (YYYY-MM-DD, inclusive) */
+  async function getStats(q) {
+    const range = parseRange(q);
+    if (!range.ok) return range;
+    const params = [range.from, range.to, WATCH_DAY_TZ];
+    const [days, active, sessionFunnel, paid, withdrawals, ads] = await Promise.all([
+      daily(params),
+      activeUsers(params),
+      funnel(params),
+      money(params),
+      withdrawalLiability(),
+      topAds(params),
+    ]);
+    return {
+      ok: true,
+      from: range.from,
+      to: range.to,
+      tz: WATCH_DAY_TZ,
+      active,
+      daily: days,
+      funnel: sessionFunnel,
+      money: paid,
+      withdrawals,
+      top_ads: ads,
+    };
+  }
+
+  return { getStats };
+}
+
+module.exports = { createStatsService };
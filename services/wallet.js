@@ -0,0 +1,492 @@
+/**
+ * Users, balances and the ledger, plus the things users spend balance on directly:
+ * VIP plans and diamond <-> TL conversion.
+ */
+const { qIdent } = require("../db");
+const { fail } = require("./result");
+const {
+  VIP_REWARD_MULTIPLIER,
+  VIP_PLANS,
+  VIP_ACTIVE_SQL,
+  LEDGER_TYPES,
+  LEDGER_TYPE_VALUES,
+} = require("../constants");
+
+const CONVERT_DIRECTIONS = {
+  d2tl: { from: "diamonds", to: "balance_tl", note: "Elmas → TL dönüşüm" },
+  tl2d: { from: "balance_tl", to: "diamonds", note: "TL → Elmas dönüşüm" },
+};
+
+/**
+ * Prices a conversion. Output is rounded down to 0.01 so we never pay out more than the rate allows.
+ * Returns { error } or the quote.
+ */
+function quoteConversion(terms, amount, usedToday) {
+  if (!terms) return { error: "invalid_direction" };
+  if (!Number.isFinite(amount) || amount <= 0) return { error: "invalid_amount" };
+  const gross = amount * terms.rate;
+  const fee = Math.ceil(gross * terms.fee_rate * 100 - 1e-9) / 100;
+  const net = Math.floor((gross - fee) * 100 + 1e-9) / 100;
+  const remaining_today = terms.daily_cap === null ? null : Math.max(0, Number((terms.daily_cap - usedToday).toFixed(2)));
+  const quote = {
+    direction: terms.direction,
+    amount,
+    rate: terms.rate,
+    fee_rate: terms.fee_rate,
+    gross: Number(gross.toFixed(2)),
+    fee,
+    net,
+    min_amount: terms.min_amount,
+    max_amount: terms.max_amount,
+    daily_cap: terms.daily_cap,
+    used_today: usedToday,
+    remaining_today,
+  };
+  if (amount + 1e-9 < terms.min_amount) return { error: "below_minimum", quote };
+  if (terms.max_amount !== null && amount > terms.max_amount + 1e-9) return { error: "above_maximum", quote };
+  if (remaining_today !== null && amount > remaining_today + 1e-9) return { error: "daily_cap_reached", quote };
+  if (net <= 0) return { error: "amount_too_small", quote };
+  return { quote };
+}
+
+function readConvertInput(body) {
+  const direction = String(body?.direction || "d2tl").toLowerCase();
+  // older pages post { gems } for diamond -> TL
+  const amount = Number(body?.amount ?? body?.gems);
+  return { direction, amount };
+}
+
+function createWalletService({ pool, config, audit }) {
+  const { WATCH_DAY_TZ } = config;
+
+  async function ensureUser(tg_id, referred_by = null) {
+    // Upsert user. If referred_by exists and user has none, set it.
+    const sql = `
+      insert into public.users (tg_id, referred_by)
+      values ($1, $2)
+      on conflict (tg_id) do update
+        set referred_by = coalesce(public.users.referred_by, excluded.referred_by)
+      returning *
+    `;
+    const { rows } = await pool.query(sql, [tg_id, referred_by]);
+
+    // Day rollover: reset the daily counter once the calendar day has changed.
+    const { rows: reset } = await pool.query(
+      `update public.users
+          set daily_ads_watched = 0, daily_ads_day = (now() at time zone $2)::date
+        where tg_id=$1 and daily_ads_day is distinct from (now() at time zone $2)::date
+        returning *`,
+      [tg_id, WATCH_DAY_TZ]
+    );
+    return reset[0] || rows[0];
+  }
+
+  // VIP state: { is_vip, vip_until, permanent, days_left }
+  async function getVipStatus(tg_id, db = pool) {
+    const { rows } = await db.query(
+      `select ${VIP_ACTIVE_SQL} as is_vip, u.vip_until
+         from public.users u where u.tg_id=$1`,
+      [tg_id]
+    );
+    const r = rows[0] || {};
+    const isVip = !!r.is_vip;
+    const until = isVip && r.vip_until ? new Date(r.vip_until) : null;
+    return {
+      is_vip: isVip,
+      vip_until: until ? until.toISOString() : null,
+      permanent: isVip && !until,
+      days_left: until ? Math.max(0, Math.ceil((until.getTime() - Date.now()) / 86400000)) : null,
+    };
+  }
+
+  // Keeps the Telegram username/first name for leaderboards and admin views, and the
+  // client language for messages sent outside a chat update (services/locale.js).
+  async function updateUserProfile(from) {
+    if (!from?.id) return;
+    await pool.query(
+      `update public.users set username=$2, first_name=$3, language_code=coalesce($4, language_code) where tg_id=$1`,
+      [from.id, from.username || null, from.first_name || null, from.language_code || null]
+    );
+  }
+
+  async function getUser(tg_id) {
+    const { rows } = await pool.query(`select * from public.users where tg_id=$1 limit 1`, [tg_id]);
+    return rows[0] || null;
+  }
+
+  async function setPanelMessageId(tg_id, message_id) {
+    await pool.query(`update public.users set panel_message_id=$2 where tg_id=$1`, [tg_id, message_id]);
+  }
+
+  async function getBalances(tg_id, db = pool) {
+    const { rows } = await db.query(
+      `select balance_tl, diamonds from public.users where tg_id=$1`,
+      [tg_id]
+    );
+    if (!rows[0]) return { balance_tl: 0, diamonds: 0 };
+    return {
+      balance_tl: Number(rows[0].balance_tl || 0),
+      diamonds: Number(rows[0].diamonds || 0),
+    };
+  }
+
+  /**
+   * Moves a user's balance and appends the matching ledger entry in one statement,
+   * so a balance never changes without a trace.
+   * entry: { type, ref_type?, ref_id?, note? } — type must be one of LEDGER_TYPES.
+   * entry.no_overdraft: apply only if neither balance goes below zero; returns undefined otherwise.
+   * Pass a transaction client as `db` to make the movement part of that transaction.
+   */
+  async function creditUser(tg_id, addTl, addDiamonds, entry = {}, db = pool) {
+    if (!LEDGER_TYPE_VALUES.has(entry.type)) throw new Error(`Unknown ledger type: ${entry.type}`);
+
+    // avoid NaN in SQL
+    const aTl = Number.isFinite(addTl) ? addTl : 0;
+    const aD = Number.isFinite(addDiamonds) ? addDiamonds : 0;
+
+    const { rows } = await db.query(
+      `with u as (
+         update public.users
+            set balance_tl = coalesce(balance_tl,0) + $2,
+                diamonds  = coalesce(diamonds,0)  + $3
+          where tg_id=$1
+            and ($8::boolean is not true or (coalesce(balance_tl,0) + $2 >= 0 and coalesce(diamonds,0) + $3 >= 0))
+          returning tg_id, balance_tl, diamonds
+       ), l as (
+         insert into public.ledger (tg_id, type, amount_tl, amount_diamonds, balance_tl_after, diamonds_after, ref_type, ref_id, note)
+         select tg_id, $4, $2, $3, balance_tl, diamonds, $5, $6, $7 from u
+       )
+       select balance_tl, diamonds from u`,
+      [
+        tg_id,
+        aTl,
+        aD,
+        entry.type,
+        entry.ref_type || null,
+        entry.ref_id == null ? null : String(entry.ref_id),
+        entry.note ? String(entry.note).slice(0, 500) : null,
+        !!entry.no_overdraft,
+      ]
+    );
+    return rows[0];
+  }
+
+  // Compares the stored balances with the sum of ledger entries.
+  async function reconcileUser(tg_id) {
+    const b = await getBalances(tg_id);
+    const { rows } = await pool.query(
+      `select coalesce(sum(amount_tl),0) as tl, coalesce(sum(amount_diamonds),0) as diamonds, count(*)::int as entries
+         from public.ledger where tg_id=$1`,
+      [tg_id]
+    );
+    const ledgerTl = Number(rows[0].tl);
+    const ledgerDiamonds = Number(rows[0].diamonds);
+    const driftTl = Number((b.balance_tl - ledgerTl).toFixed(6));
+    const driftDiamonds = Number((b.diamonds - ledgerDiamonds).toFixed(6));
+    return {
+      tg_id,
+      entries: rows[0].entries,
+      balance: b,
+      ledger: { balance_tl: ledgerTl, diamonds: ledgerDiamonds },
+      drift: { balance_tl: driftTl, diamonds: driftDiamonds },
+      in_sync: driftTl === 0 && driftDiamonds === 0,
+    };
+  }
+
+  async function getWallet(tg_id) {
+    await ensureUser(tg_id);
+    return { ok: true, ...(await getBalances(tg_id)) };
+  }
+
+  // Ledger history: paginated, optionally filtered by entry type(s).
+  // input: { limit?: 1..100, offset?: number, type?: "watch_reward" | "a,b" }
+  async function getHistory(tg_id, input) {
+    const limit = Math.max(1, Math.min(100, parseInt(input.limit, 10) || 20));
+    const offset = Math.max(0, parseInt(input.offset, 10) || 0);
+
+    const types = String(input.type || "")
+      .split(",")
+      .map((t) => t.trim())
+      .filter(Boolean);
+    if (types.some((t) => !LEDGER_TYPE_VALUES.has(t))) return fail(400, "bad_type");
+
+    const params = [tg_id];
+    let where = "tg_id=$1";
+    if (types.length) {
+      params.push(types);
+      where += ` and type = any($${params.length}::text[])`;
+    }
+
+    params.push(limit + 1, offset);
+    const { rows } = await pool.query(
+      `select id, type, amount_tl, amount_diamonds, balance_tl_after, diamonds_after, ref_type, ref_id, note, created_at
+         from public.ledger
+        where ${where}
+        order by id desc
+        limit $${params.length - 1} offset $${params.length}`,
+      params
+    );
+    const hasMore = rows.length > limit;
+    const entries = rows.slice(0, limit).map((r) => ({
+      ...r,
+      amount_tl: Number(r.amount_tl),
+      amount_diamonds: Number(r.amount_diamonds),
+      balance_tl_after: r.balance_tl_after == null ? null : Number(r.balance_tl_after),
+      diamonds_after: r.diamonds_after == null ? null : Number(r.diamonds_after),
+    }));
+    return { ok: true, entries, next_offset: hasMore ? offset + limit : null };
+  }
+
+  // ---------------------------------------------------------------------------
+  // VIP
+  // ---------------------------------------------------------------------------
+  async function getVipOverview(tg_id) {
+    await ensureUser(tg_id);
+    const [vip, b] = await Promise.all([getVipStatus(tg_id), getBalances(tg_id)]);
+    return { ok: true, ...vip, multiplier: VIP_REWARD_MULTIPLIER, diamonds: b.diamonds, plans: VIP_PLANS };
+  }
+
+  // Buys (or extends) VIP with diamonds. An active period is extended from its end date.
+  // options.idempotency: the request's Idempotency-Key (routes/middleware.js idempotent()).
+  async function buyVip(tg_id, body, { idempotency } = {}) {
+    const plan = VIP_PLANS.find((p) => p.id === String(body?.plan_id || ""));
+    if (!plan) return fail(400, "bad_plan");
+
+    let client;
+    try {
+      await ensureUser(tg_id);
+      client = await pool.connect();
+      await client.query("begin");
+
+      const { rows } = await client.query(
+        `select diamonds, ${VIP_ACTIVE_SQL} as is_vip, u.vip_until
+           from public.users u where u.tg_id=$1 for update`,
+        [tg_id]
+      );
+      const u = rows[0];
+      if (u.is_vip && !u.vip_until) {
+        await client.query("rollback");
+        return fail(409, "already_permanent_vip");
+      }
+      if (Number(u.diamonds || 0) + 1e-9 < plan.price_diamonds) {
+        await client.query("rollback");
+        return fail(400, "insufficient_diamonds", { price_diamonds: plan.price_diamonds });
+      }
+
+      const b = await creditUser(
+        tg_id,
+        0,
+        -plan.price_diamonds,
+        { type: LEDGER_TYPES.VIP_PURCHASE, ref_type: "vip_plan", ref_id: plan.id },
+        client
+      );
+      await client.query(
+        `update public.users
+            set is_vip = true,
+                vip_until = greatest(coalesce(vip_until, now()), now()) + make_interval(days => $2)
+          where tg_id=$1`,
+        [tg_id, plan.days]
+      );
+      const vip = await getVipStatus(tg_id, client);
+      const result = { ok: true, plan, ...vip, diamonds: Number(b.diamonds), balance_tl: Number(b.balance_tl) };
+      await idempotency?.store(client, result);
+      await client.query("commit");
+      return result;
+    } catch (e) {
+      if (client) await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Diamond <-> TL conversion
+  // ---------------------------------------------------------------------------
+  async function getConversionRates(db = pool) {
+    const { rows } = await db.query(
+      `select direction, rate, fee_rate, min_amount, max_amount, daily_cap, updated_at, updated_by from public.conversion_rates`
+    );
+    const out = {};
+    for (const r of rows) {
+      out[r.direction] = {
+        direction: r.direction,
+        rate: Number(r.rate),
+        fee_rate: Number(r.fee_rate),
+        min_amount: Number(r.min_amount),
+        max_amount: r.max_amount === null ? null : Number(r.max_amount),
+        daily_cap: r.daily_cap === null ? null : Number(r.daily_cap),
+        updated_at: r.updated_at,
+        updated_by: r.updated_by,
+      };
+    }
+    return out;
+  }
+
+  // Source amount this user already converted in `direction` today (from the ledger).
+  async function getConvertedToday(tg_id, direction, db = pool) {
+    const col = CONVERT_DIRECTIONS[direction].from === "diamonds" ? "amount_diamonds" : "amount_tl";
+    const { rows } = await db.query(
+      `select coalesce(sum(-${col}),0) as used
+         from public.ledger
+        where tg_id=$1 and type=$2 and ref_type=$3
+          and created_at >= ((now() at time zone $4)::date)::timestamp at time zone $4`,
+      [tg_id, LEDGER_TYPES.CONVERT, direction, WATCH_DAY_TZ]
+    );
+    return Number(rows[0].used);
+  }
+
+  async function quote(tg_id, body) {
+    const { direction, amount } = readConvertInput(body);
+    const rates = await getConversionRates();
+    if (!rates[direction]) return fail(400, "invalid_direction");
+    const q = quoteConversion(rates[direction], amount, await getConvertedToday(tg_id, direction));
+    if (q.error) return fail(400, q.error, { quote: q.quote || null });
+    return { ok: true, quote: q.quote };
+  }
+
+  async function convert(tg_id, body, { idempotency } = {}) {
+    const { direction, amount } = readConvertInput(body);
+    const dir = CONVERT_DIRECTIONS[direction];
+    if (!dir) return fail(400, "invalid_direction");
+    if (!Number.isFinite(amount) || amount <= 0) return fail(400, "invalid_amount");
+
+    let client;
+    try {
+      await ensureUser(tg_id);
+      client = await pool.connect();
+      await client.query("begin");
+      // serialise conversions of the same user so the daily cap cannot be raced
+      await client.query(`select 1 from public.users where tg_id=$1 for update`, [tg_id]);
+
+      const rates = await getConversionRates(client);
+      const q = quoteConversion(rates[direction], amount, await getConvertedToday(tg_id, direction, client));
+      if (q.error) {
+        await client.query("rollback");
+        return fail(400, q.error, { quote: q.quote || null });
+      }
+      const { quote } = q;
+
+      const addTl = dir.from === "balance_tl" ? -amount : quote.net;
+      const addDiamonds = dir.from === "diamonds" ? -amount : quote.net;
+      const b = await creditUser(
+        tg_id,
+        addTl,
+        addDiamonds,
+        {
+          type: LEDGER_TYPES.CONVERT,
+          ref_type: direction,
+          note: `${dir.note} (kur ${quote.rate}, ücret ${quote.fee})`,
+          no_overdraft: true,
+        },
+        client
+      );
+      if (!b) {
+        await client.query("rollback");
+        return fail(400, direction === "d2tl" ? "insufficient_diamonds" : "insufficient_tl");
+      }
+      const result = {
+        ok: true,
+        direction,
+        quote,
+        balance_tl: Number(b.balance_tl),
+        tl_balance: Number(b.balance_tl), // older pages read tl_balance
+        diamonds: Number(b.diamonds),
+      };
+      await idempotency?.store(client, result);
+      await client.query("commit");
+      return result;
+    } catch (e) {
+      if (client) await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  async function updateConversionRate(direction, body, actorId) {
+    if (!CONVERT_DIRECTIONS[direction]) return fail(400, "invalid_direction");
+
+    const updates = [];
+    const values = [direction, Number(actorId)];
+    const set = (col, val) => {
+      values.push(val);
+      updates.push(`${qIdent(col)}=$${values.length}`);
+    };
+    const numOrNull = (v) => (v === null || v === "" ? null : Number(v));
+
+    if (body?.rate !== undefined) {
+      const v = Number(body.rate);
+      if (!Number.isFinite(v) || v <= 0) return fail(400, "bad_rate");
+      set("rate", v);
+    }
+    if (body?.fee_rate !== undefined) {
+      const v = Number(body.fee_rate);
+      if (!Number.isFinite(v) || v < 0 || v >= 1) return fail(400, "bad_fee_rate");
+      set("fee_rate", v);
+    }
+    if (body?.min_amount !== undefined) {
+      const v = Number(body.min_amount);
+      if (!Number.isFinite(v) || v < 0) return fail(400, "bad_min_amount");
+      set("min_amount", v);
+    }
+    for (const col of ["max_amount", "daily_cap"]) {
+      if (body?.[col] === undefined) continue;
+      const v = numOrNull(body[col]);
+      if (v !== null && (!Number.isFinite(v) || v <= 0)) return fail(400, `bad_${col}`);
+      set(col, v);
+    }
+    if (!updates.length) return fail(400, "nothing_to_update");
+
+    const client = await pool.connect();
+    try {
+      await client.query("begin");
+      const { rows: cur } = await client.query(`select * from public.conversion_rates where direction=$1 for update`, [direction]);
+      const current = cur[0] || {};
+      const min = body?.min_amount !== undefined ? Number(body.min_amount) : Number(current.min_amount);
+      const max = body?.max_amount !== undefined ? numOrNull(body.max_amount) : numOrNull(current.max_amount);
+      if (max !== null && max !== undefined && max < min) {
+        await client.query("rollback");
+        return fail(400, "max_below_min");
+      }
+
+      const { rows } = await client.query(
+        `update public.conversion_rates set ${updates.join(", ")}, updated_at=now(), updated_by=$2 where direction=$1 returning *`,
+        values
+      );
+      await audit.recordAudit(
+        { actor: actorId, action: "conversion_rate.update", target_type: "conversion_rate", target_id: direction, before: cur[0], after: rows[0] },
+        client
+      );
+      await client.query("commit");
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+    return { ok: true, rates: await getConversionRates() };
+  }
+
+  return {
+    ensureUser,
+    getVipStatus,
+    updateUserProfile,
+    getUser,
+    setPanelMessageId,
+    getBalances,
+    creditUser,
+    reconcileUser,
+    getWallet,
+    getHistory,
+    getVipOverview,
+    buyVip,
+    getConversionRates,
+    getConvertedToday,
+    quote,
+    convert,
+    updateConversionRate,
+  };
+}
+
+module.exports = { CONVERT_DIRECTIONS, quoteConversion, readConvertInput, createWalletService };
@@ -0,0 +1,227 @@
+/**
+ * Withdrawals
+ *   pending -> approved -> paid
+ *   pending|approved -> rejected -> refunded (automatic, money returns to balance)
+ */
+const { fail } = require("./result");
+const { LEDGER_TYPES } = require("../constants");
+
+const WITHDRAW_TRANSITIONS = {
+  pending: ["approved", "rejected"],
+  approved: ["paid", "rejected"],
+  rejected: ["refunded"],
+  paid: [],
+  refunded: [],
+};
+const WITHDRAW_COLUMNS =
+  "id, tg_id, amount_tl, iban, full_name, status, reason, created_at, decided_at, decided_by, paid_at, refunded_at";
+
+function normalizeIban(raw) {
+  return String(raw || "").replace(/\s+/g, "").toUpperCase();
+}
+
+function normalizeFullName(raw) {
+  return String(raw || "").trim().replace(/\s+/g, " ").slice(0, 120);
+}
+
+// Name and surname of the IBAN holder.
+function isValidFullName(name) {
+  return name.length >= 3 && name.includes(" ");
+}
+
+// TR IBAN: "TR" + 2 check digits + 22 digits, validated with ISO 13616 mod-97.
+function isValidTrIban(iban) {
+  if (!/^TR\d{24}$/.test(iban)) return false;
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  const digits = rearranged.replace(/[A-Z]/g, (ch) => String(ch.charCodeAt(0) - 55));
+  let rem = 0;
+  for (const d of digits) rem = (rem * 10 + Number(d)) % 97;
+  return rem === 1;
+}
+
+// Catalogue key for the message a status change sends the user (null: nothing to say).
+function withdrawStatusKey(r) {
+  if (r.status === "rejected") return r.reason ? "withdraw.rejected_reason" : "withdraw.rejected";
+  return ["pending", "approved", "paid", "refunded"].includes(r.status) ? `withdraw.${r.status}` : null;
+}
+
+function createWithdrawalService({ pool, settings, wallet, audit, notifier }) {
+  const { ensureUser, creditUser } = wallet;
+
+  async function notifyWithdrawStatus(r) {
+    const key = withdrawStatusKey(r);
+    if (key) {
+      await notifier.notifyUser(r.tg_id, key, { amount: `₺${Number(r.amount_tl).toFixed(2)}`, id: r.id, reason: r.reason });
+    }
+  }
+
+  // Creates a request and holds the amount; payout is made manually by an admin.
+  // options.idempotency: the request's Idempotency-Key (routes/middleware.js idempotent()).
+  async function requestWithdrawal(tg_id, body, { idempotency } = {}) {
+    const amount = Number(body?.amount_tl || 0);
+    const iban = normalizeIban(body?.iban).slice(0, 64);
+    const full_name = normalizeFullName(body?.full_name);
+    if (!Number.isFinite(amount) || amount <= 0) return fail(400, "bad_amount");
+    const { min_withdraw_tl: minAmount } = await settings.getSettings();
+    if (amount + 1e-9 < minAmount) return fail(400, "below_minimum", { min_amount_tl: minAmount });
+    if (!isValidFullName(full_name)) return fail(400, "bad_full_name");
+    if (!isValidTrIban(iban)) return fail(400, "bad_iban");
+
+    let client;
+    try {
+      await ensureUser(tg_id);
+      client = await pool.connect();
+      await client.query("begin");
+
+      const { rows: urows } = await client.query(
+        `select balance_tl from public.users where tg_id=$1 for update`,
+        [tg_id]
+      );
+      if (Number(urows[0]?.balance_tl || 0) + 1e-9 < amount) {
+        await client.query("rollback");
+        return fail(400, "insufficient_balance");
+      }
+
+      const { rows: open } = await client.query(
+        `select id from public.withdraw_requests where tg_id=$1 and status in ('pending','approved') limit 1`,
+        [tg_id]
+      );
+      if (open.length) {
+        await client.query("rollback");
+        return fail(409, "open_request_exists", { request_id: open[0].id });
+      }
+
+      const { rows: wr } = await client.query(
+        `insert into public.withdraw_requests (tg_id, amount_tl, iban, full_name) values ($1,$2,$3,$4)
+         returning ${WITHDRAW_COLUMNS}`,
+        [tg_id, amount, iban, full_name]
+      );
+      const request = wr[0];
+
+      const b = await creditUser(
+        tg_id,
+        -amount,
+        0,
+        { type: LEDGER_TYPES.WITHDRAW_HOLD, ref_type: "withdraw_request", ref_id: request.id },
+        client
+      );
+      const result = { ok: true, request, balance_tl: Number(b.balance_tl), diamonds: Number(b.diamonds) };
+      await idempotency?.store(client, result);
+      await client.query("commit");
+
+      await notifyWithdrawStatus(request);
+      return result;
+    } catch (e) {
+      if (client) await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  // The caller's own withdrawal requests (latest first)
+  async function listOwnRequests(tg_id) {
+    const { rows } = await pool.query(
+      `select ${WITHDRAW_COLUMNS} from public.withdraw_requests where tg_id=$1 order by id desc limit 20`,
+      [tg_id]
+    );
+    const { min_withdraw_tl: minAmount } = await settings.getSettings();
+    return { ok: true, min_amount_tl: minAmount, requests: rows };
+  }
+
+  async function listRequests(status = null) {
+    if (status && !WITHDRAW_TRANSITIONS[status]) return fail(400, "bad_status");
+    const { rows } = await pool.query(
+      `select ${WITHDRAW_COLUMNS} from public.withdraw_requests
+        where ($1::text is null or status=$1)
+        order by id desc limit 200`,
+      [status]
+    );
+    return { ok: true, requests: rows, items: rows };
+  }
+
+  async function setStatus(id, body, adminId) {
+    const status = String(body?.status || "").toLowerCase();
+    const reason = body?.reason ? String(body.reason).slice(0, 500) : null;
+    if (!Number.isFinite(id)) return fail(400, "bad_id");
+    // refunded is reached automatically after rejected
+    if (!["approved", "paid", "rejected"].includes(status)) return fail(400, "bad_status");
+
+    const client = await pool.connect();
+    try {
+      await client.query("begin");
+      const { rows } = await client.query(`select ${WITHDRAW_COLUMNS} from public.withdraw_requests where id=$1 for update`, [id]);
+      const current = rows[0];
+      if (!current) {
+        await client.query("rollback");
+        return fail(404, "not_found");
+      }
+      if (!WITHDRAW_TRANSITIONS[current.status]?.includes(status)) {
+        await client.query("rollback");
+        return fail(409, "bad_transition", { from: current.status, to: status });
+      }
+
+      const transitions = [];
+      const { rows: updated } = await client.query(
+        `update public.withdraw_requests
+            set status=$2, decided_at=now(), decided_by=$3, reason=coalesce($4, reason),
+                paid_at = case when $2 = 'paid' then now() else paid_at end
+          where id=$1
+          returning ${WITHDRAW_COLUMNS}`,
+        [id, status, adminId, reason]
+      );
+      transitions.push(updated[0]);
+
+      if (status === "rejected") {
+        await creditUser(
+          Number(current.tg_id),
+          Number(current.amount_tl),
+          0,
+          { type: LEDGER_TYPES.WITHDRAW_RELEASE, ref_type: "withdraw_request", ref_id: id, note: reason },
+          client
+        );
+        const { rows: refunded } = await client.query(
+          `update public.withdraw_requests set status='refunded', refunded_at=now()
+            where id=$1
+            returning ${WITHDRAW_COLUMNS}`,
+          [id]
+        );
+        transitions.push(refunded[0]);
+      }
+      await audit.recordAudit(
+        {
+          actor: adminId,
+          action: `withdraw.${status}`,
+          target_type: "withdraw_request",
+          target_id: id,
+          before: current,
+          after: transitions[transitions.length - 1],
+          note: reason,
+        },
+        client
+      );
+      await client.query("commit");
+
+      for (const t of transitions) await notifyWithdrawStatus(t);
+      return { ok: true, request: transitions[transitions.length - 1] };
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  return { requestWithdrawal, listOwnRequests, listRequests, setStatus };
+}
+
+module.exports = {
+  WITHDRAW_TRANSITIONS,
+  WITHDRAW_COLUMNS,
+  normalizeIban,
+  isValidTrIban,
+  normalizeFullName,
+  isValidFullName,
+  withdrawStatusKey,
+  createWithdrawalService,
+};
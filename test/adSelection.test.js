@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { adWeight, pickWeighted, ineligibleReason, selectAd } = require("../adSelection");
+
+const NOW = new Date("2026-03-02T09:30:00Z"); // 12:30 in Europe/Istanbul
+const ad = (id, fields = {}) => ({ id, active: true, price_tl: null, budget_tl: null, spent_tl: 0, ...fields });
+const fixed = (value) => () => value;
+
+test("a higher bid and more budget left weigh more", () => {
+  const cheap = ad(1, { price_tl: 0.1, budget_tl: 10 }); // 100 views left
+  const rich = ad(2, { price_tl: 0.5, budget_tl: 50 }); // 100 views left
+  const spent = ad(3, { price_tl: 0.5, budget_tl: 50, spent_tl: 48 }); // 4 views left
+  assert.ok(adWeight(rich) > adWeight(cheap));
+  assert.ok(adWeight(rich) > adWeight(spent));
+  assert.equal(adWeight(rich), 0.5 * Math.log1p(100));
+  // admin ads without a price or budget count as DEFAULT_OPTIONS.defaultBid × unlimitedViews
+  assert.equal(adWeight(ad(4)), 0.1 * Math.log1p(1000));
+});
+
+test("the weighted pick splits [0, 1) by weight", () => {
+  const items = ["a", "b", "c"];
+  const weights = { a: 1, b: 3, c: 0 };
+  const pick = (r) => pickWeighted(items, (x) => weights[x], fixed(r));
+  assert.equal(pick(0), "a");
+  assert.equal(pick(0.24), "a");
+  assert.equal(pick(0.25), "b");
+  assert.equal(pick(0.99), "b"); // weight 0 is never picked
+  assert.equal(pickWeighted(items, () => 0), null);
+});
+
+test("selectAd follows the weights", () => {
+  const rich = ad(1, { price_tl: 0.5, budget_tl: 50 });
+  const cheap = ad(2, { price_tl: 0.1, budget_tl: 10 });
+  const share = adWeight(rich) / (adWeight(rich) + adWeight(cheap));
+  assert.equal(selectAd([rich, cheap], { now: NOW }, { rng: fixed(share - 0.01) }).id, 1);
+  assert.equal(selectAd([rich, cheap], { now: NOW }, { rng: fixed(share + 0.01) }).id, 2);
+
+  const counts = { 1: 0, 2: 0 };
+  for (let i = 0; i < 100; i++) counts[selectAd([rich, cheap], { now: NOW }, { rng: fixed(i / 100) }).id] += 1;
+  assert.equal(counts[1], Math.ceil(share * 100));
+});
+
+test("ads the user already watched today up to their cap are left out", () => {
+  const watched = ad(1, { completed_today: 1 });
+  const capped = ad(2, { completed_today: 2, daily_cap_per_user: 2 });
+  const again = ad(3, { completed_today: 1, daily_cap_per_user: 3 });
+  const fresh = ad(4, { completed_today: 0 });
+  assert.equal(ineligibleReason(watched, { now: NOW, completedToday: 1 }), "frequency_cap");
+
+  for (let i = 0; i < 10; i++) {
+    const picked = selectAd([watched, capped, again, fresh], { now: NOW }, { rng: fixed(i / 10) });
+    assert.ok([3, 4].includes(picked.id), `picked ${picked.id}`);
+  }
+  assert.equal(selectAd([watched, capped], { now: NOW }), null);
+  // dailyCapPerUser: 0 turns the default cap off
+  assert.equal(selectAd([watched], { now: NOW }, { dailyCapPerUser: 0 }).id, 1);
+});
+
+test("other ineligible ads are skipped too", () => {
+  const reason = (fields, ctx = {}) => ineligibleReason(ad(1, fields), { now: NOW, ...ctx });
+  assert.equal(reason({ active: false }), "inactive");
+  assert.equal(reason({ is_vip: true }), "vip_only");
+  assert.equal(reason({ is_vip: true }, { isVip: true }), null);
+  assert.equal(reason({ starts_at: "2026-03-03T00:00:00Z" }), "not_started");
+  assert.equal(reason({ ends_at: "2026-03-02T09:00:00Z" }), "ended");
+  assert.equal(reason({ schedule_hours: [20, 21] }), "off_schedule");
+  assert.equal(reason({ schedule_hours: [12] }), null);
+  assert.equal(reason({ max_clicks: 5, clicks: 5 }), "max_clicks");
+  assert.equal(reason({ price_tl: 0.5, budget_tl: 10, spent_tl: 9.6 }), "no_budget");
+});
+
+test("no candidates, or none eligible, picks nothing", () => {
+  assert.equal(selectAd([], { now: NOW }), null);
+  assert.equal(selectAd(null, { now: NOW }), null);
+  assert.equal(selectAd([], { now: NOW }, { strategy: "random" }), null);
+  assert.equal(selectAd([ad(1, { active: false })], { now: NOW }, { strategy: "random" }), null);
+});
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+const USER = 7101;
+const OTHER = 7102; // has a WebApp session
+
+let t;
+
+test.before(async () => {
+  t = await startTestApp();
+  await t.services.wallet.ensureUser(USER);
+  await t.services.wallet.ensureUser(OTHER);
+});
+
+test.after(async () => {
+  await t.close();
+});
+
+// Makes every audit insert for `action` fail while `fn` runs.
+async function withFailingAudit(action, fn) {
+  await t.pool.query(`alter table public.admin_audit add constraint failing_audit check (action <> '${action}') not valid`);
+  try {
+    return await fn();
+  } finally {
+    await t.pool.query(`alter table public.admin_audit drop constraint failing_audit`);
+  }
+}
+
+const user = async (tgId = USER) =>
+  (await t.pool.query(`select is_banned, ban_reason, sessions_revoked_at from public.users where tg_id=$1`, [tgId])).rows[0];
+
+test("a ban and its audit entry are written together", async () => {
+  const ban = () => t.api(`/api/admin/users/${USER}/ban`, { tgId: t.adminId, body: { reason: "spam" } });
+  assert.equal((await withFailingAudit("user.ban", ban)).status, 500);
+  assert.deepEqual(await user(), { is_banned: false, ban_reason: null, sessions_revoked_at: null });
+  assert.equal(t.telegram.messagesTo(USER).length, 0);
+
+  assert.equal((await ban()).status, 200);
+  assert.equal((await user()).is_banned, true);
+  const { rows } = await t.pool.query(`select action, before, after from public.admin_audit where target_id=$1`, [String(USER)]);
+  assert.deepEqual(rows, [
+    { action: "user.ban", before: { is_banned: false, ban_reason: null }, after: { is_banned: true, ban_reason: "spam" } },
+  ]);
+});
+
+test("revoking sessions is undone when the audit entry fails", async () => {
+  assert.equal((await t.api("/api/session", { tgId: OTHER, body: {} })).status, 200);
+  const revoke = () => t.api(`/api/admin/users/${OTHER}/sessions/revoke`, { tgId: t.adminId, body: {} });
+  assert.equal((await withFailingAudit("sessions.revoke", revoke)).status, 500);
+  assert.equal((await user(OTHER)).sessions_revoked_at, null);
+
+  const r = await revoke();
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  assert.equal(r.body.revoked, 1);
+  assert.notEqual((await user(OTHER)).sessions_revoked_at, null);
+});
+
+test("user search matches _ and % in names literally", async () => {
+  await t.pool.query(`update public.users set username = case tg_id when $1 then 'ali_veli' else 'alixveli' end where tg_id in ($1,$2)`, [USER, OTHER]);
+  const search = async (q) => {
+    const r = await t.api(`/api/admin/users?q=${encodeURIComponent(q)}`, { tgId: t.adminId, method: "GET" });
+    assert.equal(r.status, 200, JSON.stringify(r.body));
+    return r.body.users.map((u) => Number(u.tg_id));
+  };
+  assert.deepEqual(await search("@ali_"), [USER]);
+  assert.deepEqual(await search("ali%veli"), []);
+  assert.deepEqual(await search("alixveli"), [OTHER]);
+});
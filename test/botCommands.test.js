@@ -0,0 +1,165 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, validIban } = require("./helpers");
+
+const INVITER = 8001;
+const WATCHER = 8002; // invited by INVITER
+const QUITTER = 8003; // starts /withdraw and cancels
+
+let t;
+
+test.before(async () => {
+  t = await startTestApp();
+  await t.services.wallet.ensureUser(INVITER);
+  await t.services.wallet.ensureUser(WATCHER, INVITER);
+  await t.services.wallet.ensureUser(QUITTER);
+});
+
+test.after(async () => {
+  await t.close();
+});
+
+let updateId = 1;
+const chat = (tgId) => ({ id: tgId, type: "private" });
+const from = (tgId) => ({ id: tgId, is_bot: false, first_name: `User ${tgId}`, language_code: "tr" });
+
+// Sends `text` to the bot as `tgId`; resolves to the Bot API calls it caused.
+async function send(tgId, text) {
+  const before = t.telegram.calls.length;
+  const command = text.match(/^\/\w+/);
+  await t.bot.handleUpdate({
+    update_id: updateId++,
+    message: {
+      message_id: updateId,
+      date: Math.floor(Date.now() / 1000),
+      chat: chat(tgId),
+      from: from(tgId),
+      text,
+      ...(command ? { entities: [{ type: "bot_command", offset: 0, length: command[0].length }] } : {}),
+    },
+  });
+  return t.telegram.calls.slice(before);
+}
+
+// Presses an inline button with callback `data`.
+async function press(tgId, data) {
+  const before = t.telegram.calls.length;
+  await t.bot.handleUpdate({
+    update_id: updateId++,
+    callback_query: {
+      id: String(updateId),
+      from: from(tgId),
+      chat_instance: "1",
+      data,
+      message: { message_id: 1, date: Math.floor(Date.now() / 1000), chat: chat(tgId), text: "…" },
+    },
+  });
+  return t.telegram.calls.slice(before);
+}
+
+const texts = (calls) => calls.filter((c) => c.method === "sendMessage").map((c) => c.payload.text);
+const answer = (calls) => calls.find((c) => c.method === "answerCallbackQuery")?.payload;
+const lastText = async (tgId, text) => texts(await send(tgId, text)).at(-1);
+
+test("/help lists the commands and /balance shows the wallet", async () => {
+  assert.match(await lastText(WATCHER, "/help"), /\/balance — Bakiye ve bugünkü reklamlar\n\/watch — /);
+  await t.services.wallet.creditUser(WATCHER, 12.5, 3, { type: "admin_adjust" });
+  assert.equal(await lastText(WATCHER, "/balance"), "👛 Bakiyen\n₺12.50 · 💎 3.00\n\n📺 Bugün izlenen reklam: 0 / 50");
+});
+
+test("/watch sends a linked ad and the claim button checks the watch time", async () => {
+  // AdSense-only ads need the watch page, so the bot skips them.
+  await t.pool.query(`insert into public.ads (title, seconds, adsense_code) values ('AdSense', 10, '<ins></ins>')`);
+  assert.equal((await t.api("/api/ad/start", { tgId: INVITER, body: {} })).status, 200);
+  assert.equal(await lastText(WATCHER, "/watch"), "Şu an aktif reklam yok. Biraz sonra tekrar dene.");
+
+  const created = await t.api("/api/admin/ads", { tgId: t.adminId, body: { url: "https://shop.example/ad", seconds: 5, reward_tl: 0.5, reward_diamonds: 1, max_clicks: null } });
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  await t.pool.query(`update public.ads set active=false where adsense_code is not null`);
+
+  const [msg] = (await send(WATCHER, "/watch")).filter((c) => c.method === "sendMessage");
+  assert.match(msg.payload.text, /en az 5 sn izle/);
+  const [[open], [claim]] = msg.payload.reply_markup.inline_keyboard;
+  assert.equal(open.url, "https://shop.example/ad");
+  const [, sessionId] = claim.callback_data.split(":");
+
+  const early = answer(await press(WATCHER, claim.callback_data));
+  assert.equal(early.show_alert, true);
+  assert.match(early.text, /sn daha izlemelisin/);
+
+  await t.pool.query(`update public.ad_sessions set started_at = started_at - interval '6 seconds' where id=$1`, [sessionId]);
+  const done = await press(WATCHER, claim.callback_data);
+  assert.equal(answer(done).text, "✅ Reklam tamamlandı.");
+  assert.ok(done.some((c) => c.method === "editMessageReplyMarkup"));
+  assert.equal(t.telegram.messagesTo(WATCHER).at(-1), "✅ Reklam izledin! +0.50 TL ve +1.00 Elmas cüzdanına eklendi.");
+  assert.equal((await t.services.wallet.getBalances(WATCHER)).balance_tl, 13);
+
+  assert.equal(answer(await press(WATCHER, claim.callback_data)).text, "Bu reklamın ödülü zaten alındı.");
+  assert.equal(answer(await press(INVITER, claim.callback_data)).text, "Bu reklam artık geçerli değil. /watch ile yenisini aç.");
+  assert.equal(answer(await press(WATCHER, `claim:${sessionId}:0000`)).text, "Bu reklam artık geçerli değil. /watch ile yenisini aç.");
+});
+
+test("/referral and /history", async () => {
+  const referral = await lastText(INVITER, "/referral");
+  assert.match(referral, /https:\/\/t\.me\/test_bot\?start=8001/);
+  assert.match(referral, /Davet ettiklerin: 1 \(2\. seviye: 0\)/);
+
+  const history = await lastText(WATCHER, "/history");
+  assert.match(history, /^🧾 Son hareketler:\n.* · Reklam ödülü: \+₺0\.50 · \+1\.00 💎\n.* · Düzeltme: \+₺12\.50 · \+3\.00 💎$/);
+  assert.equal(await lastText(QUITTER, "/history"), "Henüz cüzdan hareketin yok.");
+});
+
+test("/withdraw walks through amount, IBAN and name, then creates the request", async () => {
+  await t.services.wallet.creditUser(WATCHER, 200, 0, { type: "admin_adjust" });
+  assert.match(await lastText(WATCHER, "/withdraw"), /Bakiyen: ₺213\.00 · Minimum: ₺195\.00/);
+  // The conversation is kept in the database between messages.
+  const { rows } = await t.pool.query(`select data from public.bot_sessions where key=$1`, [String(WATCHER)]);
+  assert.equal(rows[0].data.__scenes.current, "withdraw");
+
+  assert.equal(await lastText(WATCHER, "çok"), "₺195.00 ile ₺213.00 arasında bir tutar yaz.");
+  assert.equal(await lastText(WATCHER, "500"), "₺195.00 ile ₺213.00 arasında bir tutar yaz.");
+  assert.equal(await lastText(WATCHER, "200,5"), "IBAN'ını yaz (TR ile başlar).");
+  assert.equal(await lastText(WATCHER, "TR00 1234"), "Bu IBAN geçersiz. Kontrol edip tekrar yaz.");
+  assert.equal(await lastText(WATCHER, validIban().replace(/(.{4})/g, "$1 ")), "IBAN sahibinin adı ve soyadı?");
+  assert.equal(await lastText(WATCHER, "Ayse"), "Ad ve soyadı birlikte yaz.");
+
+  const [confirm] = (await send(WATCHER, "Ayse  Yilmaz")).filter((c) => c.method === "sendMessage");
+  assert.equal(confirm.payload.text, `Talebi onaylıyor musun?\n\nTutar: ₺200.50\nIBAN: ${validIban()}\nAd Soyad: Ayse Yilmaz`);
+  assert.equal(await lastText(WATCHER, "evet"), "Onaylamak ya da vazgeçmek için butonlardan birine bas.");
+
+  await press(WATCHER, "wd:yes");
+  const { rows: requests } = await t.pool.query(`select amount_tl, iban, full_name, status from public.withdraw_requests where tg_id=$1`, [WATCHER]);
+  assert.deepEqual(requests, [{ amount_tl: "200.5", iban: validIban(), full_name: "Ayse Yilmaz", status: "pending" }]);
+  assert.match(t.telegram.messagesTo(WATCHER).at(-1), /^🕓 ₺200\.50 para çekme talebin alındı/);
+  assert.equal((await t.pool.query(`select count(*)::int as n from public.bot_sessions`)).rows[0].n, 0);
+
+  assert.match(await lastText(WATCHER, "/withdraw"), /Zaten sonuçlanmamış bir para çekme talebin var/);
+});
+
+test("/cancel or another command ends the withdrawal conversation", async () => {
+  assert.match(await lastText(QUITTER, "/withdraw"), /minimum çekim tutarının/);
+  await t.services.wallet.creditUser(QUITTER, 300, 0, { type: "admin_adjust" });
+
+  await send(QUITTER, "/withdraw");
+  assert.equal(await lastText(QUITTER, "/cancel"), "Para çekme iptal edildi.");
+  assert.deepEqual(texts(await send(QUITTER, "250")), []);
+
+  await send(QUITTER, "/withdraw");
+  assert.match(await lastText(QUITTER, "/balance"), /^👛 Bakiyen\n₺300\.00/);
+  assert.deepEqual(texts(await send(QUITTER, "250")), []);
+  assert.equal((await t.pool.query(`select count(*)::int as n from public.withdraw_requests where tg_id=$1`, [QUITTER])).rows[0].n, 0);
+});
+
+test("a failing handler is logged and answered instead of crashing the process", async () => {
+  const { wallet } = t.services;
+  const getWallet = wallet.getWallet;
+  wallet.getWallet = async () => {
+    throw new Error("database is down");
+  };
+  try {
+    assert.equal(await lastText(QUITTER, "/balance"), "⚠️ Bir hata oluştu. Lütfen biraz sonra tekrar dene.");
+  } finally {
+    wallet.getWallet = getWallet;
+  }
+  assert.match(await lastText(QUITTER, "/balance"), /^👛 Bakiyen/);
+});
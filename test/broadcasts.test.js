@@ -0,0 +1,151 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+const VIP = 5001; // VIP with a balance, invited REGULAR
+const REGULAR = 5002; // opened the WebApp
+const BLOCKER = 5003; // has blocked the bot
+const BANNED = 5004;
+const SLOW = 5005; // first message hits Telegram's rate limit
+const RATE = 20;
+
+let t;
+
+test.before(async () => {
+  t = await startTestApp({ BROADCAST_RATE_PER_SEC: String(RATE) });
+  await t.services.wallet.ensureUser(VIP);
+  await t.services.wallet.ensureUser(REGULAR, VIP);
+  for (const id of [BLOCKER, BANNED, SLOW]) await t.services.wallet.ensureUser(id);
+  await t.pool.query(`update public.users set is_vip=true, vip_until=now() + interval '7 days', balance_tl=50 where tg_id=$1`, [VIP]);
+  await t.pool.query(`update public.users set is_banned=true, ban_reason='spam' where tg_id=$1`, [BANNED]);
+  assert.equal((await t.api("/api/session", { tgId: REGULAR, body: {} })).status, 200);
+});
+
+test.after(async () => {
+  await t.close();
+});
+
+const create = (body, tgId = t.adminId) => t.api("/api/admin/broadcasts", { tgId, body });
+const preview = (segment) => t.api("/api/admin/broadcasts/preview", { tgId: t.adminId, body: { segment } });
+const recipients = async (segment) => (await preview(segment)).body.recipients;
+
+// Telegram's update when a user blocks ("kicked") or unblocks ("member") the bot.
+let updateId = 1;
+const chatMemberUpdate = (tgId, status) => {
+  const bot = { id: 123, is_bot: true, first_name: "Test" };
+  return t.bot.handleUpdate({
+    update_id: updateId++,
+    my_chat_member: {
+      chat: { id: tgId, type: "private" },
+      from: { id: tgId, is_bot: false, first_name: `User ${tgId}` },
+      date: Math.floor(Date.now() / 1000),
+      old_chat_member: { user: bot, status: status === "kicked" ? "member" : "kicked" },
+      new_chat_member: { user: bot, status },
+    },
+  });
+};
+const isBlocked = async (tgId) =>
+  !!(await t.pool.query(`select bot_blocked_at from public.users where tg_id=$1`, [tgId])).rows[0].bot_blocked_at;
+
+test("bad messages, segments and callers are refused", async () => {
+  assert.equal((await create({ text: "  " })).body.error, "missing_text");
+  assert.equal((await create({ text: "x".repeat(4097) })).body.error, "text_too_long");
+  assert.equal((await create({ text: "x".repeat(1025), photo_url: "https://img.example/a.jpg" })).body.error, "text_too_long");
+  assert.equal((await create({ text: "hi", photo_url: "http://img.example/a.jpg" })).body.error, "bad_photo_url");
+  assert.equal((await create({ text: "hi", button_text: "Open" })).body.error, "bad_button");
+  assert.equal((await create({ text: "hi", button_text: "Open", button_url: "javascript:alert(1)" })).body.error, "bad_button");
+  assert.equal((await create({ text: "hi", segment: { country: "TR" } })).body.error, "bad_segment");
+  assert.equal((await create({ text: "hi", segment: { active_days: 0 } })).body.error, "bad_active_days");
+  assert.equal((await create({ text: "hi", segment: { min_balance_tl: 1e9 } })).body.error, "no_recipients");
+  assert.equal((await create({ text: "hi" }, REGULAR)).status, 403);
+  assert.equal((await t.pool.query(`select count(*)::int as n from public.broadcasts`)).rows[0].n, 0);
+});
+
+test("segments pick the matching users and never banned ones", async () => {
+  const { rows } = await t.pool.query(`select count(*)::int as n from public.users where not is_banned`);
+  assert.equal(await recipients({}), rows[0].n);
+  assert.equal(await recipients({ vip: true }), 1);
+  assert.equal(await recipients({ referrers: true }), 1);
+  assert.equal(await recipients({ min_balance_tl: 10 }), 1);
+  assert.equal(await recipients({ active_days: 7 }), 1);
+  assert.equal(await recipients({ vip: true, active_days: 7 }), 0);
+});
+
+test("a broadcast is throttled, retries 429 and marks users who blocked the bot", async () => {
+  t.telegram.failFor(BLOCKER, { error_code: 403, description: "Forbidden: bot was blocked by the user" });
+  t.telegram.failFor(SLOW, { error_code: 429, description: "Too Many Requests: retry after 1", parameters: { retry_after: 1 } }, 1);
+  const before = t.telegram.calls.length;
+
+  const r = await create({
+    text: "Yeni kampanya!",
+    photo_url: "https://img.example/promo.jpg",
+    button_text: "Izle",
+    button_url: "https://bot.example/webapp/watch.html",
+  });
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  const id = r.body.broadcast.id;
+  await t.services.broadcasts.drain();
+
+  const report = (await t.api(`/api/admin/broadcasts/${id}`, { tgId: t.adminId, method: "GET" })).body;
+  const total = report.broadcast.total;
+  assert.equal(report.broadcast.status, "done");
+  assert.deepEqual(report.broadcast.counts, { pending: 0, sent: total - 1, failed: 0, blocked: 1, cancelled: 0 });
+  assert.deepEqual(report.failures.map((f) => [Number(f.tg_id), f.status]), [[BLOCKER, "blocked"]]);
+
+  const photos = t.telegram.calls.slice(before).filter((c) => c.method === "sendPhoto");
+  assert.equal(photos.length, total - 1);
+  assert.ok(!photos.some((c) => [BANNED, BLOCKER].includes(Number(c.payload.chat_id))));
+  const slow = photos.find((c) => Number(c.payload.chat_id) === SLOW).payload;
+  assert.equal(slow.caption, "Yeni kampanya!");
+  assert.deepEqual(slow.reply_markup.inline_keyboard, [[{ text: "Izle", url: "https://bot.example/webapp/watch.html", hide: false }]]);
+  // At most RATE messages a second (the 429 wait aside).
+  const gaps = photos.slice(1).map((c, i) => c.at - photos[i].at);
+  assert.ok(Math.min(...gaps) >= 1000 / RATE - 5, `gaps ${gaps}`);
+
+  assert.equal(await isBlocked(BLOCKER), true);
+  const listed = await t.api("/api/admin/broadcasts", { tgId: t.adminId, method: "GET" });
+  assert.equal(listed.body.broadcasts[0].counts.sent, total - 1);
+});
+
+test("users who blocked the bot are skipped until they unblock it", async () => {
+  const all = await recipients({});
+  await chatMemberUpdate(BLOCKER, "member");
+  assert.equal(await isBlocked(BLOCKER), false);
+  assert.equal(await recipients({}), all + 1);
+  await chatMemberUpdate(SLOW, "kicked");
+  assert.equal(await isBlocked(SLOW), true);
+  assert.equal(await recipients({}), all);
+
+  t.telegram.failFor(REGULAR, { error_code: 400, description: "Bad Request: chat not found" });
+  const r = await create({ text: "Duyuru", segment: { active_days: 7 } });
+  await t.services.broadcasts.drain();
+  const report = (await t.api(`/api/admin/broadcasts/${r.body.broadcast.id}`, { tgId: t.adminId, method: "GET" })).body;
+  assert.equal(report.broadcast.counts.failed, 1);
+  assert.equal(report.failures[0].error, "Bad Request: chat not found");
+
+  const cancel = await t.api(`/api/admin/broadcasts/${r.body.broadcast.id}/cancel`, { tgId: t.adminId, body: {} });
+  assert.equal(cancel.body.error, "not_cancellable");
+  const { rows } = await t.pool.query(`select action from public.admin_audit where target_type='broadcast' order by id`);
+  assert.deepEqual(rows.map((x) => x.action), ["broadcast.create", "broadcast.create"]);
+});
+
+test("cancelling stops deliveries that were already claimed", async () => {
+  // the first message waits a second on a 429 while the rest of the batch is claimed
+  t.telegram.failFor(VIP, { error_code: 429, description: "Too Many Requests: retry after 1", parameters: { retry_after: 1 } }, 1);
+  const before = t.telegram.calls.length;
+  const r = await create({ text: "Iptal edilecek" });
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  const id = r.body.broadcast.id;
+  while (t.telegram.failures.get(VIP).times > 0) await new Promise((resolve) => setTimeout(resolve, 10));
+
+  const cancel = await t.api(`/api/admin/broadcasts/${id}/cancel`, { tgId: t.adminId, body: {} });
+  assert.equal(cancel.status, 200, JSON.stringify(cancel.body));
+  await t.services.broadcasts.drain();
+
+  // only the message that was already on its way went out
+  const sent = t.telegram.calls.slice(before).filter((c) => c.method === "sendMessage");
+  assert.deepEqual(sent.map((c) => Number(c.payload.chat_id)), [VIP]);
+  const report = (await t.api(`/api/admin/broadcasts/${id}`, { tgId: t.adminId, method: "GET" })).body;
+  assert.equal(report.broadcast.status, "cancelled");
+  assert.deepEqual(report.broadcast.counts, { pending: 0, sent: 1, failed: 0, blocked: 0, cancelled: report.broadcast.total - 1 });
+});
@@ -0,0 +1,210 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+const ADV = 8101; // advertiser
+const VIEWER = 8102;
+const LATE_VIEWER = 8103;
+
+let t;
+
+test.before(async () => {
+  t = await startTestApp({ AD_URL_DENYLIST: "bad.example", AD_MEDIA_MAX_MB: "1" });
+  await t.services.wallet.ensureUser(ADV);
+  await t.services.wallet.ensureUser(VIEWER);
+  await t.services.wallet.ensureUser(LATE_VIEWER);
+});
+
+test.after(async () => {
+  await t.close();
+});
+
+const create = (body) => t.api("/api/ad/create", { tgId: ADV, body: { title: "Kampanya", seconds: 10, target_views: 10, ...body } });
+const refused = async (body) => {
+  const r = await create(body);
+  assert.equal(r.status, 400, JSON.stringify(r.body));
+  return [r.body.error, r.body.field, r.body.reason].filter(Boolean).join(" ");
+};
+const review = (id, body) => t.api(`/api/admin/campaigns/${id}/review`, { tgId: t.adminId, body });
+const balance = async () => (await t.services.wallet.getBalances(ADV)).balance_tl;
+
+test("links must be https on a public, allowed host", async () => {
+  assert.equal(await refused({}), "missing_creative");
+  assert.equal(await refused({ page_url: "shop.example" }), "bad_creative page_url bad_url");
+  assert.equal(await refused({ page_url: "http://shop.example" }), "bad_creative page_url not_https");
+  assert.equal(await refused({ page_url: "javascript:alert(1)" }), "bad_creative page_url not_https");
+  assert.equal(await refused({ game_url: "https://localhost/game" }), "bad_creative game_url private_host");
+  assert.equal(await refused({ game_url: "https://0x7f.1/game" }), "bad_creative game_url private_host");
+  assert.equal(await refused({ page_url: "https://user:pw@shop.example" }), "bad_creative page_url bad_url");
+  assert.equal(await refused({ page_url: "https://promo.bad.example/x" }), "bad_creative page_url blocked_domain");
+  // the bot's own host could frame the WebApp with its session
+  assert.equal(await refused({ page_url: "https://bot.example/webapp/wallet.html" }), "bad_creative page_url blocked_domain");
+  assert.equal(await refused({ page_url: `https://shop.example/${"a".repeat(500)}` }), "bad_creative page_url too_long");
+});
+
+test("YouTube links are reduced to the video id", async () => {
+  assert.equal(await refused({ youtube_url: "https://vimeo.com/123" }), "bad_creative youtube_url bad_youtube");
+  assert.equal(await refused({ youtube_url: "https://youtu.be/short" }), "bad_creative youtube_url bad_youtube");
+
+  for (const link of ["https://youtu.be/dQw4w9WgXcQ?t=3", "https://m.youtube.com/watch?v=dQw4w9WgXcQ&list=x", "https://www.youtube.com/shorts/dQw4w9WgXcQ"]) {
+    const r = await create({ youtube_url: link, draft: true });
+    assert.equal(r.status, 200, JSON.stringify(r.body));
+    const { rows } = await t.pool.query(`select youtube_url from public.ads where id=$1`, [r.body.ad_id]);
+    assert.equal(rows[0].youtube_url, "https://www.youtube.com/watch?v=dQw4w9WgXcQ");
+  }
+});
+
+test("media links are checked for type and size", async () => {
+  t.media.set("https://cdn.example/ad.mp4", { type: "video/mp4", size: 500000 });
+  t.media.set("https://cdn.example/page.html", { type: "text/html; charset=utf-8", size: 100 });
+  t.media.set("https://cdn.example/big.png", { type: "image/png", size: 2 * 1024 * 1024 });
+  t.media.set("https://cdn.example/stream.mp4", { type: "video/mp4" });
+  t.media.set("https://cdn.example/gone.png", { status: 404 });
+  t.media.set("https://cdn.example/moved.png", { type: "image/png", size: 10, redirect: "https://cdn.bad.example/x.png" });
+
+  assert.equal(await refused({ media_url: "https://cdn.example/page.html" }), "bad_creative media_url media_type");
+  assert.equal(await refused({ media_url: "https://cdn.example/big.png" }), "bad_creative media_url media_too_large");
+  assert.equal(await refused({ media_url: "https://cdn.example/stream.mp4" }), "bad_creative media_url media_size_unknown");
+  assert.equal(await refused({ media_url: "https://cdn.example/gone.png" }), "bad_creative media_url media_unreachable");
+  assert.equal(await refused({ media_url: "https://cdn.example/nothing.png" }), "bad_creative media_url media_unreachable");
+  assert.equal(await refused({ media_url: "https://cdn.example/moved.png" }), "bad_creative media_url media_redirect");
+
+  const r = await create({ media_url: "https://cdn.example/ad.mp4", draft: true });
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  const { rows } = await t.pool.query(`select media_url, media_type from public.ads where id=$1`, [r.body.ad_id]);
+  assert.deepEqual(rows[0], { media_url: "https://cdn.example/ad.mp4", media_type: "video" });
+
+  // admin ads get the same checks for their url
+  const admin = (body) => t.api("/api/admin/ads", { tgId: t.adminId, body: { max_clicks: null, ...body } });
+  assert.equal((await admin({ type: "web", url: "http://shop.example" })).body.reason, "not_https");
+  assert.equal((await admin({ type: "image", url: "https://cdn.example/page.html" })).body.reason, "media_type");
+  const ok = await admin({ type: "video", url: "https://cdn.example/ad.mp4" });
+  assert.equal(ok.status, 200, JSON.stringify(ok.body));
+  assert.equal(ok.body.ad.media_type, "video");
+  const patched = await t.api(`/api/admin/ads/${ok.body.ad.id}`, { tgId: t.adminId, method: "PATCH", body: { url: "https://bot.example/" } });
+  assert.equal(patched.body.reason, "blocked_domain");
+});
+
+test("HTML snippets may not frame, post forms or load foreign scripts", async () => {
+  assert.equal(await refused({ adsense_code: '<iframe src="https://evil.example"></iframe>' }), "bad_creative adsense_code snippet_tag");
+  assert.equal(await refused({ adsense_code: "<FORM action=https://evil.example>" }), "bad_creative adsense_code snippet_tag");
+  assert.equal(await refused({ adsense_code: '<a href=" javascript:steal()">x</a>' }), "bad_creative adsense_code snippet_url");
+  assert.equal(await refused({ adsense_code: '<script src="https://evil.example/x.js"></script>' }), "bad_creative adsense_code snippet_script");
+  assert.equal(await refused({ adsense_code: '<script src="//pagead2.googlesyndication.com/x.js"></script>' }), "bad_creative adsense_code snippet_script");
+  assert.equal(await refused({ adsense_code: "x".repeat(5001) }), "bad_creative adsense_code too_long");
+
+  const adsense = `<script async src="https://pagead2.googlesyndication.com/pagead/js/adsbygoogle.js?client=ca-pub-1"></script>
+<ins class="adsbygoogle" data-ad-client="ca-pub-1" data-ad-slot="2"></ins>
+<script>(adsbygoogle = window.adsbygoogle || []).push({});</script>`;
+  const r = await create({ adsense_code: adsense, draft: true });
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+});
+
+test("a draft is free; sending it for review charges the budget and tells the advertiser", async () => {
+  const draft = await create({ title: "Taslak", page_url: "https://shop.example/a", draft: true });
+  assert.equal(draft.status, 200, JSON.stringify(draft.body));
+  assert.equal(draft.body.status, "draft");
+  assert.equal(draft.body.budget_tl, 10); // 10 s × 0.10 TL × 10 views
+  assert.equal(await balance(), 0);
+
+  const submit = () => t.api(`/api/ad/${draft.body.ad_id}/submit`, { tgId: ADV });
+  assert.equal((await submit()).body.error, "insufficient_balance");
+  assert.equal((await t.api(`/api/ad/${draft.body.ad_id}/submit`, { tgId: VIEWER })).status, 404);
+
+  await t.services.wallet.creditUser(ADV, 25, 0, { type: "admin_adjust" });
+  const r = await submit();
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  assert.equal(r.body.status, "in_review");
+  assert.equal(r.body.balance_tl, 15);
+  assert.equal(t.telegram.messagesTo(ADV).at(-1), `🕓 "Taslak" (#${draft.body.ad_id}) incelemeye alındı. Sonucu buradan bildireceğiz.`);
+  assert.equal((await submit()).body.error, "bad_status");
+
+  const queue = await t.api("/api/admin/campaigns", { tgId: t.adminId, method: "GET" });
+  assert.deepEqual(queue.body.campaigns.map((c) => c.id), [draft.body.ad_id]);
+
+  // a rejection always says why
+  assert.equal((await review(draft.body.ad_id, { decision: "reject", reason: "  " })).body.error, "missing_reason");
+  const rejected = await review(draft.body.ad_id, { decision: "reject", reason: "Sayfa açılmıyor." });
+  assert.equal(rejected.status, 200, JSON.stringify(rejected.body));
+  assert.equal(await balance(), 25);
+  assert.equal(t.telegram.messagesTo(ADV).at(-1), `❌ "Taslak" (#${draft.body.ad_id}) reddedildi. Sebep: Sayfa açılmıyor. ₺10.00 bakiyene iade edildi.`);
+
+  const mine = await t.api("/api/advertiser/ads", { tgId: ADV });
+  const ad = mine.body.ads.find((a) => a.id === draft.body.ad_id);
+  assert.deepEqual([ad.status, ad.review_reason], ["rejected", "Sayfa açılmıyor."]);
+});
+
+test("an approved campaign is shown with its checked creative; drafts can be cancelled for free", async () => {
+  await t.pool.query(`update public.ads set active=false`);
+  const r = await create({ title: "Video", youtube_url: "https://youtu.be/dQw4w9WgXcQ" });
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  assert.equal(r.body.status, "in_review");
+  assert.equal((await t.api("/api/ad/start", { tgId: VIEWER, body: {} })).body.error, "no_ad");
+  // the active toggle cannot skip the review or take a campaign out of the queue
+  const toggle = (active) => t.api(`/api/admin/ads/${r.body.ad_id}`, { tgId: t.adminId, method: "PATCH", body: { active } });
+  for (const active of [true, false]) {
+    const res = await toggle(active);
+    assert.deepEqual([res.status, res.body.error, res.body.status], [409, "bad_status", "in_review"]);
+  }
+
+  assert.equal((await review(r.body.ad_id, { decision: "approve" })).status, 200);
+  assert.equal(t.telegram.messagesTo(ADV).at(-1), `✅ "Video" (#${r.body.ad_id}) onaylandı ve yayında.`);
+  const start = await t.api("/api/ad/start", { tgId: VIEWER, body: {} });
+  assert.equal(start.status, 200, JSON.stringify(start.body));
+  assert.equal(start.body.ad.youtube_url, "https://www.youtube.com/watch?v=dQw4w9WgXcQ");
+
+  const draft = await create({ page_url: "https://shop.example/b", draft: true });
+  const before = await balance();
+  const cancelled = await t.api(`/api/ad/${draft.body.ad_id}/cancel`, { tgId: ADV });
+  assert.equal(cancelled.status, 200, JSON.stringify(cancelled.body));
+  assert.equal(cancelled.body.refund_tl, 0);
+  assert.equal(await balance(), before);
+});
+
+test("a view that ends after the campaign was cancelled is not charged to the refunded budget", async () => {
+  await t.pool.query(`update public.ads set active=false`);
+  const r = await create({ title: "İptal", page_url: "https://shop.example/c" });
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  assert.equal((await review(r.body.ad_id, { decision: "approve" })).status, 200);
+
+  const start = await t.api("/api/ad/start", { tgId: VIEWER, body: {} });
+  assert.equal(start.status, 200, JSON.stringify(start.body));
+  assert.equal(start.body.ad.id, r.body.ad_id);
+  const before = await balance();
+  const cancelled = await t.api(`/api/ad/${r.body.ad_id}/cancel`, { tgId: ADV });
+  assert.equal(cancelled.body.refund_tl, 10);
+  assert.equal(await balance(), before + 10);
+
+  await t.pool.query(`update public.ad_sessions set started_at = started_at - interval '15 seconds' where id=$1`, [start.body.session_id]);
+  const done = await t.api("/api/ad/complete", { tgId: VIEWER, body: { session_id: start.body.session_id, nonce: start.body.nonce } });
+  assert.equal(done.status, 200, JSON.stringify(done.body));
+  const { rows } = await t.pool.query(`select status, spent_tl from public.ads where id=$1`, [r.body.ad_id]);
+  assert.deepEqual(rows[0], { status: "cancelled", spent_tl: "0" });
+});
+
+test("advertiser revenue is what the views took from the budget, not price × views", async () => {
+  await t.pool.query(`update public.ads set active=false`);
+  const r = await create({ title: "Yarıda iptal", page_url: "https://shop.example/d" });
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  assert.equal((await review(r.body.ad_id, { decision: "approve" })).status, 200);
+
+  const start = async (tgId) => {
+    const res = await t.api("/api/ad/start", { tgId, body: {} });
+    assert.equal(res.body.ad?.id, r.body.ad_id, JSON.stringify(res.body));
+    await t.pool.query(`update public.ad_sessions set started_at = started_at - interval '15 seconds' where id=$1`, [res.body.session_id]);
+    return () => t.api("/api/ad/complete", { tgId, body: { session_id: res.body.session_id, nonce: res.body.nonce } });
+  };
+  const early = await start(VIEWER);
+  const late = await start(LATE_VIEWER);
+  assert.equal((await early()).status, 200);
+  const cancelled = await t.api(`/api/ad/${r.body.ad_id}/cancel`, { tgId: ADV });
+  assert.equal(cancelled.body.refund_tl, 9);
+  assert.equal((await late()).status, 200);
+
+  const stats = await t.api("/api/admin/stats", { tgId: t.adminId, method: "GET" });
+  assert.equal(stats.status, 200, JSON.stringify(stats.body));
+  const ad = stats.body.top_ads.find((a) => a.id === r.body.ad_id);
+  assert.deepEqual([ad.completed, ad.revenue_tl], [2, 1]);
+  assert.equal(stats.body.money.revenue_tl, 1); // the earlier cancelled campaign was never charged either
+  assert.equal(stats.body.daily.at(-1).revenue_tl, 1);
+});
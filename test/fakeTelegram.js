@@ -0,0 +1,62 @@
+/**
+ * Telegram client for tests: records every Bot API call instead of sending it.
+ * Pass it as bot.telegram before createApp(); notifyUser, keyboards and
+ * setWebhook then all end up in `calls`.
+ */
+const { Telegram, TelegramError } = require("telegraf");
+
+class FakeTelegram extends Telegram {
+  constructor(token = "123:TEST", { username = "test_bot" } = {}) {
+    super(token);
+    this.username = username;
+    this.calls = [];
+    this.failures = new Map(); // chat_id -> { error, times }
+    this.nextMessageId = 1;
+  }
+
+  /**
+   * Makes the next `times` calls to `chatId` fail the way the Bot API does, e.g.
+   * failFor(42, { error_code: 403, description: "Forbidden: bot was blocked by the user" }).
+   * Failed calls are not recorded in `calls`.
+   */
+  failFor(chatId, error, times = Infinity) {
+    this.failures.set(Number(chatId), { error, times });
+  }
+
+  async callApi(method, payload = {}) {
+    const failure = this.failures.get(Number(payload.chat_id));
+    if (failure && failure.times > 0) {
+      failure.times -= 1;
+      throw new TelegramError({ ok: false, ...failure.error }, { method, payload });
+    }
+    this.calls.push({ method, payload, at: Date.now() });
+    switch (method) {
+      case "getMe":
+        return { id: 123, is_bot: true, first_name: "Test", username: this.username };
+      case "sendMessage":
+        return {
+          message_id: this.nextMessageId++,
+          date: Math.floor(Date.now() / 1000),
+          chat: { id: payload.chat_id, type: "private" },
+          text: payload.text,
+        };
+      default:
+        return true;
+    }
+  }
+
+  sent(method = "sendMessage") {
+    return this.calls.filter((c) => c.method === method).map((c) => c.payload);
+  }
+
+  messagesTo(chatId) {
+    return this.sent().filter((p) => Number(p.chat_id) === Number(chatId)).map((p) => p.text);
+  }
+
+  reset() {
+    this.calls = [];
+    this.failures.clear();
+  }
+}
+
+module.exports = { FakeTelegram };
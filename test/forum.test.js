@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+const ALICE = 6001;
+const BOB = 6002;
+
+let t;
+
+test.before(async () => {
+  t = await startTestApp({ BROADCAST_RATE_PER_SEC: "100" });
+  await t.services.wallet.ensureUser(ALICE);
+  await t.services.wallet.ensureUser(BOB);
+});
+
+test.after(async () => {
+  await t.close();
+});
+
+const openTopic = (body, tgId = t.adminId) => t.api("/api/admin/forum/topics", { tgId, body });
+const post = (topicId, message, tgId) => t.api(`/api/forum/topics/${topicId}/posts`, { tgId, body: { message } });
+const posts = (topicId, query = "") => t.api(`/api/forum/topics/${topicId}/posts${query}`, { tgId: BOB, method: "GET" });
+// Moves a user's posts back in time so the cooldown does not get in the way.
+const age = (tgId, seconds) =>
+  t.pool.query(`update public.forum_posts set created_at = created_at - make_interval(secs => $2) where tg_id=$1`, [tgId, seconds]);
+
+let topicId;
+
+test("moderators open topics and can announce them", async () => {
+  assert.equal((await openTopic({ title: "Genel" }, ALICE)).status, 403);
+  assert.equal((await openTopic({ title: "x" })).body.error, "bad_title");
+
+  const r = await openTopic({ title: "Genel Sohbet", body: "Kurallar: saygili olun.", announce: true });
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  topicId = r.body.topic.id;
+  assert.ok(r.body.announcement.id);
+  await t.services.broadcasts.drain();
+  assert.equal(t.telegram.messagesTo(ALICE).at(-1), "💬 Genel Sohbet\n\nKurallar: saygili olun.");
+
+  const list = await t.api("/api/forum/topics", { tgId: ALICE, method: "GET" });
+  assert.equal(list.body.can_moderate, false);
+  assert.deepEqual(list.body.topics.map((x) => [x.title, x.post_count]), [["Genel Sohbet", 0]]);
+  assert.equal((await t.api("/api/forum/topics", { tgId: t.adminId, method: "GET" })).body.can_moderate, true);
+});
+
+test("posts are filtered for length, profanity and links", async () => {
+  assert.equal((await post(topicId, "a", ALICE)).body.error, "message_too_short");
+  assert.equal((await post(topicId, "x".repeat(1001), ALICE)).body.error, "message_too_long");
+  assert.equal((await post(topicId, "Siktir git", ALICE)).body.error, "profanity");
+  assert.equal((await post(topicId, "Kanalima gelin t.me/bedava", ALICE)).body.error, "links_not_allowed");
+  assert.equal((await post(topicId, "Gelin https://example.com", ALICE)).body.error, "links_not_allowed");
+  assert.equal((await post(999, "Merhaba", ALICE)).status, 404);
+  assert.equal((await posts(topicId)).body.posts.length, 0);
+});
+
+test("users are rate limited, moderators are not", async () => {
+  const first = await post(topicId, "Merhaba herkese", ALICE);
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  const again = await post(topicId, "Ben yine geldim", ALICE);
+  assert.equal(again.status, 429);
+  assert.equal(again.body.error, "post_cooldown");
+  assert.ok(again.body.retry_after > 0);
+
+  await age(ALICE, 60);
+  for (let i = 0; i < 19; i++) {
+    await t.pool.query(`insert into public.forum_posts (topic_id, tg_id, message, created_at) values ($1,$2,'eski', now() - interval '10 minutes')`, [topicId, ALICE]);
+  }
+  assert.equal((await post(topicId, "Bir tane daha", ALICE)).body.error, "post_limit");
+
+  assert.equal((await post(topicId, "Duyuru: https://bot.example/webapp/watch.html", t.adminId)).status, 200);
+  assert.equal((await post(topicId, "Ikinci moderator mesaji", t.adminId)).status, 200);
+});
+
+test("posts page oldest first and deleted posts disappear", async () => {
+  const bob = await post(topicId, "Selam, ben Bob", BOB);
+  const page1 = await posts(topicId, "?limit=2");
+  assert.equal(page1.body.posts[0].message, "Merhaba herkese");
+  assert.equal(page1.body.next_offset, 2);
+  const all = await posts(topicId, "?limit=100");
+  assert.equal(all.body.posts.at(-1).message, "Selam, ben Bob");
+  const count = all.body.posts.length;
+
+  assert.equal((await t.api(`/api/admin/forum/posts/${bob.body.post.id}/delete`, { tgId: BOB, body: {} })).status, 403);
+  const del = await t.api(`/api/admin/forum/posts/${bob.body.post.id}/delete`, { tgId: t.adminId, body: {} });
+  assert.equal(del.status, 200, JSON.stringify(del.body));
+  assert.equal((await posts(topicId, "?limit=100")).body.posts.length, count - 1);
+  assert.equal((await t.api(`/api/admin/forum/posts/${bob.body.post.id}/delete`, { tgId: t.adminId, body: {} })).status, 404);
+
+  const { rows } = await t.pool.query(`select action from public.admin_audit where target_type like 'forum_%' order by id`);
+  assert.deepEqual(rows.map((r) => r.action), ["forum.topic_create", "forum.post_delete"]);
+});
+
+test("closed topics can be read but not posted to", async () => {
+  await age(BOB, 60);
+  const closed = await t.api(`/api/admin/forum/topics/${topicId}/close`, { tgId: t.adminId, body: {} });
+  assert.equal(closed.body.topic.is_open, false);
+  assert.equal((await post(topicId, "Hala burada misiniz?", BOB)).body.error, "topic_closed");
+  assert.equal((await posts(topicId)).status, 200);
+
+  await t.api(`/api/admin/forum/topics/${topicId}/reopen`, { tgId: t.adminId, body: {} });
+  assert.equal((await post(topicId, "Hala burada misiniz?", BOB)).status, 200);
+});
+
+test("a moderation action is undone when its audit entry cannot be written", async () => {
+  await t.pool.query(`alter table public.admin_audit add constraint no_topic_close check (action <> 'forum.topic_close') not valid`);
+  try {
+    const closed = await t.api(`/api/admin/forum/topics/${topicId}/close`, { tgId: t.adminId, body: {} });
+    assert.equal(closed.status, 500);
+  } finally {
+    await t.pool.query(`alter table public.admin_audit drop constraint no_topic_close`);
+  }
+  const { rows } = await t.pool.query(`select is_open from public.forum_topics where id=$1`, [topicId]);
+  assert.equal(rows[0].is_open, true);
+});
@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+const { welcomeText } = require("../bot");
+const { CATALOGUES, resolveLang, t: translate } = require("../i18n");
+
+const ENGLISH = 4001;
+const AZERI = 4002;
+
+let t;
+
+test.before(async () => {
+  t = await startTestApp();
+  await t.services.wallet.ensureUser(ENGLISH);
+  await t.services.wallet.ensureUser(AZERI);
+});
+
+test.after(async () => {
+  await t.close();
+});
+
+const placeholders = (text) => [...text.matchAll(/\{(\w+)\}/g)].map((m) => m[1]).sort();
+
+test("every language has every Turkish key with the same placeholders", () => {
+  for (const [lang, strings] of Object.entries(CATALOGUES)) {
+    for (const [key, text] of Object.entries(CATALOGUES.tr)) {
+      assert.equal(typeof strings[key], "string", `${lang} is missing ${key}`);
+      assert.deepEqual(placeholders(strings[key]), placeholders(text), `${lang} ${key}`);
+    }
+    assert.deepEqual(Object.keys(strings).sort(), Object.keys(CATALOGUES.tr).sort(), lang);
+  }
+});
+
+test("language choice, client language, then Turkish", () => {
+  assert.equal(resolveLang({ language: "az", language_code: "en" }), "az");
+  assert.equal(resolveLang({ language: null, language_code: "en-US" }), "en");
+  assert.equal(resolveLang({ language: null, language_code: "de" }), "tr");
+  assert.equal(resolveLang({}), "tr");
+  assert.equal(translate("en", "no.such.key"), "no.such.key");
+});
+
+test("the /start text follows the language's number format", async () => {
+  const s = await t.services.settings.getSettings();
+  assert.match(welcomeText(s, "en"), /you earn 5% \(level 2: 2%\) of every ad/);
+  assert.match(welcomeText(s), /%5/);
+});
+
+test("/api/i18n serves the WebApp strings in the caller's language", async () => {
+  const anon = await t.api("/api/i18n?lang=en-US", { method: "GET" });
+  assert.equal(anon.status, 200);
+  assert.equal(anon.body.lang, "en");
+  assert.equal(anon.body.strings.close, CATALOGUES.en["web.close"]);
+  assert.equal(anon.body.strings["bot.welcome"], undefined);
+
+  assert.equal((await t.api("/api/i18n?lang=de", { method: "GET" })).body.lang, "tr");
+
+  // A saved /language choice wins over the client language.
+  assert.equal((await t.services.locale.setUserLanguage(AZERI, "az")).lang, "az");
+  assert.equal((await t.api("/api/i18n?lang=en", { tgId: AZERI, method: "GET" })).body.lang, "az");
+  assert.equal((await t.services.locale.setUserLanguage(AZERI, "xx")).error, "bad_language");
+  assert.equal((await t.services.locale.setUserLanguage(9999, "en")).error, "not_found");
+});
+
+test("notifications and ban messages use the recipient's language", async () => {
+  await t.services.locale.setUserLanguage(ENGLISH, "en");
+  const adjusted = await t.api(`/api/admin/users/${ENGLISH}/adjust`, {
+    tgId: t.adminId,
+    body: { amount_tl: 10, reason: "welcome gift" },
+  });
+  assert.equal(adjusted.status, 200, JSON.stringify(adjusted.body));
+  assert.match(t.telegram.messagesTo(ENGLISH).at(-1), /^ℹ️ Your balance was adjusted: .*Note: welcome gift$/);
+
+  const banned = await t.api(`/api/admin/users/${AZERI}/ban`, { tgId: t.adminId, body: { reason: "spam" } });
+  assert.equal(banned.status, 200, JSON.stringify(banned.body));
+  assert.equal(t.telegram.messagesTo(AZERI).at(-1), translate("az", "account.banned_reason", { reason: "spam" }));
+
+  const refused = await t.api("/api/referral", { tgId: AZERI, method: "GET" });
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.message, translate("az", "account.banned_reason", { reason: "spam" }));
+
+  // Back to following the client language: nothing stored, so Turkish.
+  await t.services.locale.setUserLanguage(ENGLISH, "auto");
+  assert.equal(await t.services.locale.getUserLang(ENGLISH), "tr");
+});
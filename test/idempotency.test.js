@@ -0,0 +1,160 @@
+// Parallel requests against the money-moving endpoints and Idempotency-Key replays.
+// The races need TEST_DATABASE_URL pointing at a local Postgres: PGlite serves every
+// connection from one session, so concurrent transactions would run inside each other.
+// CI runs them in the postgres job of .github/workflows/test.yml.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, validIban } = require("./helpers");
+
+const WITHDRAWER = 8301;
+const CONVERTER = 8302;
+const WATCHER = 8303;
+const ADV = 8304;
+const RETRIER = 8305;
+const RACER = 8306;
+const CRASHER = 8307;
+
+const RACE = process.env.TEST_DATABASE_URL ? {} : { skip: "needs TEST_DATABASE_URL" };
+
+let t;
+
+test.before(async () => {
+  t = await startTestApp();
+  for (const id of [WITHDRAWER, CONVERTER, WATCHER, ADV, RETRIER, RACER, CRASHER]) await t.services.wallet.ensureUser(id);
+});
+
+test.after(async () => {
+  await t.close();
+});
+
+const parallel = (n, fn) => Promise.all(Array.from({ length: n }, (_, i) => fn(i)));
+const statuses = (responses) => responses.map((r) => r.status).sort();
+const withdraw = (tgId, amount_tl, key) =>
+  t.api("/api/withdraw", {
+    tgId,
+    body: { amount_tl, iban: validIban(), full_name: "Ayse Yilmaz" },
+    headers: key ? { "Idempotency-Key": key } : {},
+  });
+
+// Balances must still match the ledger after every race.
+async function assertInSync(tgId) {
+  const r = await t.services.wallet.reconcileUser(tgId);
+  assert.equal(r.in_sync, true, JSON.stringify(r));
+  return r.balance;
+}
+
+test("parallel withdrawals hold the balance once", RACE, async () => {
+  await t.services.wallet.creditUser(WITHDRAWER, 300, 0, { type: "admin_adjust" });
+  const responses = await parallel(5, () => withdraw(WITHDRAWER, 200));
+  assert.equal(responses.filter((r) => r.status === 200).length, 1, JSON.stringify(responses.map((r) => r.body)));
+  const refused = responses.filter((r) => r.status !== 200).map((r) => r.body.error);
+  assert.ok(refused.every((e) => e === "insufficient_balance" || e === "open_request_exists"), refused.join());
+
+  const { rows } = await t.pool.query(`select count(*)::int as n from public.withdraw_requests where tg_id=$1`, [WITHDRAWER]);
+  assert.equal(rows[0].n, 1);
+  assert.equal((await assertInSync(WITHDRAWER)).balance_tl, 100);
+});
+
+test("parallel conversions cannot overdraw", RACE, async () => {
+  await t.services.wallet.creditUser(CONVERTER, 0, 100, { type: "admin_adjust" });
+  const convert = () => t.api("/api/convert", { tgId: CONVERTER, body: { direction: "d2tl", amount: 30 } });
+  const responses = await parallel(5, convert);
+  assert.equal(responses.filter((r) => r.status === 200).length, 3);
+  assert.ok(responses.filter((r) => r.status !== 200).every((r) => r.body.error === "insufficient_diamonds"));
+  const b = await assertInSync(CONVERTER);
+  assert.deepEqual([b.balance_tl, b.diamonds], [90, 10]);
+});
+
+test("a watch session pays once however often it is completed", RACE, async () => {
+  await t.pool.query(`insert into public.ads (title, seconds, page_url, reward_tl, reward_diamonds) values ('Race', 5, 'https://shop.example/', 1, 0)`);
+  const start = await t.api("/api/ad/start", { tgId: WATCHER, body: {} });
+  assert.equal(start.status, 200, JSON.stringify(start.body));
+  await t.pool.query(`update public.ad_sessions set started_at = started_at - interval '10 seconds' where id=$1`, [start.body.session_id]);
+
+  const body = { session_id: start.body.session_id, nonce: start.body.nonce };
+  const responses = await parallel(5, () => t.api("/api/ad/complete", { tgId: WATCHER, body }));
+  assert.deepEqual(statuses(responses), [200, 200, 200, 200, 200]);
+  assert.equal(responses.filter((r) => !r.body.already).length, 1);
+  const { rows } = await t.pool.query(`select count(*)::int as n from public.ledger where tg_id=$1 and type='watch_reward'`, [WATCHER]);
+  assert.equal(rows[0].n, 1);
+  assert.equal((await assertInSync(WATCHER)).balance_tl, 1);
+});
+
+test("a campaign budget is charged once when sent for review in parallel", RACE, async () => {
+  await t.services.wallet.creditUser(ADV, 25, 0, { type: "admin_adjust" });
+  const draft = await t.api("/api/ad/create", {
+    tgId: ADV,
+    body: { title: "Yarış", seconds: 10, target_views: 10, page_url: "https://shop.example/", draft: true },
+  });
+  assert.equal(draft.status, 200, JSON.stringify(draft.body));
+
+  const responses = await parallel(4, () => t.api(`/api/ad/${draft.body.ad_id}/submit`, { tgId: ADV }));
+  assert.equal(responses.filter((r) => r.status === 200).length, 1);
+  assert.ok(responses.filter((r) => r.status !== 200).every((r) => r.body.error === "bad_status"));
+  assert.equal((await assertInSync(ADV)).balance_tl, 15);
+});
+
+test("an Idempotency-Key replays the first response instead of running again", async () => {
+  await t.services.wallet.creditUser(RETRIER, 250, 0, { type: "admin_adjust" });
+
+  // refused requests give the key back: nothing was moved
+  const tooMuch = await withdraw(RETRIER, 260, "wd-1");
+  assert.equal(tooMuch.body.error, "insufficient_balance");
+  assert.equal((await withdraw(RETRIER, 200, "bad key!")).body.error, "bad_idempotency_key");
+
+  const first = await withdraw(RETRIER, 200, "wd-2");
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  assert.equal(first.headers.get("idempotent-replayed"), null);
+  const retry = await withdraw(RETRIER, 200, "wd-2");
+  assert.equal(retry.status, 200);
+  assert.equal(retry.headers.get("idempotent-replayed"), "true");
+  assert.deepEqual(retry.body, first.body);
+  assert.equal((await withdraw(RETRIER, 199, "wd-2")).status, 422);
+  // keys belong to one endpoint
+  const convert = await t.api("/api/convert", { tgId: RETRIER, body: { direction: "tl2d", amount: 10 }, headers: { "Idempotency-Key": "wd-2" } });
+  assert.equal(convert.body.error, "idempotency_key_reused");
+
+  const { rows } = await t.pool.query(`select count(*)::int as n from public.withdraw_requests where tg_id=$1`, [RETRIER]);
+  assert.equal(rows[0].n, 1);
+  assert.equal((await assertInSync(RETRIER)).balance_tl, 50);
+});
+
+test("the response commits with the money, so a failure after the commit is replayed, not run again", async () => {
+  await t.services.wallet.creditUser(CRASHER, 250, 0, { type: "admin_adjust" });
+  // a claim left by a process that died before committing is taken over once it is stale
+  const body = { amount_tl: 200, iban: validIban(), full_name: "Ayse Yilmaz" };
+  assert.equal((await t.services.idempotency.begin(CRASHER, "wd-crash", "withdraw", body)).claimed, true);
+  assert.equal((await withdraw(CRASHER, 200, "wd-crash")).body.error, "request_in_progress");
+  await t.pool.query(`update public.idempotency_keys set created_at = created_at - interval '1 hour' where tg_id=$1`, [CRASHER]);
+
+  const { notifier } = t.services;
+  const notifyUser = notifier.notifyUser;
+  notifier.notifyUser = async () => {
+    throw new Error("after the commit");
+  };
+  let first;
+  try {
+    first = await withdraw(CRASHER, 200, "wd-crash");
+  } finally {
+    notifier.notifyUser = notifyUser;
+  }
+  assert.equal(first.status, 500);
+
+  const retry = await withdraw(CRASHER, 200, "wd-crash");
+  assert.equal(retry.status, 200, JSON.stringify(retry.body));
+  assert.equal(retry.headers.get("idempotent-replayed"), "true");
+  const { rows } = await t.pool.query(`select count(*)::int as n from public.withdraw_requests where tg_id=$1`, [CRASHER]);
+  assert.equal(rows[0].n, 1);
+  assert.equal((await assertInSync(CRASHER)).balance_tl, 50);
+});
+
+test("parallel requests with one Idempotency-Key run once", RACE, async () => {
+  await t.services.wallet.creditUser(RACER, 250, 0, { type: "admin_adjust" });
+  const responses = await parallel(4, () => withdraw(RACER, 200, "wd-race"));
+  const done = responses.filter((r) => r.status === 200);
+  assert.ok(done.length >= 1, JSON.stringify(responses.map((r) => r.body)));
+  assert.ok(responses.filter((r) => r.status !== 200).every((r) => r.body.error === "request_in_progress"));
+  // every 200 is the same request
+  assert.equal(new Set(done.map((r) => r.body.request.id)).size, 1);
+  assert.equal((await assertInSync(RACER)).balance_tl, 50);
+});
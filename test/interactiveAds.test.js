@@ -0,0 +1,133 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+const ADV = 8201; // advertiser
+const VIEWERS = [8202, 8203, 8204, 8205];
+
+let t;
+
+test.before(async () => {
+  t = await startTestApp();
+  await t.services.wallet.ensureUser(ADV);
+  for (const id of VIEWERS) await t.services.wallet.ensureUser(id);
+  await t.services.wallet.creditUser(ADV, 100, 0, { type: "admin_adjust" });
+});
+
+test.after(async () => {
+  await t.close();
+});
+
+const QUIZ = { question: "Reklamdaki ürün ne?", options: ["Ayakkabı", "Telefon", "Araba"], answer: 1 };
+const create = (body) => t.api("/api/ad/create", { tgId: ADV, body: { title: "Quiz", seconds: 5, target_views: 10, page_url: "https://shop.example/", ...body } });
+const balance = async (id) => (await t.services.wallet.getBalances(id)).balance_tl;
+
+// Starts a session for `tgId` and moves it past its watch time.
+async function watch(tgId) {
+  const start = await t.api("/api/ad/start", { tgId, body: {} });
+  assert.equal(start.status, 200, JSON.stringify(start.body));
+  await t.pool.query(`update public.ad_sessions set started_at = started_at - interval '10 seconds' where id=$1`, [start.body.session_id]);
+  const complete = (body) => t.api("/api/ad/complete", { tgId, body: { session_id: start.body.session_id, nonce: start.body.nonce, ...body } });
+  return { ...start.body, complete };
+}
+
+test("a campaign asks for one well-formed question or one click link", async () => {
+  const refused = async (body) => {
+    const r = await create({ draft: true, ...body });
+    assert.equal(r.status, 400, JSON.stringify(r.body));
+    return [r.body.error, r.body.field, r.body.reason].filter(Boolean).join(" ");
+  };
+  assert.equal(await refused({ quiz: { ...QUIZ, question: "?" } }), "bad_quiz bad_question");
+  assert.equal(await refused({ quiz: { ...QUIZ, options: ["Evet"] } }), "bad_quiz bad_options");
+  assert.equal(await refused({ quiz: { ...QUIZ, options: ["Evet", " evet "] } }), "bad_quiz bad_options");
+  assert.equal(await refused({ quiz: { ...QUIZ, options: ["a", "b", "c", "d", "e"] } }), "bad_quiz bad_options");
+  assert.equal(await refused({ quiz: { ...QUIZ, answer: 3 } }), "bad_quiz bad_answer");
+  assert.equal(await refused({ quiz: QUIZ, click_url: "https://shop.example/buy" }), "one_interaction");
+  assert.equal(await refused({ click_url: "http://shop.example/buy" }), "bad_creative click_url not_https");
+
+  const r = await create({ draft: true, quiz: { ...QUIZ, question: "  Reklamdaki ürün ne?  " } });
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  const { rows } = await t.pool.query(`select interaction, quiz, click_url from public.ads where id=$1`, [r.body.ad_id]);
+  assert.deepEqual(rows[0], { interaction: "quiz", quiz: QUIZ, click_url: null });
+});
+
+test("quiz answers are checked on the server; wrong ones pay the configured share", async () => {
+  await t.pool.query(`update public.ads set active=false`);
+  const r = await create({ quiz: QUIZ });
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  const review = await t.api(`/api/admin/campaigns/${r.body.ad_id}/review`, { tgId: t.adminId, body: { decision: "approve" } });
+  assert.equal(review.status, 200, JSON.stringify(review.body));
+
+  const [right, wrong, half, silent] = VIEWERS;
+  const w1 = await watch(right);
+  // the page gets the question, never the answer
+  assert.deepEqual(w1.ad.quiz, { question: QUIZ.question, options: QUIZ.options });
+  assert.equal(w1.ad.interaction, "quiz");
+  assert.equal((await w1.complete({})).body.error, "answer_required");
+  assert.equal((await w1.complete({ answer: 3 })).body.error, "answer_required");
+  const ok = await w1.complete({ answer: 1 });
+  assert.equal(ok.status, 200, JSON.stringify(ok.body));
+  assert.deepEqual([ok.body.answer_correct, ok.body.correct_answer, ok.body.reward.tl], [true, 1, 0.25]);
+  assert.equal(await balance(right), 0.25);
+
+  // quiz_wrong_reward_rate defaults to 0: the view counts, nothing is paid
+  const w2 = await watch(wrong);
+  const none = await w2.complete({ answer: 0 });
+  assert.equal(none.status, 200, JSON.stringify(none.body));
+  assert.deepEqual([none.body.forfeited, none.body.answer_correct, none.body.correct_answer], [true, false, 1]);
+  assert.equal(await balance(wrong), 0);
+  assert.match(t.telegram.messagesTo(wrong).at(-1), /^❌ Yanlış cevap, bu reklamdan ödül kazanamadın/);
+  const { rows } = await t.pool.query(`select reward_status, payout_tl, answer, answer_correct from public.ad_sessions where id=$1`, [w2.session_id]);
+  assert.deepEqual(rows[0], { reward_status: "forfeited", payout_tl: "0", answer: 0, answer_correct: false });
+  assert.equal((await w2.complete({ answer: 1 })).body.already, true);
+
+  const patched = await t.api("/api/admin/settings", { tgId: t.adminId, method: "PATCH", body: { quiz_wrong_reward_rate: 0.5 } });
+  assert.equal(patched.status, 200, JSON.stringify(patched.body));
+  const w3 = await watch(half);
+  const partial = await w3.complete({ answer: 2 });
+  assert.deepEqual([partial.body.answer_correct, partial.body.reward.tl], [false, 0.125]);
+  assert.equal(await balance(half), 0.125);
+  assert.equal(t.telegram.messagesTo(half).at(-1), "❌ Yanlış cevap. Ödülün düşürüldü: +0.13 TL ve +0.13 Elmas cüzdanına eklendi.");
+
+  // started but never answered: not part of the accuracy
+  await watch(silent);
+
+  const mine = await t.api("/api/advertiser/ads", { tgId: ADV });
+  const ad = mine.body.ads.find((a) => a.id === r.body.ad_id);
+  assert.deepEqual(
+    [ad.interaction, ad.started, ad.completed, ad.answered, ad.answer_accuracy],
+    ["quiz", 4, 3, 3, 0.3333]
+  );
+  const stats = await t.api("/api/admin/stats", { tgId: t.adminId, method: "GET" });
+  const top = stats.body.top_ads.find((a) => a.id === r.body.ad_id);
+  assert.deepEqual([top.answered, top.answer_accuracy], [3, 0.3333]);
+});
+
+test("click ads pay only after the click-through was recorded", async () => {
+  await t.pool.query(`update public.ads set active=false`);
+  const created = await t.api("/api/admin/ads", {
+    tgId: t.adminId,
+    body: { url: "https://shop.example/ad", seconds: 5, reward_tl: 1, max_clicks: null, click_url: "https://shop.example/buy?ref=bot" },
+  });
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  assert.deepEqual([created.body.ad.interaction, created.body.ad.click_url], ["click", "https://shop.example/buy?ref=bot"]);
+
+  const [viewer] = VIEWERS;
+  const w = await watch(viewer);
+  const link = new URL(w.ad.click_url);
+  assert.equal(link.origin, "https://bot.example");
+  assert.equal((await w.complete({})).body.error, "click_required");
+
+  assert.equal((await t.api(`/api/ad/click/${w.session_id}?nonce=0000`, { method: "GET" })).status, 404);
+  const click = await t.api(link.pathname + link.search, { method: "GET" });
+  assert.deepEqual(click, { status: 302, location: "https://shop.example/buy?ref=bot" });
+
+  const before = await balance(viewer);
+  const done = await w.complete({});
+  assert.equal(done.status, 200, JSON.stringify(done.body));
+  assert.equal(await balance(viewer), before + 1);
+
+  // the admin can drop the requirement again
+  const patched = await t.api(`/api/admin/ads/${created.body.ad.id}`, { tgId: t.adminId, method: "PATCH", body: { click_url: "" } });
+  assert.deepEqual([patched.body.ad.interaction, patched.body.ad.click_url], [null, null]);
+});
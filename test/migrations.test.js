@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startDatabase } = require("./helpers");
+const { MIGRATIONS, runMigrations } = require("../migrations");
+
+const RICH = 6001; // balance and diamonds, one pending and one paid withdrawal
+const EMPTY = 6002; // nothing to carry over
+
+let database;
+
+test.before(async () => {
+  database = await startDatabase();
+  const q = (sql, params) => database.pool.query(sql, params);
+  await q(fs.readFileSync(path.join(__dirname, "fixtures", "legacy_schema.sql"), "utf8"));
+
+  await q(`insert into users (tg_id, username, balance, diamonds, referred_by) values ($1,'rich',12.5,3,null), ($2,'empty',0,0,$1)`, [RICH, EMPTY]);
+  await q(`insert into daily_views (tg_id, day, seen) values ($1,'2026-03-01',4), ($1,'2026-03-02',2)`, [RICH]);
+  const ad = (await q(`insert into ads (type, url, reward_gem) values ('video','https://ads.example/v.mp4',0.5) returning id`)).rows[0].id;
+  await q(
+    `insert into ad_sessions (session_id, tg_id, ad_id, completed_at, status) values
+       ('00000000-0000-4000-8000-000000000001',$1,$2,now(),'completed'),
+       ('00000000-0000-4000-8000-000000000002',$1,$2,null,'started')`,
+    [RICH, ad]
+  );
+  await q(
+    `insert into withdrawals (tg_id, full_name, iban, amount_tl, status, decided_at, decided_by) values
+       ($1,'Zengin Kişi','TR00',50,'paid',now(),9000), ($1,'Zengin Kişi','TR00',20,'pending',null,null)`,
+    [RICH]
+  );
+});
+
+test.after(async () => {
+  await database.stop();
+});
+
+async function columns(table) {
+  const { rows } = await database.pool.query(
+    `select column_name from information_schema.columns where table_schema='public' and table_name=$1`,
+    [table]
+  );
+  return new Set(rows.map((r) => r.column_name));
+}
+
+test("the old schema.sql layout converges on the canonical schema", async () => {
+  const q = (sql, params) => database.pool.query(sql, params);
+  const result = await runMigrations(database.pool, { log: () => {} });
+  assert.deepEqual(result.applied, MIGRATIONS.map((m) => m.id));
+
+  const users = await columns("users");
+  for (const c of ["id", "balance_tl", "diamonds", "daily_ads_watched", "daily_ads_day"]) assert.ok(users.has(c), `users.${c}`);
+  assert.ok(!users.has("balance"));
+  const ads = await columns("ads");
+  assert.ok(ads.has("reward_diamonds") && !ads.has("reward_gem"));
+  const sessions = await columns("ad_sessions");
+  for (const c of ["id", "completed", "seconds", "charged_tl"]) assert.ok(sessions.has(c), `ad_sessions.${c}`);
+  assert.ok(!sessions.has("session_id") && !sessions.has("status"));
+
+  const { rows: u } = await q(`select tg_id, balance_tl, diamonds, daily_ads_watched, to_char(daily_ads_day, 'YYYY-MM-DD') as day from public.users order by tg_id`);
+  assert.deepEqual(
+    u.map((r) => [Number(r.tg_id), Number(r.balance_tl), Number(r.diamonds), r.daily_ads_watched, r.day]),
+    [
+      [RICH, 12.5, 3, 2, "2026-03-02"],
+      [EMPTY, 0, 0, 0, null],
+    ]
+  );
+  const { rows: s } = await q(`select completed, seconds from public.ad_sessions`);
+  assert.deepEqual(s.map((r) => [r.completed, r.seconds]).sort(), [[false, 15], [true, 15]]);
+
+  // a single opening_balance entry, so that the balance equals the sum of the ledger
+  const { rows: ledger } = await q(`select tg_id, type, amount_tl, amount_diamonds, balance_tl_after from public.ledger`);
+  assert.deepEqual(
+    ledger.map((r) => [Number(r.tg_id), r.type, Number(r.amount_tl), Number(r.amount_diamonds), Number(r.balance_tl_after)]),
+    [[RICH, "opening_balance", 12.5, 3, 12.5]]
+  );
+
+  // the balance was already taken when the old withdrawals were made; they move as they are
+  const { rows: w } = await q(`select tg_id, amount_tl, status, full_name, reason from public.withdraw_requests order by amount_tl`);
+  assert.deepEqual(
+    w.map((r) => [Number(r.tg_id), Number(r.amount_tl), r.status, r.full_name, /^legacy withdrawals #\d+$/.test(r.reason)]),
+    [
+      [RICH, 20, "pending", "Zengin Kişi", true],
+      [RICH, 50, "paid", "Zengin Kişi", true],
+    ]
+  );
+  assert.equal((await columns("withdrawals")).size, 0);
+  assert.equal((await q(`select count(*)::int as n from public.withdrawals_legacy`)).rows[0].n, 2);
+  assert.ok((await columns("daily_views_legacy")).size > 0);
+});
+
+test("a second run changes nothing", async () => {
+  const q = (sql) => database.pool.query(sql);
+  const counts = `select (select count(*) from public.ledger)::int as ledger,
+                         (select count(*) from public.withdraw_requests)::int as withdrawals,
+                         (select count(*) from public.schema_migrations)::int as migrations`;
+  const before = (await q(counts)).rows[0];
+  const logged = [];
+  const again = await runMigrations(database.pool, { log: (line) => logged.push(line) });
+  assert.deepEqual(again, { pending: [], applied: [] });
+  assert.deepEqual(logged, ["schema up to date"]);
+  assert.deepEqual((await q(counts)).rows[0], before);
+});
@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+const { welcomeText } = require("../bot");
+
+const REFERRER = 3001;
+const WATCHER = 3002;
+
+let t;
+
+test.before(async () => {
+  t = await startTestApp();
+  await t.services.wallet.ensureUser(REFERRER);
+  await t.services.wallet.ensureUser(WATCHER, REFERRER);
+});
+
+test.after(async () => {
+  await t.close();
+});
+
+const patch = (body, tgId = t.adminId) => t.api("/api/admin/settings", { tgId, method: "PATCH", body });
+
+test("defaults are served publicly and to the admin list", async () => {
+  const pub = await t.api("/api/settings", { method: "GET" });
+  assert.equal(pub.status, 200);
+  assert.equal(pub.body.settings.watch_reward_tl, 0.25);
+  assert.equal(pub.body.settings.price_per_second_tl, 0.1);
+  assert.deepEqual(pub.body.settings.referral_tier_rates, [0.05, 0.02]);
+  assert.equal(pub.body.settings.min_withdraw_tl, 195);
+
+  const list = await t.api("/api/admin/settings", { tgId: t.adminId, method: "GET" });
+  const reward = list.body.settings.find((s) => s.key === "watch_reward_tl");
+  assert.equal(reward.overridden, false);
+  assert.equal(reward.default, 0.25);
+});
+
+test("invalid or unauthorised updates change nothing", async () => {
+  assert.equal((await patch({ watch_reward_tl: -1 })).body.error, "bad_watch_reward_tl");
+  assert.equal((await patch({ referral_tier_rates: "0.05,abc" })).body.error, "bad_referral_tier_rates");
+  assert.equal((await patch({ watch_seconds_default: 7.5 })).body.error, "bad_watch_seconds_default");
+  assert.equal((await patch({ nope: 1 })).body.error, "unknown_setting");
+  assert.equal((await patch({ daily_ad_limit: 150 })).body.error, "vip_limit_below_limit");
+  assert.equal((await patch({ watch_reward_tl: 1 }, WATCHER)).status, 403);
+
+  // one bad key rejects the whole update
+  assert.equal((await patch({ watch_reward_tl: 1, min_withdraw_tl: 0 })).status, 400);
+  assert.equal((await t.services.settings.getSettings()).watch_reward_tl, 0.25);
+});
+
+test("rewards, referral rates and prices follow the saved settings", async () => {
+  const saved = await patch({
+    watch_reward_tl: 0.5,
+    watch_reward_diamonds: 0.1,
+    watch_seconds_default: 5,
+    referral_tier_rates: "0.1",
+    price_per_second_tl: 0.2,
+    min_withdraw_tl: 100,
+  });
+  assert.equal(saved.status, 200, JSON.stringify(saved.body));
+
+  // An ad created without its own reward/seconds gets the new defaults.
+  const ad = await t.api("/api/admin/ads", { tgId: t.adminId, body: { url: "https://example.com/ad", max_clicks: null } });
+  assert.equal(Number(ad.body.ad.reward_tl), 0.5);
+  assert.equal(Number(ad.body.ad.reward_diamonds), 0.1);
+  assert.equal(Number(ad.body.ad.seconds), 5);
+
+  const start = await t.api("/api/ad/start", { tgId: WATCHER, body: {} });
+  assert.deepEqual(start.body.reward, { tl: 0.5, diamonds: 0.1, multiplier: 1 });
+  await t.pool.query(`update public.ad_sessions set started_at = started_at - interval '10 seconds' where id=$1`, [
+    start.body.session_id,
+  ]);
+  const done = await t.api("/api/ad/complete", {
+    tgId: WATCHER,
+    body: { session_id: start.body.session_id, nonce: start.body.nonce },
+  });
+  assert.equal(done.status, 200, JSON.stringify(done.body));
+  assert.equal((await t.services.wallet.getBalances(WATCHER)).balance_tl, 0.5);
+  assert.equal((await t.services.wallet.getBalances(REFERRER)).balance_tl, 0.05); // 10% of 0.5
+
+  const own = await t.api("/api/withdraw/requests", { tgId: WATCHER, body: {} });
+  assert.equal(own.body.min_amount_tl, 100);
+
+  const text = welcomeText(await t.services.settings.getSettings());
+  assert.match(text, /1 reklam başına ₺0\.50 – 0\.10 elmas token/);
+  assert.match(text, /her reklamdan %10 kazanırsın/);
+  assert.match(text, /%18 oranında bir kerelik bonus/);
+  assert.match(text, /Minimum çekim tutarı: ₺100/);
+});
+
+test("null resets a setting to its default and every change is audited", async () => {
+  const reset = await patch({ watch_reward_tl: null });
+  assert.equal(reset.status, 200);
+  const reward = reset.body.settings.find((s) => s.key === "watch_reward_tl");
+  assert.equal(reward.value, 0.25);
+  assert.equal(reward.overridden, false);
+
+  const audit = await t.api("/api/admin/audit?target_type=setting", { tgId: t.adminId, method: "GET" });
+  assert.equal(audit.body.entries.length, 2);
+  assert.deepEqual(audit.body.entries[0].before, { watch_reward_tl: 0.5 });
+  assert.deepEqual(audit.body.entries[0].after, { watch_reward_tl: 0.25 });
+});
@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+const ANN = 7001; // organic, watched on 1 March
+const BEN = 7002; // invited by ANN late on 2 March (3 March in Istanbul)
+const CAN = 7003; // old user, only opened the WebApp in the range
+
+let t;
+
+test.before(async () => {
+  t = await startTestApp();
+  const q = (sql, params) => t.pool.query(sql, params);
+  for (const id of [ANN, BEN, CAN]) await t.services.wallet.ensureUser(id);
+  await q(`update public.users set created_at='2026-03-01T10:00:00Z' where tg_id=$1`, [ANN]);
+  await q(`update public.users set created_at='2026-03-02T22:30:00Z', referred_by=$2 where tg_id=$1`, [BEN, ANN]);
+  await q(`update public.users set created_at='2026-02-01T10:00:00Z' where tg_id=$1`, [CAN]);
+
+  const campaign = (await q(`insert into public.ads (title, url, price_tl, budget_tl) values ('Kampanya','https://shop.example',0.5,100) returning id`)).rows[0].id;
+  const house = (await q(`insert into public.ads (title, url) values ('Ev reklami','https://bot.example') returning id`)).rows[0].id;
+
+  // completed views of the campaign took its 0.5 TL price from the budget
+  const session = (tgId, adId, startedAt, reward) =>
+    q(
+      `insert into public.ad_sessions (tg_id, ad_id, seconds, started_at, completed, completed_at, reward_status, payout_tl, payout_diamonds, charged_tl)
+       values ($1,$2,10,$3,$4,$3::timestamptz + interval '15 seconds',$5,$6,$7,$8)`,
+      [tgId, adId, startedAt, !!reward, reward?.status || null, reward?.tl ?? null, reward?.diamonds ?? null, reward && adId === campaign ? 0.5 : 0]
+    );
+  await session(ANN, campaign, "2026-03-01T10:00:00Z", { status: "credited", tl: 0.2, diamonds: 1 });
+  await session(ANN, house, "2026-03-02T09:00:00Z", null);
+  await session(BEN, campaign, "2026-03-02T22:31:00Z", { status: "held", tl: 0.2, diamonds: 0 });
+  await session(BEN, campaign, "2026-03-03T08:00:00Z", { status: "released", tl: 0.3, diamonds: 0 });
+  await session(CAN, campaign, "2026-02-20T08:00:00Z", { status: "credited", tl: 0.2, diamonds: 0 });
+
+  await q(`insert into public.referral_earnings (referrer_tg_id, referred_tg_id, amount_tl, created_at) values ($1,$2,0.05,'2026-03-03T08:00:15Z')`, [ANN, BEN]);
+  await q(
+    `insert into public.webapp_sessions (tg_id, token_hash, source, created_at, expires_at)
+     values ($1,'stats-test','webapp','2026-03-03T12:00:00Z','2026-03-04T12:00:00Z')`,
+    [CAN]
+  );
+  await q(
+    `insert into public.withdraw_requests (tg_id, amount_tl, iban, status, created_at, paid_at) values
+       ($1,10,'TR00','pending',now(),null), ($2,5,'TR00','approved',now(),null), ($3,20,'TR00','paid','2026-03-01T12:00:00Z','2026-03-02T12:00:00Z')`,
+    [ANN, BEN, CAN]
+  );
+});
+
+test.after(async () => {
+  await t.close();
+});
+
+const stats = (query = "", tgId = t.adminId) => t.api(`/api/admin/stats${query}`, { tgId, method: "GET" });
+
+test("only finance and analyst staff see the stats, with a sane range", async () => {
+  assert.equal((await stats("", ANN)).status, 403);
+  assert.equal((await stats("?from=yesterday")).body.error, "bad_from");
+  assert.equal((await stats("?to=2026-13-01")).body.error, "bad_to");
+  assert.equal((await stats("?from=2026-03-05&to=2026-03-01")).body.error, "bad_range");
+  assert.equal((await stats("?from=2024-01-01&to=2026-03-01")).body.error, "bad_range");
+
+  const r = await stats();
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  assert.equal(r.body.daily.length, 30);
+  assert.equal(r.body.daily.at(-1).day, r.body.to);
+});
+
+test("days are bucketed in Istanbul time", async () => {
+  const r = await stats("?from=2026-03-01&to=2026-03-03");
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  const daily = r.body.daily.map((d) => [d.day, d.active, d.signups_referred, d.signups_organic, d.sessions_started, d.sessions_completed, d.paid_tl, d.revenue_tl]);
+  assert.deepEqual(daily, [
+    ["2026-03-01", 1, 0, 1, 1, 1, 0.2, 0.5],
+    ["2026-03-02", 1, 0, 0, 1, 0, 0, 0],
+    ["2026-03-03", 2, 1, 0, 2, 2, 0.35, 1],
+  ]);
+  assert.deepEqual(r.body.active, { dau: 2, wau: 3, mau: 3 });
+});
+
+test("funnel, money, withdrawal liability and top ads", async () => {
+  const { body } = await stats("?from=2026-03-01&to=2026-03-03");
+  assert.deepEqual(body.funnel, { started: 4, completed: 3, rewarded: 2, held: 1, rejected: 0, completion_rate: 0.75 });
+
+  // The held reward is not paid yet; the session from February is outside the range.
+  assert.equal(body.money.watch_tl, 0.5);
+  assert.equal(body.money.watch_diamonds, 1);
+  assert.equal(body.money.referral_tl, 0.05);
+  assert.equal(body.money.paid_tl, 0.55);
+  assert.equal(body.money.revenue_tl, 1.5);
+  assert.equal(body.money.withdrawn_tl, 20);
+  assert.deepEqual(body.withdrawals, { pending_count: 1, pending_tl: 10, approved_count: 1, approved_tl: 5, liability_tl: 15 });
+
+  assert.deepEqual(
+    body.top_ads.map((a) => [a.title, a.started, a.completed, a.completion_rate, a.revenue_tl]),
+    [
+      ["Kampanya", 3, 3, 1, 1.5],
+      ["Ev reklami", 1, 0, 0, 0],
+    ]
+  );
+  assert.equal(body.top_ads[0].url, "https://shop.example");
+});
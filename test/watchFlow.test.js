@@ -0,0 +1,205 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+// Referral chain: GRAND invited PARENT, PARENT invited WATCHER.
+const GRAND = 1001;
+const PARENT = 1002;
+const WATCHER = 1003;
+const SUSPECT = 1004;
+const LIMITED = 1005;
+
+let t;
+
+test.before(async () => {
+  t = await startTestApp();
+  const { wallet } = t.services;
+  await wallet.ensureUser(GRAND);
+  await wallet.ensureUser(PARENT, GRAND);
+  await wallet.ensureUser(WATCHER, PARENT);
+  await wallet.ensureUser(SUSPECT, GRAND);
+  await wallet.ensureUser(LIMITED);
+});
+
+test.after(async () => {
+  await t.close();
+});
+
+async function balances(tg_id) {
+  return t.services.wallet.getBalances(tg_id);
+}
+
+async function createAd(body) {
+  const r = await t.api("/api/admin/ads", { tgId: t.adminId, body: { url: "https://example.com/ad", reward_tl: 0.25, max_clicks: null, ...body } });
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  return r.body.ad;
+}
+
+async function sessionNonce(id) {
+  const { rows } = await t.pool.query(`select nonce from public.ad_sessions where id=$1`, [id]);
+  return rows[0].nonce;
+}
+
+// Starts an ad, pretends `seconds` have passed and completes it.
+async function watchAd(tg_id, { heartbeats = [] } = {}) {
+  const start = await t.api("/api/ad/start", { tgId: tg_id, body: {} });
+  assert.equal(start.status, 200, JSON.stringify(start.body));
+  const { session_id, nonce, seconds } = start.body;
+
+  for (const hidden of heartbeats) {
+    await t.api("/api/ad/heartbeat", { tgId: tg_id, body: { session_id, nonce, hidden } });
+  }
+  await t.pool.query(`update public.ad_sessions set started_at = started_at - make_interval(secs => $2) where id=$1`, [
+    session_id,
+    seconds + 1,
+  ]);
+
+  const done = await t.api("/api/ad/complete", { tgId: tg_id, body: { session_id, nonce } });
+  assert.equal(done.status, 200, JSON.stringify(done.body));
+  return { session_id, ...done.body };
+}
+
+let shortAd;
+
+test("completing too early is refused", async () => {
+  shortAd = await createAd({ seconds: 5 });
+  const start = await t.api("/api/ad/start", { tgId: WATCHER, body: {} });
+  assert.equal(start.status, 200);
+  const early = await t.api("/api/ad/complete", {
+    tgId: WATCHER,
+    body: { session_id: start.body.session_id, nonce: start.body.nonce },
+  });
+  assert.equal(early.status, 400);
+  assert.equal(early.body.error, "too_early");
+
+  const wrongNonce = await t.api("/api/ad/complete", {
+    tgId: WATCHER,
+    body: { session_id: start.body.session_id, nonce: "nope" },
+  });
+  assert.equal(wrongNonce.status, 403);
+  assert.equal(wrongNonce.body.error, "bad_nonce");
+  await t.pool.query(`delete from public.ad_sessions where id=$1`, [start.body.session_id]);
+});
+
+test("watch -> complete credits the watcher and pays two referral levels", async () => {
+  const r = await watchAd(WATCHER);
+  assert.equal(r.held, undefined);
+  assert.deepEqual(r.reward, { tl: 0.25, diamonds: 0.25, multiplier: 1 });
+  assert.deepEqual(r.balances, { balance_tl: 0.25, diamonds: 0.25 });
+  assert.equal(r.seen, 1);
+
+  assert.equal((await balances(PARENT)).balance_tl, 0.0125); // L1: 5%
+  assert.equal((await balances(GRAND)).balance_tl, 0.005); // L2: 2%
+  assert.match(t.telegram.messagesTo(WATCHER).at(-1), /Reklam izledin! \+0\.25 TL/);
+
+  // Completing the same session twice pays nothing more.
+  const again = await t.api("/api/ad/complete", {
+    tgId: WATCHER,
+    body: { session_id: r.session_id, nonce: await sessionNonce(r.session_id) },
+  });
+  assert.equal(again.body.already, true);
+  assert.equal((await balances(WATCHER)).balance_tl, 0.25);
+});
+
+test("the signup bonus is paid once, after REFERRAL_BONUS_AFTER_ADS completed ads", async () => {
+  for (let i = 2; i <= t.config.REFERRAL_BONUS_AFTER_ADS + 1; i++) await watchAd(WATCHER);
+
+  const { rows } = await t.pool.query(
+    `select referrer_tg_id, level, kind, amount_tl from public.referral_earnings
+      where referred_tg_id=$1 order by id`,
+    [WATCHER]
+  );
+  const bonus = rows.filter((e) => e.kind === "signup_bonus");
+  assert.equal(bonus.length, 1);
+  assert.equal(Number(bonus[0].referrer_tg_id), PARENT);
+  assert.equal(Number(bonus[0].amount_tl), 0.045); // 18% of one ad reward
+  assert.equal(rows.filter((e) => e.kind === "ongoing" && e.level === 1).length, 6);
+  assert.equal(rows.filter((e) => e.kind === "ongoing" && e.level === 2).length, 6);
+
+  assert.equal((await balances(WATCHER)).balance_tl, 1.5);
+  assert.equal((await balances(PARENT)).balance_tl, 0.12); // 6 x 0.0125 + 0.045
+  assert.equal((await balances(GRAND)).balance_tl, 0.03); // 6 x 0.005
+
+  const info = await t.api("/api/referral", { tgId: PARENT, method: "GET" });
+  assert.equal(info.status, 200);
+});
+
+test("a risky session is held until a finance admin releases it", async () => {
+  const upd = await t.api(`/api/admin/ads/${shortAd.id}`, { tgId: t.adminId, method: "PATCH", body: { active: false } });
+  assert.equal(upd.status, 200, JSON.stringify(upd.body));
+  await createAd({ seconds: 20 });
+
+  // One hidden heartbeat for a 20s ad: missing_heartbeats + hidden_while_watching.
+  const r = await watchAd(SUSPECT, { heartbeats: [true] });
+  assert.equal(r.held, true);
+  assert.equal((await balances(SUSPECT)).balance_tl, 0);
+  assert.equal((await balances(GRAND)).balance_tl, 0.03);
+
+  const queue = await t.api("/api/admin/fraud/sessions", { tgId: t.adminId, method: "GET" });
+  assert.deepEqual(queue.body.sessions.map((s) => Number(s.id)), [Number(r.session_id)]);
+
+  // one session with two signals is still one session and one reward on hold
+  const flagged = await t.api("/api/admin/fraud/flagged", { tgId: t.adminId, method: "GET" });
+  const suspect = flagged.body.users.find((u) => Number(u.tg_id) === SUSPECT);
+  assert.deepEqual(
+    [suspect.flagged_sessions, suspect.held_sessions, Number(suspect.held_tl), suspect.signals],
+    [1, 1, 0.25, ["hidden_while_watching", "missing_heartbeats"]]
+  );
+
+  const forbidden = await t.api(`/api/admin/fraud/sessions/${r.session_id}/resolve`, {
+    tgId: WATCHER,
+    body: { action: "release" },
+  });
+  assert.equal(forbidden.status, 403);
+
+  const released = await t.api(`/api/admin/fraud/sessions/${r.session_id}/resolve`, {
+    tgId: t.adminId,
+    body: { action: "release" },
+  });
+  assert.equal(released.status, 200, JSON.stringify(released.body));
+  assert.equal((await balances(SUSPECT)).balance_tl, 0.25);
+  assert.equal((await balances(GRAND)).balance_tl, 0.0425); // + L1 5% of SUSPECT's reward
+
+  // released sessions stay listed, and a score without named signals still counts
+  await t.pool.query(`update public.ad_sessions set risk_signals = '{}' where id=$1`, [r.session_id]);
+  const listed = await t.api("/api/admin/fraud/flagged?days=1", { tgId: t.adminId, method: "GET" });
+  assert.equal(listed.status, 200);
+  const after = listed.body.users.find((u) => Number(u.tg_id) === SUSPECT);
+  assert.deepEqual([after.flagged_sessions, after.held_sessions, Number(after.held_tl), after.signals], [1, 0, 0, []]);
+
+  const again = await t.api(`/api/admin/fraud/sessions/${r.session_id}/resolve`, {
+    tgId: t.adminId,
+    body: { action: "release" },
+  });
+  assert.equal(again.status, 404);
+});
+
+test("sessions started just under the daily limit pay only up to it", async () => {
+  const limit = (daily_ad_limit) => t.api("/api/admin/settings", { tgId: t.adminId, method: "PATCH", body: { daily_ad_limit } });
+  assert.equal((await limit(1)).status, 200);
+  try {
+    const starts = [];
+    for (let i = 0; i < 2; i++) {
+      const start = await t.api("/api/ad/start", { tgId: LIMITED, body: {} });
+      assert.equal(start.status, 200, JSON.stringify(start.body));
+      starts.push(start.body);
+    }
+    await t.pool.query(`update public.ad_sessions set started_at = started_at - interval '30 seconds' where tg_id=$1`, [LIMITED]);
+    const complete = ({ session_id, nonce }) => t.api("/api/ad/complete", { tgId: LIMITED, body: { session_id, nonce } });
+
+    assert.equal((await complete(starts[0])).status, 200);
+    const second = await complete(starts[1]);
+    assert.deepEqual([second.status, second.body.error, second.body.seen, second.body.limit], [429, "daily_limit", 1, 1]);
+    assert.equal((await balances(LIMITED)).balance_tl, 0.25);
+  } finally {
+    await limit(t.config.DAILY_AD_LIMIT);
+  }
+});
+
+test("balances match the ledger for everyone involved", async () => {
+  for (const tg_id of [GRAND, PARENT, WATCHER, SUSPECT, LIMITED]) {
+    const r = await t.api(`/api/admin/ledger/reconcile?tg_id=${tg_id}`, { tgId: t.adminId, method: "GET" });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.in_sync, true, `${tg_id}: ${JSON.stringify(r.body.drift)}`);
+  }
+});
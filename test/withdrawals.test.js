@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, validIban } = require("./helpers");
+
+const USER = 2001;
+
+let t;
+
+test.before(async () => {
+  t = await startTestApp();
+  await t.services.wallet.ensureUser(USER);
+  const r = await t.api(`/api/admin/users/${USER}/adjust`, {
+    tgId: t.adminId,
+    body: { amount_tl: 500, reason: "test funds" },
+  });
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+});
+
+test.after(async () => {
+  await t.close();
+});
+
+const request = (body) =>
+  t.api("/api/withdraw", { tgId: USER, body: { iban: validIban(), full_name: "Ayse Yilmaz", ...body } });
+const setStatus = (id, body, tgId = t.adminId) =>
+  t.api(`/api/admin/withdraw_requests/${id}/set_status`, { tgId, body });
+const balance = async () => (await t.services.wallet.getBalances(USER)).balance_tl;
+
+test("invalid requests are refused", async () => {
+  assert.equal((await request({ amount_tl: 100 })).body.error, "below_minimum");
+  assert.equal((await request({ amount_tl: 200, iban: "TR000000000000000000000000" })).body.error, "bad_iban");
+  assert.equal((await request({ amount_tl: 200, full_name: "Ayse" })).body.error, "bad_full_name");
+  assert.equal((await request({ amount_tl: 900 })).body.error, "insufficient_balance");
+  assert.equal(await balance(), 500);
+});
+
+test("pending -> approved -> paid", async () => {
+  const created = await request({ amount_tl: 200 });
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  const id = created.body.request.id;
+  assert.equal(created.body.request.status, "pending");
+  assert.equal(created.body.balance_tl, 300); // held right away
+
+  const second = await request({ amount_tl: 200 });
+  assert.equal(second.status, 409);
+  assert.equal(second.body.error, "open_request_exists");
+
+  const forbidden = await setStatus(id, { status: "approved" }, USER);
+  assert.equal(forbidden.status, 403);
+
+  const skip = await setStatus(id, { status: "paid" });
+  assert.equal(skip.status, 409);
+  assert.equal(skip.body.error, "bad_transition");
+
+  assert.equal((await setStatus(id, { status: "approved" })).body.request.status, "approved");
+  const paid = await setStatus(id, { status: "paid" });
+  assert.equal(paid.body.request.status, "paid");
+  assert.ok(paid.body.request.paid_at);
+  assert.equal(await balance(), 300);
+
+  const again = await setStatus(id, { status: "rejected" });
+  assert.equal(again.status, 409);
+
+  const messages = t.telegram.messagesTo(USER).filter((m) => m.includes(`(#${id})`));
+  assert.equal(messages.length, 3);
+  assert.match(messages[0], /talebin alındı/);
+  assert.match(messages[1], /onaylandı/);
+  assert.match(messages[2], /IBAN'ına gönderildi/);
+});
+
+test("rejecting refunds the held amount", async () => {
+  const created = await request({ amount_tl: 250 });
+  const id = created.body.request.id;
+  assert.equal(await balance(), 50);
+
+  const rejected = await setStatus(id, { status: "rejected", reason: "IBAN sahibi eslesmiyor" });
+  assert.equal(rejected.status, 200);
+  assert.equal(rejected.body.request.status, "refunded");
+  assert.equal(rejected.body.request.reason, "IBAN sahibi eslesmiyor");
+  assert.equal(await balance(), 300);
+
+  const own = await t.api("/api/withdraw/requests", { tgId: USER, body: {} });
+  assert.deepEqual(own.body.requests.map((r) => r.status), ["refunded", "paid"]);
+  assert.match(t.telegram.messagesTo(USER).at(-1), /bakiyene iade edildi/);
+});
+
+test("the ledger and the audit trail record every step", async () => {
+  const { rows: ledger } = await t.pool.query(
+    `select type, amount_tl from public.ledger where tg_id=$1 order by id`,
+    [USER]
+  );
+  assert.deepEqual(
+    ledger.map((e) => [e.type, Number(e.amount_tl)]),
+    [
+      ["admin_adjust", 500],
+      ["withdraw_hold", -200],
+      ["withdraw_hold", -250],
+      ["withdraw_release", 250],
+    ]
+  );
+
+  const reconcile = await t.services.wallet.reconcileUser(USER);
+  assert.equal(reconcile.in_sync, true);
+
+  const audit = await t.api("/api/admin/audit?target_type=withdraw_request", { tgId: t.adminId, method: "GET" });
+  assert.deepEqual(audit.body.entries.map((e) => e.action).sort(), [
+    "withdraw.approved",
+    "withdraw.paid",
+    "withdraw.rejected",
+  ]);
+});
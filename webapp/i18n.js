@@ -0,0 +1,46 @@
+/**
+ * WebApp translations. Include right after session.js.
+ * Loads the page strings from GET /api/i18n (the user's /language choice, else the
+ * Telegram client language) and fills elements marked with data-i18n (text) and
+ * data-i18n-placeholder. The Turkish markup stays as it is if the strings cannot be
+ * loaded. Scripts wait for `await i18n.ready` before using i18n.t(key, params, fallback)
+ * for dynamic text; i18n.lang is the language served.
+ */
+(function(){
+  const tg = window.Telegram?.WebApp;
+  let strings = {};
+
+  function t(key, params, fallback){
+    const text = strings[key];
+    if (text == null) return fallback !== undefined ? fallback : key;
+    return text.replace(/\{(\w+)\}/g, (m, name) => (params && params[name] != null ? String(params[name]) : m));
+  }
+
+  function apply(root){
+    (root || document).querySelectorAll("[data-i18n],[data-i18n-placeholder]").forEach((el) => {
+      if (el.dataset.i18n && strings[el.dataset.i18n] != null) el.textContent = t(el.dataset.i18n);
+      if (el.dataset.i18nPlaceholder && strings[el.dataset.i18nPlaceholder] != null) el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+  }
+
+  async function load(){
+    // Signed in (session token or initData) the server knows the stored choice; ?lang= covers the rest.
+    const headers = {};
+    const token = await (window.RPSession ? window.RPSession.ensure().catch(() => null) : null);
+    if (token) headers["X-Session-Token"] = token;
+    else if (tg?.initData) headers["X-Telegram-InitData"] = tg.initData;
+    const lang = tg?.initDataUnsafe?.user?.language_code || navigator.language || "";
+    const r = await fetch("/api/i18n?lang=" + encodeURIComponent(lang), { headers });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.error || ("http_" + r.status));
+    strings = j.strings || {};
+    api.lang = j.lang;
+    document.documentElement.lang = j.lang;
+    if (document.readyState === "loading") await new Promise((res) => document.addEventListener("DOMContentLoaded", res));
+    apply();
+  }
+
+  const api = { lang: document.documentElement.lang || "tr", t, apply };
+  api.ready = load().catch((e) => { console.warn("i18n load failed", e?.message || e); });
+  window.i18n = api;
+})();
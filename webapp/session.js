@@ -0,0 +1,123 @@
+/**
+ * WebApp session helper. Include right after telegram-web-app.js.
+ * Exchanges Telegram initData (or the keyboard link token in ?tg_id=&token=) for a
+ * short-lived session token via POST /api/session and adds it as X-Session-Token to
+ * every same-origin /api/ request. The token is rotated shortly before it expires;
+ * after a 401 the exchange is retried once. Banned users get the server's message as an alert.
+ * GET /api/i18n is left alone: it also works signed out, and webapp/i18n.js adds the token itself.
+ */
+(function(){
+  const KEY = "rp_session";
+  const REFRESH_BEFORE_MS = 60 * 1000;
+  const tg = window.Telegram?.WebApp;
+  const qs = new URLSearchParams(location.search);
+  const nativeFetch = window.fetch.bind(window);
+
+  let session = null;
+  try { session = JSON.parse(sessionStorage.getItem(KEY) || "null"); } catch(_) {}
+  let pending = null;
+
+  class SessionError extends Error {
+    constructor(status, data){ super(data?.error || ("http_" + status)); this.status = status; this.data = data; }
+  }
+
+  function save(j){
+    session = { token: j.token, expires_at: new Date(j.expires_at).getTime() };
+    try { sessionStorage.setItem(KEY, JSON.stringify(session)); } catch(_) {}
+  }
+  function clear(){
+    session = null;
+    try { sessionStorage.removeItem(KEY); } catch(_) {}
+  }
+
+  async function post(path, body, headers){
+    const r = await nativeFetch(path, {
+      method: "POST",
+      headers: Object.assign({ "Content-Type": "application/json" }, headers || {}),
+      body: JSON.stringify(body || {})
+    });
+    const j = await r.json().catch(()=>({ ok:false, error:"bad_json" }));
+    if (!r.ok || !j.ok) throw new SessionError(r.status, j);
+    return j;
+  }
+
+  async function exchange(){
+    clear();
+    save(await post("/api/session", {
+      initData: tg?.initData || "",
+      tg_id: qs.get("tg_id") || "",
+      token: qs.get("token") || ""
+    }));
+  }
+
+  async function refresh(){
+    try {
+      save(await post("/api/session/refresh", {}, { "X-Session-Token": session.token }));
+    } catch(e) {
+      await exchange();
+    }
+  }
+
+  function ensure(){
+    if (session && session.expires_at - Date.now() > REFRESH_BEFORE_MS) return Promise.resolve(session.token);
+    if (!pending) {
+      const step = session && session.expires_at > Date.now() ? refresh() : exchange();
+      pending = step.finally(()=>{ pending = null; });
+    }
+    return pending.then(()=>session.token);
+  }
+
+  let notified = false;
+  function notifyExpired(e){
+    if (notified || !["link_expired", "session_revoked", "initData_expired", "banned"].includes(e.message)) return;
+    notified = true;
+    const text = e.data?.message || window.i18n?.t("session_expired", null, "") || "Oturumun sona erdi. Menüyü yenilemek için bota /menu yaz.";
+    try { tg ? tg.showAlert(text) : alert(text); } catch(_) {}
+  }
+
+  function notifyBanned(r){
+    r.json().then((j)=>{
+      if (notified || j?.error !== "banned") return;
+      notified = true;
+      try { tg ? tg.showAlert(j.message) : alert(j.message); } catch(_) {}
+    }).catch(()=>{});
+  }
+
+  function isApi(input){
+    const url = new URL(typeof input === "string" ? input : input.url, location.href);
+    return url.origin === location.origin && url.pathname.startsWith("/api/") &&
+      !url.pathname.startsWith("/api/session") && url.pathname !== "/api/i18n";
+  }
+
+  async function send(input, init, token){
+    const headers = new Headers(init?.headers || (input instanceof Request ? input.headers : undefined));
+    headers.set("X-Session-Token", token);
+    return nativeFetch(input, Object.assign({}, init, { headers }));
+  }
+
+  window.fetch = async function(input, init){
+    if (!isApi(input)) return nativeFetch(input, init);
+    let token;
+    try {
+      token = await ensure();
+    } catch(e) {
+      notifyExpired(e);
+      // Surface the exchange error (e.g. link_expired) to the page as a normal API response.
+      return new Response(JSON.stringify(e.data || { ok:false, error: e.message }), {
+        status: e.status || 401,
+        headers: { "Content-Type": "application/json" }
+      });
+    }
+    const r = await send(input, init, token);
+    if (r.status === 403) notifyBanned(r.clone());
+    if (r.status !== 401) return r;
+    try {
+      await exchange();
+    } catch(_) {
+      return r;
+    }
+    return send(input, init, session.token);
+  };
+
+  window.RPSession = { ensure, clear };
+})();